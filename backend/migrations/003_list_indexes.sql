@@ -0,0 +1,5 @@
+-- List Endpoint Indexes
+-- Supports keyset pagination (newest first) on merchant-scoped listings
+
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_created
+    ON payments(merchant_id, created_at DESC, id DESC);
@@ -0,0 +1,8 @@
+-- Order & Refund List Indexes
+-- Supports merchant-scoped listings ordered by creation time
+
+CREATE INDEX IF NOT EXISTS idx_orders_merchant_created
+    ON orders(merchant_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_merchant_created
+    ON refunds(merchant_id, created_at DESC, id DESC);
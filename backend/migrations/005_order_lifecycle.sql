@@ -0,0 +1,17 @@
+-- Order Lifecycle Migration
+-- Orders move created → attempted → paid → partially_refunded / refunded
+
+-- Backfill statuses for orders created before the lifecycle existed
+UPDATE orders o
+SET status = 'paid'
+WHERE status = 'created'
+  AND EXISTS (SELECT 1 FROM payments p WHERE p.order_id = o.id AND p.status = 'success');
+
+UPDATE orders o
+SET status = 'attempted'
+WHERE status = 'created'
+  AND EXISTS (SELECT 1 FROM payments p WHERE p.order_id = o.id);
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('created', 'attempted', 'paid', 'partially_refunded', 'refunded'));
@@ -0,0 +1,26 @@
+-- Authorize-then-Capture Migration
+-- Payments are authorized first and captured (fully or partially) later
+
+-- Auto-capture: merchant default, optionally overridden per order
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS auto_capture BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS auto_capture BOOLEAN;
+
+-- Authorization / capture tracking
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS captured_amount INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS released_amount INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS authorized_at TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS authorization_expires_at TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS captured_at TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+
+-- Existing successful payments count as fully captured
+UPDATE payments
+SET captured = true,
+    captured_amount = amount,
+    released_amount = 0,
+    captured_at = COALESCE(captured_at, updated_at)
+WHERE status = 'success' AND captured_amount IS NULL;
+
+-- Authorization expiry sweep
+CREATE INDEX IF NOT EXISTS idx_payments_authorization_expiry
+    ON payments(authorization_expires_at) WHERE status = 'authorized';
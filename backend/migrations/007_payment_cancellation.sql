@@ -0,0 +1,5 @@
+-- Payment Cancellation Migration
+-- Pending and authorized payments can be cancelled by the merchant
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
@@ -0,0 +1,18 @@
+-- Processor Adapter Migration
+-- Payments are routed to a pluggable processor adapter per merchant / method
+
+-- Routing: {"default": "<processor>", "card": "<processor>", "upi": "<processor>"}
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS processor_routes JSONB NOT NULL DEFAULT '{}';
+
+-- Processor that handled the payment, and its references
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS processor VARCHAR(32);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS processor_reference VARCHAR(128);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS processor_reference VARCHAR(128);
+
+-- Everything processed so far went through the built-in simulator
+UPDATE payments SET processor = 'simulator' WHERE processor IS NULL AND status <> 'pending';
+
+-- Amount being captured while a payment is capturing, and when the acquirer
+-- approved it, so an interrupted capture can be finished or released
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS capture_amount INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS capture_sent_at TIMESTAMP;
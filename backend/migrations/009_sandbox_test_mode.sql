@@ -0,0 +1,12 @@
+-- Sandbox Test Mode Migration
+-- Test-mode payments can use scripted sandbox instruments, including 3-D Secure challenges
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS test_mode BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS next_action JSONB;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS three_ds_status VARCHAR(20);
+
+-- Payments made with test keys so far are test-mode payments
+UPDATE payments p
+SET test_mode = true
+FROM merchants m
+WHERE m.id = p.merchant_id AND m.api_key LIKE 'key\_test\_%';
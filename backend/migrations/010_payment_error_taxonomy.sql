@@ -0,0 +1,22 @@
+-- Payment Error Taxonomy Migration
+-- Failed/voided payments carry a classified error from the error catalogue
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS error_source VARCHAR(32);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS error_step VARCHAR(32);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS error_reason VARCHAR(64);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS error_retryable BOOLEAN;
+
+-- Classify failures recorded before the catalogue existed
+UPDATE payments
+SET error_source = 'gateway',
+    error_step = 'payment_authorization',
+    error_reason = 'payment_failed',
+    error_retryable = true
+WHERE error_code = 'PAYMENT_FAILED' AND error_source IS NULL;
+
+UPDATE payments
+SET error_source = 'business',
+    error_step = 'payment_initiation',
+    error_reason = 'order_already_paid',
+    error_retryable = false
+WHERE error_code = 'ORDER_ALREADY_PAID' AND error_source IS NULL;
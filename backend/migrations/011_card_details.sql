@@ -0,0 +1,27 @@
+-- Card Details Migration
+-- Payments keep the detected network, card type and last four digits for display;
+-- the clear-text card number and CVV are no longer stored
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_network VARCHAR(20);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_type VARCHAR(20);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_last4 VARCHAR(4);
+
+-- Keep the last four digits of existing card payments, then scrub the clear-text card data
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'payments' AND column_name = 'card_number'
+    ) THEN
+        UPDATE payments
+        SET card_last4 = RIGHT(REGEXP_REPLACE(card_number, '[^0-9]', '', 'g'), 4)
+        WHERE method = 'card' AND card_number IS NOT NULL AND card_last4 IS NULL;
+
+        UPDATE payments
+        SET card_number = NULL, card_cvv = NULL
+        WHERE card_number IS NOT NULL OR card_cvv IS NOT NULL;
+    END IF;
+END $$;
+
+ALTER TABLE payments DROP COLUMN IF EXISTS card_number;
+ALTER TABLE payments DROP COLUMN IF EXISTS card_cvv;
@@ -0,0 +1,23 @@
+-- Card Vault Migration
+-- Card numbers move to an encrypted vault; payments keep only a tok_* reference.
+-- CVVs are never stored in the database.
+
+CREATE TABLE IF NOT EXISTS card_tokens (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    encrypted_pan TEXT NOT NULL,
+    fingerprint VARCHAR(64) NOT NULL,
+    card_network VARCHAR(20) NOT NULL,
+    card_type VARCHAR(20),
+    card_last4 VARCHAR(4) NOT NULL,
+    expiry_month INTEGER NOT NULL,
+    expiry_year INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_tokens_merchant_fingerprint ON card_tokens(merchant_id, fingerprint);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS card_token VARCHAR(64) REFERENCES card_tokens(id);
+
+-- When the CVV held in Redis for a payment expires (NULL if none was given)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cvv_expires_at TIMESTAMP;
@@ -0,0 +1,37 @@
+-- Customers Migration
+-- Saved customers with reusable, tokenized payment methods
+
+CREATE TABLE IF NOT EXISTS customers (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    name VARCHAR(255),
+    email VARCHAR(255),
+    contact VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customers_merchant_created ON customers(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_customers_merchant_email ON customers(merchant_id, email);
+
+CREATE TABLE IF NOT EXISTS payment_methods (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    customer_id VARCHAR(64) NOT NULL REFERENCES customers(id),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('card', 'upi')),
+    card_token VARCHAR(64) REFERENCES card_tokens(id),
+    card_network VARCHAR(20),
+    card_type VARCHAR(20),
+    card_last4 VARCHAR(4),
+    card_expiry VARCHAR(7),
+    vpa VARCHAR(255),
+    detached_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_methods_customer ON payment_methods(customer_id, created_at DESC) WHERE detached_at IS NULL;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS customer_id VARCHAR(64) REFERENCES customers(id);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_method_id VARCHAR(64) REFERENCES payment_methods(id);
+
+CREATE INDEX IF NOT EXISTS idx_payments_customer ON payments(customer_id) WHERE customer_id IS NOT NULL;
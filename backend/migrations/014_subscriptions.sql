@@ -0,0 +1,48 @@
+-- Subscriptions Migration
+-- Plans define a recurring price; subscriptions charge a customer's saved
+-- payment method every billing period, with dunning retries on failure
+
+CREATE TABLE IF NOT EXISTS plans (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    name VARCHAR(255) NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'INR',
+    interval VARCHAR(10) NOT NULL CHECK (interval IN ('day', 'week', 'month', 'year')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_plans_merchant_created ON plans(merchant_id, created_at DESC, id DESC);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    plan_id VARCHAR(64) NOT NULL REFERENCES plans(id),
+    customer_id VARCHAR(64) NOT NULL REFERENCES customers(id),
+    payment_method_id VARCHAR(64) NOT NULL REFERENCES payment_methods(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'past_due', 'cancelled', 'completed')),
+    total_count INTEGER CHECK (total_count > 0),
+    paid_count INTEGER NOT NULL DEFAULT 0,
+    start_at TIMESTAMP NOT NULL,
+    current_period_start TIMESTAMP,
+    current_period_end TIMESTAMP,
+    next_charge_at TIMESTAMP,
+    pending_payment_id VARCHAR(64) REFERENCES payments(id),
+    dunning_attempts INTEGER NOT NULL DEFAULT 0,
+    cancellation_reason VARCHAR(255),
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_merchant_created ON subscriptions(merchant_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_due ON subscriptions(next_charge_at)
+    WHERE status IN ('active', 'past_due') AND pending_payment_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_subscriptions_pending_payment ON subscriptions(pending_payment_id)
+    WHERE pending_payment_id IS NOT NULL;
+
+-- Orders created by a billing cycle point back at their subscription
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subscription_id VARCHAR(64) REFERENCES subscriptions(id);
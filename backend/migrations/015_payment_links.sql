@@ -0,0 +1,25 @@
+-- Payment Links Migration
+-- Shareable short URLs that open the hosted checkout and create an order on demand
+
+CREATE TABLE IF NOT EXISTS payment_links (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    short_code VARCHAR(16) NOT NULL UNIQUE,
+    amount INTEGER CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'INR',
+    description TEXT,
+    usage VARCHAR(20) NOT NULL DEFAULT 'single_use' CHECK (usage IN ('single_use', 'multi_use')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paid', 'cancelled')),
+    expires_at TIMESTAMP,
+    paid_count INTEGER NOT NULL DEFAULT 0,
+    amount_paid BIGINT NOT NULL DEFAULT 0,
+    -- A single-use link is paid through one order, reused each time the link is opened
+    order_id VARCHAR(64) REFERENCES orders(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_links_merchant_created ON payment_links(merchant_id, created_at DESC, id DESC);
+
+-- Orders opened from a link point back at it
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_link_id VARCHAR(64) REFERENCES payment_links(id);
@@ -0,0 +1,7 @@
+-- Multi-Currency Migration
+-- Merchants choose which ISO-4217 currencies they accept
+
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS enabled_currencies TEXT[] NOT NULL DEFAULT ARRAY['INR'];
+
+-- Existing orders were always created in upper-case codes; normalize any stragglers
+UPDATE orders SET currency = UPPER(currency) WHERE currency <> UPPER(currency);
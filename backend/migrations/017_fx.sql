@@ -0,0 +1,53 @@
+-- FX Migration
+-- Rate table, locked quotes, and presentment vs settlement amounts on payments and refunds
+
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS settlement_currency VARCHAR(3) NOT NULL DEFAULT 'INR';
+
+-- 1 unit of base_currency = rate units of quote_currency (major units)
+CREATE TABLE IF NOT EXISTS fx_rates (
+    base_currency VARCHAR(3) NOT NULL,
+    quote_currency VARCHAR(3) NOT NULL,
+    rate NUMERIC(20, 10) NOT NULL CHECK (rate > 0),
+    source VARCHAR(50) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (base_currency, quote_currency)
+);
+
+CREATE TABLE IF NOT EXISTS fx_quotes (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    presentment_currency VARCHAR(3) NOT NULL,
+    settlement_currency VARCHAR(3) NOT NULL,
+    rate NUMERIC(20, 10) NOT NULL,
+    presentment_amount INTEGER,
+    settlement_amount INTEGER,
+    expires_at TIMESTAMP NOT NULL,
+    -- A quote is honoured by one payment only
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_quotes_merchant ON fx_quotes(merchant_id, created_at DESC);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS presentment_currency VARCHAR(3);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS settlement_currency VARCHAR(3);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(20, 10);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fx_quote_id VARCHAR(64) REFERENCES fx_quotes(id);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS settlement_amount INTEGER;
+
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS settlement_currency VARCHAR(3);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS settlement_amount INTEGER;
+
+-- Payments before FX were always settled in their own currency
+UPDATE payments
+SET presentment_currency = currency,
+    settlement_currency = currency,
+    fx_rate = 1,
+    settlement_amount = COALESCE(captured_amount, amount)
+WHERE presentment_currency IS NULL;
+
+UPDATE refunds r
+SET settlement_currency = p.currency,
+    settlement_amount = r.amount
+FROM payments p
+WHERE p.id = r.payment_id AND r.settlement_currency IS NULL;
@@ -0,0 +1,44 @@
+-- Settlements Migration
+-- Double-entry ledger fed by captures and refunds, batched into daily settlements
+
+-- Totals are BIGINT: a large merchant's daily payout can exceed INTEGER in minor units
+CREATE TABLE IF NOT EXISTS settlements (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    currency VARCHAR(3) NOT NULL,
+    amount BIGINT NOT NULL DEFAULT 0,
+    gross_amount BIGINT NOT NULL DEFAULT 0,
+    refund_amount BIGINT NOT NULL DEFAULT 0,
+    fee_amount BIGINT NOT NULL DEFAULT 0,
+    tax_amount BIGINT NOT NULL DEFAULT 0,
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    utr VARCHAR(32) UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'processed')),
+    period_end TIMESTAMP NOT NULL,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlements_merchant ON settlements(merchant_id, created_at DESC);
+
+-- One row per journal line; every journal's debits equal its credits.
+-- merchant_balance lines are claimed by a settlement once paid out.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    journal_id VARCHAR(128) NOT NULL,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    account VARCHAR(50) NOT NULL,
+    direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount BIGINT NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    source_id VARCHAR(64) NOT NULL,
+    settlement_id VARCHAR(64) REFERENCES settlements(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (journal_id, account, direction)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_unsettled
+    ON ledger_entries(merchant_id, currency, created_at)
+    WHERE account = 'merchant_balance' AND settlement_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_source ON ledger_entries(source_type, source_id);
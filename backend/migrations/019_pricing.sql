@@ -0,0 +1,31 @@
+-- Pricing Migration
+-- MDR rules (percentage + fixed fee, with tax on the fee) and the fee charged per payment
+
+-- merchant_id NULL is a platform default; NULL method / card_network / international match anything.
+-- percentage is in percent (2.0000 = 2%); fixed_fee is in minor units of the settlement currency.
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID REFERENCES merchants(id),
+    method VARCHAR(20) CHECK (method IN ('card', 'upi')),
+    card_network VARCHAR(20),
+    international BOOLEAN,
+    percentage NUMERIC(6, 4) NOT NULL DEFAULT 0 CHECK (percentage >= 0 AND percentage <= 100),
+    fixed_fee INTEGER NOT NULL DEFAULT 0 CHECK (fixed_fee >= 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_merchant ON pricing_rules(merchant_id) WHERE active;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fee INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tax INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS pricing_rule_id VARCHAR(64) REFERENCES pricing_rules(id);
+
+-- Platform defaults: domestic cards 2%, Amex and international cards 3%, UPI free
+INSERT INTO pricing_rules (id, merchant_id, method, card_network, international, percentage, fixed_fee)
+VALUES
+    ('prule_default_card', NULL, 'card', NULL, NULL, 2.0000, 0),
+    ('prule_default_card_amex', NULL, 'card', 'amex', NULL, 3.0000, 0),
+    ('prule_default_card_intl', NULL, 'card', NULL, true, 3.0000, 0),
+    ('prule_default_upi', NULL, 'upi', NULL, NULL, 0.0000, 0)
+ON CONFLICT (id) DO NOTHING;
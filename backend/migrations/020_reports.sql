@@ -0,0 +1,23 @@
+-- Reports Migration
+-- Asynchronously generated CSV / JSON Lines exports over a date range
+
+CREATE TABLE IF NOT EXISTS reports (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id),
+    type VARCHAR(30) NOT NULL CHECK (type IN ('payments', 'refunds', 'settlements', 'webhook_deliveries')),
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'jsonl')),
+    from_at TIMESTAMP NOT NULL,
+    to_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    row_count INTEGER,
+    file_path TEXT,
+    file_size BIGINT,
+    error_description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_merchant ON reports(merchant_id, created_at DESC);
+
+-- Keyset pagination used by the report job
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_merchant_created ON webhook_logs(merchant_id, created_at, id);
@@ -0,0 +1,17 @@
+-- Refund Failures Migration
+-- Refunds can now be processing, failed (with an error code) or cancelled before pickup
+
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS error_code VARCHAR(64);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS error_description TEXT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+-- When the processor accepted the refund, so a retried job finishes it instead of sending it again
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP;
+
+-- Refund amounts reserved against a payment are summed on every new refund
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_status ON refunds(payment_id, status);
+
+-- The resume sweep looks for refunds the processor accepted but that never reached processed
+CREATE INDEX IF NOT EXISTS idx_refunds_sent_processing ON refunds(sent_at) WHERE status = 'processing';
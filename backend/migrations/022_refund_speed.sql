@@ -0,0 +1,9 @@
+-- Refund Speed Migration
+-- Refunds request a speed (optimum = instant when possible) and record the speed used and its fee
+
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS speed_requested VARCHAR(10) NOT NULL DEFAULT 'normal'
+    CHECK (speed_requested IN ('optimum', 'normal'));
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS speed_processed VARCHAR(10)
+    CHECK (speed_processed IN ('instant', 'normal'));
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS fee INTEGER;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS tax INTEGER;
@@ -0,0 +1,40 @@
+-- Webhook Endpoints Migration
+-- Merchants can register several webhook endpoints, each with its own secret and event subscriptions
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    description VARCHAR(255),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    -- Subscribed event types; '*' subscribes to every event
+    events TEXT[] NOT NULL DEFAULT ARRAY['*'],
+    -- The endpoint managed by the legacy PUT /api/v1/webhooks/config
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_merchant ON webhook_endpoints(merchant_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_endpoints_default ON webhook_endpoints(merchant_id) WHERE is_default;
+
+-- Each delivery log belongs to the endpoint it is sent to
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS endpoint_id VARCHAR(64) REFERENCES webhook_endpoints(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_endpoint ON webhook_logs(endpoint_id, created_at);
+
+-- Set when payment.pending is announced, so a retried or resumed job does not announce it again
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS pending_announced_at TIMESTAMP;
+
+-- Existing webhook URLs become each merchant's default endpoint
+INSERT INTO webhook_endpoints (id, merchant_id, url, secret, is_default)
+SELECT 'we_' || substr(md5(m.id::text), 1, 16), m.id, m.webhook_url,
+       COALESCE(m.webhook_secret, 'whsec_' || md5(random()::text)), true
+FROM merchants m
+WHERE m.webhook_url IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+UPDATE webhook_logs l
+SET endpoint_id = e.id
+FROM webhook_endpoints e
+WHERE l.endpoint_id IS NULL AND e.merchant_id = l.merchant_id AND e.is_default;
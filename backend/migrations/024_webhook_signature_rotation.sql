@@ -0,0 +1,5 @@
+-- Webhook Signature Rotation Migration
+-- A rotated endpoint secret keeps signing alongside the new one until its grace period ends
+
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS previous_secret VARCHAR(64);
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS previous_secret_expires_at TIMESTAMP;
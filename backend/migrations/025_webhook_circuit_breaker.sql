@@ -0,0 +1,37 @@
+-- Webhook Circuit Breaker Migration
+-- Per-endpoint delivery health, held deliveries and merchant notifications
+
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS circuit_state VARCHAR(10) NOT NULL DEFAULT 'closed'
+    CHECK (circuit_state IN ('closed', 'open', 'half_open'));
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS circuit_opened_at TIMESTAMP;
+-- When an open circuit next lets a probe delivery through
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS circuit_retry_at TIMESTAMP;
+-- Start of the current run of consecutive failures
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS failing_since TIMESTAMP;
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMP;
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMP;
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_circuit ON webhook_endpoints(circuit_retry_at)
+    WHERE circuit_state <> 'closed';
+
+-- Deliveries held while an endpoint's circuit is open drain oldest first
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_held ON webhook_logs(endpoint_id, created_at, id)
+    WHERE status = 'held';
+
+-- The health check drains held deliveries of closed circuits that have no delivery in flight
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_pending ON webhook_logs(endpoint_id)
+    WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS merchant_notifications (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_notifications_merchant ON merchant_notifications(merchant_id, created_at DESC);
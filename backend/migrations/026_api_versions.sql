@@ -0,0 +1,9 @@
+-- API Versions Migration
+-- Merchants are pinned to the API version their webhook payloads are rendered in
+
+ALTER TABLE merchants ADD COLUMN IF NOT EXISTS api_version VARCHAR(10);
+
+-- Existing merchants keep the original payloads; new merchants get the latest version
+UPDATE merchants SET api_version = '2024-01-01' WHERE api_version IS NULL;
+ALTER TABLE merchants ALTER COLUMN api_version SET DEFAULT '2026-10-19';
+ALTER TABLE merchants ALTER COLUMN api_version SET NOT NULL;
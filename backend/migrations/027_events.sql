@@ -0,0 +1,39 @@
+-- Events Migration
+-- Every domain event is stored with a monotonic sequence so merchants can poll and replay it
+
+CREATE TABLE IF NOT EXISTS events (
+    id VARCHAR(64) PRIMARY KEY,
+    sequence BIGSERIAL UNIQUE,
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    api_version VARCHAR(10) NOT NULL,
+    data JSONB NOT NULL,
+    -- Set when the data failed its schema; the event is still stored and sent
+    validation_errors JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_merchant_sequence ON events(merchant_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_events_invalid ON events(created_at) WHERE validation_errors IS NOT NULL;
+
+-- Deliveries of stored events link back to them
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS event_id VARCHAR(64) REFERENCES events(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_event ON webhook_logs(event_id);
+
+-- Bulk redelivery of a sequence range to one endpoint, processed by the worker
+CREATE TABLE IF NOT EXISTS event_redeliveries (
+    id VARCHAR(64) PRIMARY KEY,
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    endpoint_id VARCHAR(64) NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    from_sequence BIGINT NOT NULL,
+    to_sequence BIGINT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    -- Last sequence enqueued, so a retried job resumes instead of resending
+    last_sequence BIGINT,
+    event_count INTEGER NOT NULL DEFAULT 0,
+    error_description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_redeliveries_merchant ON event_redeliveries(merchant_id, created_at DESC);
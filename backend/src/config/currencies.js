@@ -0,0 +1,130 @@
+/**
+ * ISO-4217 currency registry
+ *
+ * Amounts are always integers in the currency's minor unit. `exponent` is the
+ * number of minor-unit digits (INR 2 → paise, JPY 0, KWD 3 → fils) and
+ * `min_amount` is the smallest chargeable amount, in minor units.
+ */
+const CURRENCIES = {
+    INR: { name: 'Indian Rupee', exponent: 2, min_amount: 100 },
+    USD: { name: 'US Dollar', exponent: 2, min_amount: 50 },
+    EUR: { name: 'Euro', exponent: 2, min_amount: 50 },
+    GBP: { name: 'Pound Sterling', exponent: 2, min_amount: 30 },
+    AED: { name: 'UAE Dirham', exponent: 2, min_amount: 200 },
+    SAR: { name: 'Saudi Riyal', exponent: 2, min_amount: 200 },
+    SGD: { name: 'Singapore Dollar', exponent: 2, min_amount: 50 },
+    AUD: { name: 'Australian Dollar', exponent: 2, min_amount: 50 },
+    CAD: { name: 'Canadian Dollar', exponent: 2, min_amount: 50 },
+    CHF: { name: 'Swiss Franc', exponent: 2, min_amount: 50 },
+    HKD: { name: 'Hong Kong Dollar', exponent: 2, min_amount: 400 },
+    MYR: { name: 'Malaysian Ringgit', exponent: 2, min_amount: 200 },
+    THB: { name: 'Thai Baht', exponent: 2, min_amount: 1000 },
+    NPR: { name: 'Nepalese Rupee', exponent: 2, min_amount: 1000 },
+    LKR: { name: 'Sri Lankan Rupee', exponent: 2, min_amount: 10000 },
+    BDT: { name: 'Bangladeshi Taka', exponent: 2, min_amount: 5000 },
+    JPY: { name: 'Japanese Yen', exponent: 0, min_amount: 50 },
+    KRW: { name: 'South Korean Won', exponent: 0, min_amount: 500 },
+    KWD: { name: 'Kuwaiti Dinar', exponent: 3, min_amount: 100 },
+    BHD: { name: 'Bahraini Dinar', exponent: 3, min_amount: 100 },
+    OMR: { name: 'Omani Rial', exponent: 3, min_amount: 100 },
+};
+
+/**
+ * Currencies a merchant accepts when none are configured
+ */
+const DEFAULT_ENABLED_CURRENCIES = ['INR'];
+
+/**
+ * Look up a currency by code
+ * @param {string} code - ISO-4217 code (case-insensitive)
+ * @returns {Object|null} { code, name, exponent, min_amount }, or null if unsupported
+ */
+function getCurrency(code) {
+    if (typeof code !== 'string') return null;
+
+    const normalized = code.toUpperCase();
+    const currency = CURRENCIES[normalized];
+    return currency ? { code: normalized, ...currency } : null;
+}
+
+/**
+ * Check that a currency is supported and enabled for a merchant
+ * @param {Object} merchant - Merchant row
+ * @param {string} currencyCode - ISO-4217 code
+ * @returns {string|null} Validation error description, or null if valid
+ */
+function validateCurrency(merchant, currencyCode) {
+    const currency = getCurrency(currencyCode);
+    if (!currency) {
+        return `Unsupported currency: ${currencyCode}`;
+    }
+
+    const enabled = merchant.enabled_currencies || DEFAULT_ENABLED_CURRENCIES;
+    if (!enabled.includes(currency.code)) {
+        return `Currency ${currency.code} is not enabled for this merchant`;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a charge amount for a merchant: the currency must be enabled for
+ * the merchant and the amount must meet the currency's minimum
+ * @param {Object} merchant - Merchant row
+ * @param {number} amount - Amount in minor units
+ * @param {string} currencyCode - ISO-4217 code
+ * @returns {string|null} Validation error description, or null if valid
+ */
+function validateAmount(merchant, amount, currencyCode) {
+    const currencyError = validateCurrency(merchant, currencyCode);
+    if (currencyError) {
+        return currencyError;
+    }
+
+    const currency = getCurrency(currencyCode);
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return 'Amount must be a positive integer';
+    }
+
+    if (amount < currency.min_amount) {
+        return `Amount must be at least ${currency.min_amount} (${formatAmount(currency.min_amount, currency.code)} ${currency.code})`;
+    }
+
+    return null;
+}
+
+/**
+ * Convert minor units to a decimal string in major units
+ * @param {number} amount - Amount in minor units
+ * @param {string} currencyCode - ISO-4217 code
+ * @returns {string} e.g. formatAmount(1050, 'INR') → "10.50", formatAmount(1050, 'JPY') → "1050"
+ */
+function formatAmount(amount, currencyCode) {
+    const { exponent } = getCurrency(currencyCode);
+    return (amount / 10 ** exponent).toFixed(exponent);
+}
+
+/**
+ * Convert an amount between currencies, respecting each currency's exponent
+ * @param {number} amount - Amount in minor units of fromCurrency
+ * @param {string} fromCurrency - ISO-4217 code of the amount
+ * @param {string} toCurrency - ISO-4217 code to convert into
+ * @param {number} rate - Units of toCurrency per unit of fromCurrency (major units)
+ * @returns {number} Amount in minor units of toCurrency, rounded half-up
+ */
+function convertAmount(amount, fromCurrency, toCurrency, rate) {
+    const from = getCurrency(fromCurrency);
+    const to = getCurrency(toCurrency);
+    return Math.round((amount / 10 ** from.exponent) * rate * 10 ** to.exponent);
+}
+
+module.exports = {
+    CURRENCIES,
+    DEFAULT_ENABLED_CURRENCIES,
+    getCurrency,
+    validateCurrency,
+    validateAmount,
+    formatAmount,
+    convertAmount,
+};
@@ -22,6 +22,9 @@ const redisConfig = {
 const paymentQueue = new Queue('payment-processing', redisConfig);
 const webhookQueue = new Queue('webhook-delivery', redisConfig);
 const refundQueue = new Queue('refund-processing', redisConfig);
+const subscriptionQueue = new Queue('subscription-billing', redisConfig);
+const settlementQueue = new Queue('settlement-processing', redisConfig);
+const reportQueue = new Queue('report-generation', redisConfig);
 
 // Redis client for direct operations
 const redisClient = new Redis(redisUrl);
@@ -38,5 +41,8 @@ module.exports = {
     paymentQueue,
     webhookQueue,
     refundQueue,
+    subscriptionQueue,
+    settlementQueue,
+    reportQueue,
     redisClient,
 };
@@ -0,0 +1,285 @@
+/**
+ * Webhook event catalogue
+ *
+ * Every event a merchant can receive is registered here with a description,
+ * the JSON Schema of its `data` per API version, and a renderer that builds
+ * that `data` from database rows:
+ *
+ *   schema(version)             → JSON Schema of payload.data
+ *   render(version, resources)  → payload.data
+ *
+ * Callers emit events with rows ({ payment }, { refund, payment }, ...) and
+ * never build payloads themselves. Merchants are pinned to an API version
+ * (merchants.api_version) and receive payloads rendered for it.
+ *
+ * Versions:
+ *   2024-01-01  Original payloads: a reduced payment object, an inline
+ *               refund.processed object, refund.failed with error_retryable
+ *   2026-10-19  Resources use the same shape as the REST API
+ */
+
+const {
+    formatPayment,
+    formatRefund,
+    formatOrder,
+    formatSubscription,
+    formatPaymentLink,
+    formatSettlement,
+} = require('../utils/serializers');
+const { getRefundError } = require('../utils/refundErrors');
+const { validateSchema } = require('../utils/jsonSchema');
+const schemas = require('./schemas');
+
+const LEGACY_API_VERSION = '2024-01-01';
+const LATEST_API_VERSION = '2026-10-19';
+const API_VERSIONS = [LEGACY_API_VERSION, LATEST_API_VERSION];
+
+/**
+ * Build the payment object sent in 2024-01-01 payloads
+ * @param {Object} payment - Payment row
+ * @returns {Object} Legacy webhook payment object
+ */
+function toLegacyPayment(payment) {
+    return {
+        id: payment.id,
+        order_id: payment.order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        settlement_currency: payment.settlement_currency || undefined,
+        settlement_amount: payment.settlement_amount ?? undefined,
+        fx_rate: payment.fx_rate != null ? parseFloat(payment.fx_rate) : undefined,
+        fee: payment.fee ?? undefined,
+        tax: payment.tax ?? undefined,
+        method: payment.method,
+        vpa: payment.vpa || undefined,
+        card_network: payment.card_network || undefined,
+        card_last4: payment.card_last4 || undefined,
+        status: payment.status,
+        captured_amount: payment.captured_amount ?? undefined,
+        error_code: payment.error_code || undefined,
+        error_description: payment.error_description || undefined,
+        error_source: payment.error_source || undefined,
+        error_step: payment.error_step || undefined,
+        error_reason: payment.error_reason || undefined,
+        error_retryable: payment.error_retryable ?? undefined,
+        created_at: payment.created_at,
+    };
+}
+
+function renderPayment(version, payment) {
+    return version === LEGACY_API_VERSION ? toLegacyPayment(payment) : formatPayment(payment);
+}
+
+function paymentSchema(version) {
+    return version === LEGACY_API_VERSION ? schemas.LEGACY_PAYMENT : schemas.PAYMENT;
+}
+
+/**
+ * Register an event whose data is `{ payment }`
+ */
+function paymentEvent(description) {
+    return {
+        description,
+        schema: (version) => schemas.object({ payment: paymentSchema(version) }, ['payment']),
+        render: (version, { payment }) => ({ payment: renderPayment(version, payment) }),
+    };
+}
+
+/**
+ * Register an event whose data is `{ refund }` in the REST refund shape
+ */
+function refundEvent(description) {
+    return {
+        description,
+        schema: () => schemas.object({ refund: schemas.REFUND }, ['refund']),
+        render: (version, { refund }) => ({ refund: formatRefund(refund) }),
+    };
+}
+
+const EVENT_TYPES = {
+    'payment.created': paymentEvent('Payment entry is created'),
+    'payment.pending': paymentEvent('Payment is under processing'),
+    'payment.authorized': paymentEvent('Payment authorized, awaiting capture'),
+    'payment.captured': paymentEvent('Payment captured (fully or partially)'),
+    'payment.success': paymentEvent('Payment completed successfully (sent alongside payment.captured)'),
+    'payment.voided': paymentEvent('Authorization voided (expired or superseded)'),
+    'payment.cancelled': {
+        ...paymentEvent('Payment cancelled by the merchant'),
+        render: (version, { payment }) => ({
+            payment: version === LEGACY_API_VERSION
+                ? { ...toLegacyPayment(payment), cancellation_reason: payment.cancellation_reason || undefined }
+                : formatPayment(payment),
+        }),
+    },
+    'payment.failed': paymentEvent('Payment failed during processing'),
+    'refund.created': refundEvent('Refund request initiated'),
+    'refund.processed': {
+        description: 'Refund successfully completed',
+        schema: (version) => schemas.object({
+            refund: version === LEGACY_API_VERSION ? schemas.LEGACY_PROCESSED_REFUND : schemas.REFUND,
+        }, ['refund']),
+        render: (version, { refund, payment }) => {
+            if (version !== LEGACY_API_VERSION) {
+                return { refund: formatRefund(refund) };
+            }
+
+            return {
+                refund: {
+                    id: refund.id,
+                    payment_id: refund.payment_id,
+                    amount: refund.amount,
+                    currency: payment.currency,
+                    settlement_currency: refund.settlement_currency,
+                    settlement_amount: refund.settlement_amount,
+                    fx_rate: parseFloat(payment.fx_rate || 1),
+                    speed_requested: refund.speed_requested,
+                    speed_processed: refund.speed_processed,
+                    fee: refund.fee,
+                    tax: refund.tax,
+                    reason: refund.reason,
+                    status: 'processed',
+                    created_at: refund.created_at,
+                    processed_at: refund.processed_at,
+                },
+            };
+        },
+    },
+    'refund.failed': {
+        description: 'Refund failed; its amount is released',
+        schema: (version) => schemas.object({
+            refund: version === LEGACY_API_VERSION ? schemas.LEGACY_FAILED_REFUND : schemas.REFUND,
+        }, ['refund']),
+        render: (version, { refund }) => ({
+            refund: version === LEGACY_API_VERSION
+                ? { ...formatRefund(refund), error_retryable: getRefundError(refund.error_code).retryable }
+                : formatRefund(refund),
+        }),
+    },
+    'order.paid': {
+        description: 'Order fully paid by a successful payment',
+        schema: () => schemas.object({ order: schemas.ORDER }, ['order']),
+        render: (version, { order }) => ({ order: formatOrder(order) }),
+    },
+    'payment_link.paid': {
+        description: 'Single-use payment link paid',
+        schema: () => schemas.object({
+            payment_link: schemas.PAYMENT_LINK,
+            order: schemas.ORDER,
+        }, ['payment_link', 'order']),
+        render: (version, { payment_link: link, order }) => ({
+            payment_link: formatPaymentLink(link),
+            order: formatOrder(order),
+        }),
+    },
+    'subscription.charged': {
+        description: 'Billing cycle charged successfully',
+        schema: (version) => schemas.object({
+            subscription: schemas.SUBSCRIPTION,
+            payment: paymentSchema(version),
+        }, ['subscription', 'payment']),
+        render: (version, { subscription, payment }) => ({
+            subscription: formatSubscription(subscription),
+            payment: renderPayment(version, payment),
+        }),
+    },
+    'subscription.past_due': {
+        description: 'Billing charge failed; a dunning retry is scheduled',
+        schema: (version) => schemas.object({
+            subscription: schemas.SUBSCRIPTION,
+            payment: paymentSchema(version),
+            error_code: schemas.string,
+            next_retry_at: schemas.dateTime,
+        }, ['subscription', 'error_code', 'next_retry_at']),
+        render: (version, { subscription, payment, error_code: errorCode }) => ({
+            subscription: formatSubscription(subscription),
+            payment: payment ? renderPayment(version, payment) : undefined,
+            error_code: errorCode,
+            next_retry_at: subscription.next_charge_at,
+        }),
+    },
+    'subscription.cancelled': {
+        description: 'Subscription cancelled (by the merchant or after dunning)',
+        schema: () => schemas.object({ subscription: schemas.SUBSCRIPTION }, ['subscription']),
+        render: (version, { subscription }) => ({ subscription: formatSubscription(subscription) }),
+    },
+    'settlement.processed': {
+        description: 'Daily settlement paid out',
+        schema: () => schemas.object({ settlement: schemas.SETTLEMENT }, ['settlement']),
+        render: (version, { settlement }) => ({ settlement: formatSettlement(settlement) }),
+    },
+};
+
+/**
+ * Check whether an event type is registered
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+function isKnownEventType(type) {
+    return Object.prototype.hasOwnProperty.call(EVENT_TYPES, type);
+}
+
+/**
+ * Resolve the API version payloads are rendered in; unknown or unset
+ * versions get the original payloads
+ * @param {string} [version] - Merchant's pinned version
+ * @returns {string}
+ */
+function resolveApiVersion(version) {
+    return API_VERSIONS.includes(version) ? version : LEGACY_API_VERSION;
+}
+
+/**
+ * Get the JSON Schema of an event's data for an API version
+ * @param {string} type - Event type
+ * @param {string} version - API version
+ * @returns {Object} JSON Schema
+ */
+function getEventSchema(type, version) {
+    return EVENT_TYPES[type].schema(resolveApiVersion(version));
+}
+
+/**
+ * Render an event's data for an API version and validate it against the
+ * event's schema. The data is returned as plain JSON (dates as ISO strings).
+ * @param {string} type - Event type
+ * @param {string} version - API version
+ * @param {Object} resources - Rows the event is about, e.g. { payment }
+ * @returns {Object} Rendered data
+ * @throws {Error} With code UNKNOWN_EVENT_TYPE, or INVALID_EVENT_PAYLOAD carrying
+ *   the rendered `data` and the validation `errors`
+ */
+function renderEvent(type, version, resources) {
+    if (!isKnownEventType(type)) {
+        throw eventError('UNKNOWN_EVENT_TYPE', `Unknown event type: ${type}`);
+    }
+
+    const apiVersion = resolveApiVersion(version);
+    const data = JSON.parse(JSON.stringify(EVENT_TYPES[type].render(apiVersion, resources)));
+    const errors = validateSchema(getEventSchema(type, apiVersion), data, 'data');
+
+    if (errors.length > 0) {
+        const error = eventError('INVALID_EVENT_PAYLOAD', `${type} (${apiVersion}) payload is invalid: ${errors.join('; ')}`);
+        error.data = data;
+        error.errors = errors;
+        throw error;
+    }
+
+    return data;
+}
+
+function eventError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = {
+    LEGACY_API_VERSION,
+    LATEST_API_VERSION,
+    API_VERSIONS,
+    EVENT_TYPES,
+    isKnownEventType,
+    resolveApiVersion,
+    getEventSchema,
+    renderEvent,
+};
@@ -0,0 +1,223 @@
+/**
+ * JSON Schemas of the resources carried in webhook payloads, per API version.
+ * Optional fields are omitted rather than sent as null unless noted.
+ */
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: ['string', 'null'], format: 'date-time' };
+
+function object(properties, required) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+const PAYMENT_ERROR_FIELDS = {
+    error_code: string,
+    error_description: string,
+    error_source: string,
+    error_step: string,
+    error_reason: string,
+    error_retryable: boolean,
+};
+
+/**
+ * Payment in the 2024-01-01 payload shape (a subset of the REST object)
+ */
+const LEGACY_PAYMENT = object({
+    id: string,
+    order_id: string,
+    amount: integer,
+    currency: string,
+    settlement_currency: string,
+    settlement_amount: integer,
+    fx_rate: number,
+    fee: integer,
+    tax: integer,
+    method: string,
+    vpa: string,
+    card_network: string,
+    card_last4: string,
+    status: string,
+    captured_amount: integer,
+    ...PAYMENT_ERROR_FIELDS,
+    cancellation_reason: string,
+    created_at: dateTime,
+}, ['id', 'order_id', 'amount', 'currency', 'method', 'status', 'created_at']);
+
+/**
+ * Payment as returned by GET /api/v1/payments/:id
+ */
+const PAYMENT = object({
+    id: string,
+    order_id: string,
+    amount: integer,
+    currency: string,
+    presentment_currency: string,
+    settlement_currency: string,
+    fx_rate: number,
+    fx_quote_id: string,
+    settlement_amount: integer,
+    fee: integer,
+    tax: integer,
+    method: string,
+    vpa: string,
+    card_token: string,
+    card_network: string,
+    card_type: string,
+    card_last4: string,
+    card_expiry: string,
+    status: string,
+    ...PAYMENT_ERROR_FIELDS,
+    next_action: { type: 'object' },
+    captured: { type: ['boolean', 'null'] },
+    captured_amount: integer,
+    released_amount: integer,
+    authorized_at: dateTime,
+    authorization_expires_at: dateTime,
+    captured_at: dateTime,
+    voided_at: dateTime,
+    cancellation_reason: string,
+    cancelled_at: dateTime,
+    customer_id: string,
+    payment_method_id: string,
+    created_at: dateTime,
+    updated_at: nullableDateTime,
+}, ['id', 'order_id', 'amount', 'currency', 'method', 'status', 'created_at']);
+
+const REFUND_SPEED_FIELDS = {
+    speed_requested: { type: 'string', enum: ['optimum', 'normal'] },
+    speed_processed: { type: 'string', enum: ['instant', 'normal'] },
+    fee: integer,
+    tax: integer,
+};
+
+/**
+ * Refund in the 2024-01-01 refund.processed payload
+ */
+const LEGACY_PROCESSED_REFUND = object({
+    id: string,
+    payment_id: string,
+    amount: integer,
+    currency: string,
+    settlement_currency: string,
+    settlement_amount: integer,
+    fx_rate: number,
+    ...REFUND_SPEED_FIELDS,
+    reason: nullableString,
+    status: { type: 'string', enum: ['processed'] },
+    created_at: dateTime,
+    processed_at: dateTime,
+}, ['id', 'payment_id', 'amount', 'currency', 'status', 'created_at', 'processed_at']);
+
+const REFUND_PROPERTIES = {
+    id: string,
+    payment_id: string,
+    amount: integer,
+    settlement_currency: string,
+    settlement_amount: integer,
+    ...REFUND_SPEED_FIELDS,
+    reason: nullableString,
+    status: { type: 'string', enum: ['pending', 'processing', 'processed', 'failed', 'cancelled'] },
+    error_code: string,
+    error_description: string,
+    cancellation_reason: string,
+    created_at: dateTime,
+    processed_at: nullableDateTime,
+    failed_at: dateTime,
+    cancelled_at: dateTime,
+};
+
+/**
+ * Refund in the 2024-01-01 refund.failed payload
+ */
+const LEGACY_FAILED_REFUND = object({
+    ...REFUND_PROPERTIES,
+    error_retryable: boolean,
+}, ['id', 'payment_id', 'amount', 'status', 'error_code', 'created_at']);
+
+/**
+ * Refund as returned by GET /api/v1/refunds/:id
+ */
+const REFUND = object(REFUND_PROPERTIES, ['id', 'payment_id', 'amount', 'status', 'created_at']);
+
+const ORDER = object({
+    id: string,
+    amount: integer,
+    currency: string,
+    receipt: nullableString,
+    status: string,
+    auto_capture: { type: ['boolean', 'null'] },
+    subscription_id: string,
+    payment_link_id: string,
+    created_at: dateTime,
+}, ['id', 'amount', 'currency', 'status', 'created_at']);
+
+const SUBSCRIPTION = object({
+    id: string,
+    plan_id: string,
+    customer_id: string,
+    payment_method_id: nullableString,
+    status: string,
+    total_count: integer,
+    paid_count: integer,
+    start_at: dateTime,
+    current_period_start: dateTime,
+    current_period_end: dateTime,
+    next_charge_at: dateTime,
+    dunning_attempts: integer,
+    cancellation_reason: string,
+    cancelled_at: dateTime,
+    created_at: dateTime,
+    updated_at: nullableDateTime,
+}, ['id', 'plan_id', 'customer_id', 'status', 'created_at']);
+
+const PAYMENT_LINK = object({
+    id: string,
+    short_url: string,
+    amount: integer,
+    currency: string,
+    description: string,
+    usage: string,
+    status: string,
+    expires_at: dateTime,
+    order_id: string,
+    paid_count: integer,
+    amount_paid: integer,
+    created_at: dateTime,
+    updated_at: nullableDateTime,
+}, ['id', 'short_url', 'currency', 'usage', 'status', 'created_at']);
+
+const SETTLEMENT = object({
+    id: string,
+    amount: integer,
+    currency: string,
+    gross_amount: integer,
+    refund_amount: integer,
+    fee_amount: integer,
+    tax_amount: integer,
+    entry_count: integer,
+    utr: string,
+    status: string,
+    period_end: dateTime,
+    processed_at: dateTime,
+    created_at: dateTime,
+}, ['id', 'amount', 'currency', 'status', 'created_at']);
+
+module.exports = {
+    object,
+    string,
+    dateTime,
+    LEGACY_PAYMENT,
+    PAYMENT,
+    LEGACY_PROCESSED_REFUND,
+    LEGACY_FAILED_REFUND,
+    REFUND,
+    ORDER,
+    SUBSCRIPTION,
+    PAYMENT_LINK,
+    SETTLEMENT,
+};
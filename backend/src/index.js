@@ -2,6 +2,16 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const db = require('./config/database');
+const { loadRatesFromFile } = require('./services/FxService');
+const { checkEncryptionKey } = require('./services/VaultService');
+
+// Card payments cannot be tokenized without a valid vault key: fail fast
+try {
+    checkEncryptionKey();
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -15,13 +25,37 @@ const ordersRouter = require('./routes/orders');
 const paymentsRouter = require('./routes/payments');
 const refundsRouter = require('./routes/refunds');
 const webhooksRouter = require('./routes/webhooks');
+const webhookEndpointsRouter = require('./routes/webhookEndpoints');
+const eventsRouter = require('./routes/events');
 const testRouter = require('./routes/test');
+const merchantRouter = require('./routes/merchant');
+const customersRouter = require('./routes/customers');
+const plansRouter = require('./routes/plans');
+const subscriptionsRouter = require('./routes/subscriptions');
+const paymentLinksRouter = require('./routes/paymentLinks');
+const shortLinksRouter = require('./routes/shortLinks');
+const fxRouter = require('./routes/fx');
+const adminRouter = require('./routes/admin');
+const settlementsRouter = require('./routes/settlements');
+const reportsRouter = require('./routes/reports');
 
 app.use('/api/v1/orders', ordersRouter);
 app.use('/api/v1/payments', paymentsRouter);
 app.use('/api/v1/refunds', refundsRouter);
+app.use('/api/v1/webhooks/endpoints', webhookEndpointsRouter);
 app.use('/api/v1/webhooks', webhooksRouter);
+app.use('/api/v1/events', eventsRouter);
 app.use('/api/v1/test', testRouter);
+app.use('/api/v1/merchant', merchantRouter);
+app.use('/api/v1/customers', customersRouter);
+app.use('/api/v1/plans', plansRouter);
+app.use('/api/v1/subscriptions', subscriptionsRouter);
+app.use('/api/v1/payment_links', paymentLinksRouter);
+app.use('/api/v1/fx', fxRouter);
+app.use('/api/v1/admin', adminRouter);
+app.use('/api/v1/settlements', settlementsRouter);
+app.use('/api/v1/reports', reportsRouter);
+app.use('/l', shortLinksRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -55,6 +89,13 @@ app.listen(PORT, () => {
     console.log(`📚 API base URL: http://localhost:${PORT}/api/v1`);
 });
 
+// Seed the FX rate table from a local file, if one is configured
+if (process.env.FX_RATES_FILE) {
+    loadRatesFromFile(process.env.FX_RATES_FILE).catch((err) => {
+        console.error('❌ Failed to load FX rates file:', err.message);
+    });
+}
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('⏹️  Shutting down API server...');
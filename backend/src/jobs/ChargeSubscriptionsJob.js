@@ -0,0 +1,83 @@
+const db = require('../config/database');
+const {
+    SETTLED_PAYMENT_STATUSES,
+    chargeSubscription,
+    settleCharge,
+    cancelStaleCharges,
+} = require('../services/SubscriptionService');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Charge Subscriptions Job
+ * Runs on a schedule: cancels billing payments stuck past the charge timeout,
+ * applies the outcome of billing payments that have settled, then starts a
+ * charge for every subscription that is due
+ */
+async function chargeSubscriptions(job) {
+    try {
+        const timedOut = await cancelStaleCharges(BATCH_SIZE);
+
+        const settledResult = await db.query(
+            `SELECT s.*,
+                    pl.interval AS plan_interval,
+                    pl.interval_count AS plan_interval_count
+             FROM subscriptions s
+             JOIN plans pl ON pl.id = s.plan_id
+             JOIN payments p ON p.id = s.pending_payment_id
+             WHERE p.status = ANY($1)
+             LIMIT $2`,
+            [SETTLED_PAYMENT_STATUSES, BATCH_SIZE]
+        );
+
+        let settled = 0;
+        for (const subscription of settledResult.rows) {
+            try {
+                const paymentResult = await db.query(
+                    'SELECT * FROM payments WHERE id = $1',
+                    [subscription.pending_payment_id]
+                );
+                if (await settleCharge(subscription, paymentResult.rows[0])) settled++;
+            } catch (error) {
+                console.error(`Error settling charge for subscription ${subscription.id}:`, error);
+            }
+        }
+
+        const dueResult = await db.query(
+            `SELECT s.*,
+                    pl.amount AS plan_amount,
+                    pl.currency AS plan_currency,
+                    m.api_key AS merchant_api_key,
+                    m.settlement_currency AS merchant_settlement_currency
+             FROM subscriptions s
+             JOIN plans pl ON pl.id = s.plan_id
+             JOIN merchants m ON m.id = s.merchant_id
+             WHERE s.status IN ('active', 'past_due')
+               AND s.pending_payment_id IS NULL
+               AND s.next_charge_at <= CURRENT_TIMESTAMP
+             ORDER BY s.next_charge_at
+             LIMIT $1`,
+            [BATCH_SIZE]
+        );
+
+        let charged = 0;
+        for (const subscription of dueResult.rows) {
+            try {
+                if (await chargeSubscription(subscription)) charged++;
+            } catch (error) {
+                console.error(`Error charging subscription ${subscription.id}:`, error);
+            }
+        }
+
+        if (timedOut > 0 || settled > 0 || charged > 0) {
+            console.log(`🔁 Subscriptions: ${timedOut} timed out, ${settled} settled, ${charged} charge(s) started`);
+        }
+
+        return { success: true, timedOut, settled, charged };
+    } catch (error) {
+        console.error('Error charging subscriptions:', error);
+        throw error;
+    }
+}
+
+module.exports = { chargeSubscriptions };
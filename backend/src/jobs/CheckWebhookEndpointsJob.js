@@ -0,0 +1,30 @@
+const { probeOpenCircuits, drainClosedCircuits, disableFailingEndpoints } = require('../services/WebhookHealthService');
+
+/**
+ * Check Webhook Endpoints Job
+ * Runs on a schedule: probes endpoints whose circuit cool-down has ended,
+ * drains held deliveries that nothing is releasing and disables endpoints
+ * that have been failing for too long
+ */
+async function checkWebhookEndpoints(job) {
+    try {
+        const disabled = await disableFailingEndpoints();
+        const probed = await probeOpenCircuits();
+        const drained = await drainClosedCircuits();
+
+        if (probed > 0) {
+            console.log(`🔌 Probing ${probed} webhook endpoint(s) with open circuits`);
+        }
+
+        if (drained > 0) {
+            console.log(`▶️  Released held webhooks for ${drained} endpoint(s) with closed circuits`);
+        }
+
+        return { success: true, probed, drained, disabled };
+    } catch (error) {
+        console.error('Error checking webhook endpoints:', error);
+        throw error;
+    }
+}
+
+module.exports = { checkWebhookEndpoints };
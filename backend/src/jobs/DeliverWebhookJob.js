@@ -1,10 +1,18 @@
 const axios = require('axios');
 const db = require('../config/database');
-const { generateWebhookSignature } = require('../services/WebhookService');
+const { buildSignatureHeader } = require('../services/WebhookService');
+const {
+    canDeliver,
+    holdDelivery,
+    recordDeliverySuccess,
+    recordDeliveryFailure,
+    releaseNextHeld,
+} = require('../services/WebhookHealthService');
 
 /**
  * Deliver Webhook Job
- * Sends webhook to merchant endpoint with retry logic
+ * Sends a webhook log to its endpoint with retry logic. Deliveries to an
+ * endpoint whose circuit is open are held and drained once it recovers.
  */
 async function deliverWebhook(job) {
     const { webhookLogId, merchantId, event, payload } = job.data;
@@ -12,23 +20,6 @@ async function deliverWebhook(job) {
     try {
         console.log(`🔄 Delivering webhook: ${webhookLogId} (${event})`);
 
-        // Fetch merchant details
-        const merchantResult = await db.query(
-            'SELECT webhook_url, webhook_secret FROM merchants WHERE id = $1',
-            [merchantId]
-        );
-
-        if (merchantResult.rows.length === 0) {
-            throw new Error(`Merchant not found: ${merchantId}`);
-        }
-
-        const merchant = merchantResult.rows[0];
-
-        if (!merchant.webhook_url) {
-            console.log(`Webhook URL not configured for merchant ${merchantId}, skipping`);
-            return { success: true, skipped: true };
-        }
-
         // Fetch current webhook log
         const logResult = await db.query(
             'SELECT * FROM webhook_logs WHERE id = $1',
@@ -42,16 +33,35 @@ async function deliverWebhook(job) {
         const log = logResult.rows[0];
         const currentAttempts = log.attempts + 1;
 
-        // Generate signature
-        const payloadString = JSON.stringify(payload);
-        const crypto = require('crypto');
-        const signature = crypto
-            .createHmac('sha256', merchant.webhook_secret)
-            .update(payloadString)
-            .digest('hex');
+        // Fetch the endpoint this log is delivered to
+        const endpointResult = await db.query(
+            'SELECT * FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2',
+            [log.endpoint_id, merchantId]
+        );
 
-        console.log('DEBUG SENDER Payload:', payloadString);
-        console.log('DEBUG SENDER Sig:', signature);
+        const endpoint = endpointResult.rows[0];
+
+        if (!endpoint || !endpoint.enabled) {
+            await db.query(
+                `UPDATE webhook_logs SET status = 'failed', next_retry_at = NULL, response_body = $2
+         WHERE id = $1`,
+                [webhookLogId, 'Webhook endpoint disabled or deleted']
+            );
+            console.log(`Webhook endpoint ${log.endpoint_id} is disabled or deleted, skipping ${webhookLogId}`);
+            return { success: true, skipped: true };
+        }
+
+        // Hold the delivery while the endpoint's circuit is open, or behind
+        // older held deliveries so they arrive in order
+        if (!(await canDeliver(endpoint, webhookLogId))) {
+            await holdDelivery(webhookLogId);
+            console.log(`⏸️  Webhook held: ${webhookLogId} (endpoint ${endpoint.id} ${endpoint.circuit_state})`);
+            return { success: true, webhookLogId, held: true };
+        }
+
+        // Sign timestamp + body with every active secret (two during a rotation)
+        const payloadString = JSON.stringify(payload);
+        const signature = buildSignatureHeader(endpoint, payloadString);
 
         // Send webhook
         let responseCode = null;
@@ -59,7 +69,7 @@ async function deliverWebhook(job) {
         let deliverySuccess = false;
 
         try {
-            const response = await axios.post(merchant.webhook_url, payloadString, {
+            const response = await axios.post(endpoint.url, payloadString, {
                 headers: {
                     'Content-Type': 'application/json',
                     'X-Webhook-Signature': signature,
@@ -96,10 +106,28 @@ async function deliverWebhook(job) {
          WHERE id = $4`,
                 [currentAttempts, responseCode, responseBody, webhookLogId]
             );
+
+            // Endpoint health is bookkeeping; an error must not resend the webhook
+            try {
+                await recordDeliverySuccess(endpoint);
+            } catch (error) {
+                console.error(`Error recording delivery success for endpoint ${endpoint.id}:`, error.message);
+            }
         } else {
+            let health = endpoint;
+            try {
+                health = await recordDeliveryFailure(endpoint);
+            } catch (error) {
+                console.error(`Error recording delivery failure for endpoint ${endpoint.id}:`, error.message);
+            }
+
+            // With the circuit open, the delivery waits for the endpoint to
+            // recover instead of retrying on its own schedule
+            const held = currentAttempts < 5 && health.circuit_state === 'open';
+
             // Calculate next retry time
-            const nextRetryAt = calculateNextRetry(currentAttempts);
-            const newStatus = currentAttempts >= 5 ? 'failed' : 'pending';
+            const nextRetryAt = held ? null : calculateNextRetry(currentAttempts);
+            const newStatus = currentAttempts >= 5 ? 'failed' : held ? 'held' : 'pending';
 
             await db.query(
                 `UPDATE webhook_logs
@@ -114,18 +142,27 @@ async function deliverWebhook(job) {
             );
 
             // Schedule retry if not exceeded max attempts
-            if (currentAttempts < 5) {
+            if (held) {
+                console.log(`⏸️  Circuit open for endpoint ${endpoint.id}, holding webhook ${webhookLogId}`);
+            } else if (currentAttempts < 5) {
                 const retryDelay = getRetryDelay(currentAttempts);
                 console.log(`⏰ Scheduling retry ${currentAttempts + 1} in ${retryDelay}ms`);
 
                 const { webhookQueue } = require('../config/queue');
                 await webhookQueue.add(
                     'deliver-webhook',
-                    { webhookLogId, merchantId, event, payload },
+                    { webhookLogId, merchantId, endpointId: endpoint.id, event, payload },
                     { delay: retryDelay }
                 );
             } else {
                 console.log(`❌ Max retry attempts reached for webhook: ${webhookLogId}`);
+
+                // This delivery is finished, so the next held one may go
+                try {
+                    await releaseNextHeld(endpoint.id);
+                } catch (error) {
+                    console.error(`Error releasing held webhooks for endpoint ${endpoint.id}:`, error.message);
+                }
             }
         }
 
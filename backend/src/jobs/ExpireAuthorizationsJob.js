@@ -0,0 +1,38 @@
+const db = require('../config/database');
+const { voidPayment } = require('../services/PaymentService');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Expire Authorizations Job
+ * Runs on a schedule and voids authorizations that were never captured
+ * within the authorization window
+ */
+async function expireAuthorizations(job) {
+    try {
+        const result = await db.query(
+            `SELECT * FROM payments
+             WHERE status = 'authorized' AND authorization_expires_at <= CURRENT_TIMESTAMP
+             ORDER BY authorization_expires_at
+             LIMIT $1`,
+            [BATCH_SIZE]
+        );
+
+        let voided = 0;
+        for (const payment of result.rows) {
+            const voidedPayment = await voidPayment(payment, 'AUTHORIZATION_EXPIRED');
+            if (voidedPayment) voided++;
+        }
+
+        if (voided > 0) {
+            console.log(`⌛ Voided ${voided} expired authorization(s)`);
+        }
+
+        return { success: true, voided };
+    } catch (error) {
+        console.error('Error expiring authorizations:', error);
+        throw error;
+    }
+}
+
+module.exports = { expireAuthorizations };
@@ -0,0 +1,28 @@
+const { generateReport, failReport } = require('../services/ReportService');
+
+/**
+ * Generate Report Job
+ * Streams a report's rows from Postgres into a CSV or JSON Lines file
+ */
+async function processReport(job) {
+    const { reportId } = job.data;
+
+    try {
+        console.log(`📄 Generating report: ${reportId}`);
+
+        const report = await generateReport(reportId);
+
+        return { success: true, reportId, rows: report ? report.row_count : 0 };
+    } catch (error) {
+        console.error(`Error generating report ${reportId}:`, error);
+
+        // Leave the report processing while Bull still has retries left
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+            await failReport(reportId, error.message);
+        }
+
+        throw error;
+    }
+}
+
+module.exports = { processReport };
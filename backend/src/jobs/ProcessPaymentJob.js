@@ -1,19 +1,44 @@
 const db = require('../config/database');
+const { PAYABLE_ORDER_STATUSES } = require('../services/OrderService');
+const {
+  resolveAutoCapture,
+  authorizePayment,
+  requireAction,
+  failPayment,
+  capturePayment,
+  releaseAuthorization,
+} = require('../services/PaymentService');
+const { detokenize, getCvv } = require('../services/VaultService');
+const { recordLinkPayment } = require('../services/PaymentLinkService');
 const { createWebhookLog } = require('../services/WebhookService');
+const { resolveProcessor } = require('../processors');
 
 /**
  * Process Payment Job
- * Simulates payment processing with random success/failure
+ * Authorizes the payment through the processor routed for it, then
+ * auto-captures when the order or merchant asks for it
  */
 async function processPayment(job) {
   const { paymentId } = job.data;
 
+  // Authorization the processor holds for this payment, if it got that far
+  let heldAuthorization = null;
+
   try {
     console.log(`🔄 Processing payment: ${paymentId}`);
 
-    // Fetch payment from database
+    // Fetch payment with its order and merchant settings
     const result = await db.query(
-      'SELECT * FROM payments WHERE id = $1',
+      `SELECT p.*,
+              o.status AS order_status,
+              o.auto_capture AS order_auto_capture,
+              o.subscription_id AS order_subscription_id,
+              m.auto_capture AS merchant_auto_capture,
+              m.processor_routes AS merchant_processor_routes
+       FROM payments p
+       JOIN orders o ON o.id = p.order_id
+       JOIN merchants m ON m.id = p.merchant_id
+       WHERE p.id = $1`,
       [paymentId]
     );
 
@@ -23,88 +48,147 @@ async function processPayment(job) {
 
     const payment = result.rows[0];
 
-    // Simulate processing delay
-    const testMode = process.env.TEST_MODE === 'true';
-    const delay = testMode
-      ? parseInt(process.env.TEST_PROCESSING_DELAY || '1000')
-      : Math.floor(Math.random() * 5000) + 5000; // 5-10 seconds
-
-    await sleep(delay);
-
-    // Determine payment outcome
-    let isSuccess;
-    if (testMode) {
-      isSuccess = process.env.TEST_PAYMENT_SUCCESS !== 'false';
-    } else {
-      // Random success based on payment method
-      const successRate = payment.method === 'upi' ? 0.9 : 0.95;
-      isSuccess = Math.random() < successRate;
+    const autoCapture = resolveAutoCapture(
+      { auto_capture: payment.order_auto_capture },
+      { auto_capture: payment.merchant_auto_capture }
+    );
+
+    // A retry that failed between authorization and auto-capture resumes at capture
+    if (payment.status === 'authorized' && autoCapture) {
+      return await autoCapturePayment(payment);
+    }
+
+    // Otherwise a retried job may find the payment already settled
+    if (payment.status !== 'pending') {
+      console.log(`Payment ${paymentId} is already ${payment.status}, skipping`);
+      return { success: true, paymentId, status: payment.status, skipped: true };
+    }
+
+    // A second payment on an already-paid order must not go through
+    if (!PAYABLE_ORDER_STATUSES.includes(payment.order_status)) {
+      await failPayment(payment, 'ORDER_ALREADY_PAID');
+      return { success: true, paymentId, status: 'failed' };
+    }
+
+    // Announced once per payment, before card details are revealed. The claim
+    // is on the payment, so neither a retry nor the job that resumes after
+    // 3-D Secure announces it again.
+    const announce = await db.query(
+      `UPDATE payments SET pending_announced_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND pending_announced_at IS NULL
+       RETURNING id`,
+      [paymentId]
+    );
+    if (announce.rows.length > 0) {
+      await createWebhookLog(payment.merchant_id, 'payment.pending', { payment });
+    }
+
+    // Card details are read from the vault into memory only for the processor call
+    if (payment.method === 'card') {
+      await revealCard(payment);
+
+      // A CVV was given but expired before authorization (e.g. a slow 3-D Secure challenge)
+      if (payment.cvv_expires_at && !payment.card_cvv) {
+        await failPayment(payment, 'CVV_EXPIRED');
+        return { success: true, paymentId, status: 'failed' };
+      }
+    }
+
+    // Pin the processor on the payment so capture, void and refund go to the same one
+    const processor = resolveProcessor(payment, {
+      processor_routes: payment.merchant_processor_routes,
+    });
+
+    await db.query(
+      'UPDATE payments SET processor = $1 WHERE id = $2',
+      [processor.name, paymentId]
+    );
+    payment.processor = processor.name;
+
+    // Idempotent on payment.id, so a retry gets back the hold it already placed
+    const outcome = await processor.authorize(payment);
+
+    // Customer must authenticate (3-D Secure) before authorization can continue.
+    // Nobody is present for a subscription renewal, so it fails instead of waiting.
+    if (outcome.requires_action && payment.order_subscription_id) {
+      await failPayment(payment, 'AUTHENTICATION_REQUIRED');
+      return { success: true, paymentId, status: 'failed' };
+    }
+
+    if (outcome.requires_action) {
+      await requireAction(payment, outcome.next_action);
+      return { success: true, paymentId, status: 'requires_action' };
     }
 
-    if (isSuccess) {
-      // Update payment to success
-      await db.query(
-        `UPDATE payments
-         SET status = 'success', updated_at = CURRENT_TIMESTAMP
-         WHERE id = $1`,
-        [paymentId]
-      );
-
-      console.log(`✅ Payment successful: ${paymentId}`);
-
-      // Enqueue webhook for payment.success
-      await createWebhookLog(payment.merchant_id, 'payment.success', {
-        payment: {
-          id: payment.id,
-          order_id: payment.order_id,
-          amount: payment.amount,
-          currency: payment.currency,
-          method: payment.method,
-          vpa: payment.vpa || undefined,
-          status: 'success',
-          created_at: payment.created_at,
-        },
-      });
-    } else {
-      // Update payment to failed
-      await db.query(
-        `UPDATE payments
-         SET status = 'failed',
-             error_code = 'PAYMENT_FAILED',
-             error_description = 'Payment processing failed',
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $1`,
-        [paymentId]
-      );
-
-      console.log(`❌ Payment failed: ${paymentId}`);
-
-      // Enqueue webhook for payment.failed
-      await createWebhookLog(payment.merchant_id, 'payment.failed', {
-        payment: {
-          id: payment.id,
-          order_id: payment.order_id,
-          amount: payment.amount,
-          currency: payment.currency,
-          method: payment.method,
-          vpa: payment.vpa || undefined,
-          status: 'failed',
-          error_code: 'PAYMENT_FAILED',
-          error_description: 'Payment processing failed',
-          created_at: payment.created_at,
-        },
-      });
+    if (!outcome.success) {
+      await failPayment(payment, outcome.error_code, outcome.error_description);
+      return { success: true, paymentId, status: 'failed' };
     }
 
-    return { success: true, paymentId, status: isSuccess ? 'success' : 'failed' };
+    heldAuthorization = { ...payment, processor_reference: outcome.reference };
+
+    const authorized = await authorizePayment(payment, outcome.reference);
+    if (!authorized) {
+      // Cancelled while the processor was authorizing: release the hold
+      await releaseAuthorization({ ...payment, processor_reference: outcome.reference });
+      return { success: true, paymentId, skipped: true };
+    }
+
+    if (!autoCapture) {
+      return { success: true, paymentId, status: 'authorized' };
+    }
+
+    return await autoCapturePayment(authorized);
   } catch (error) {
     console.error(`Error processing payment ${paymentId}:`, error);
+
+    // Out of retries: settle the payment instead of leaving it pending forever
+    // and release any hold the processor placed for it
+    if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      const failed = await failPayment({ id: paymentId }, 'PROCESSOR_ERROR');
+
+      if (failed && heldAuthorization) {
+        await releaseAuthorization(heldAuthorization);
+      }
+    }
+
     throw error;
   }
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Attach the detokenized card number and held CVV to the in-memory payment
+ */
+async function revealCard(payment) {
+  const card = payment.card_token ? await detokenize(payment.card_token) : null;
+  if (!card) {
+    throw new Error(`Card token not found for payment: ${payment.id}`);
+  }
+
+  payment.card_number = card.number;
+  payment.card_cvv = await getCvv(payment.id);
+}
+
+/**
+ * Capture the full authorized amount
+ */
+async function autoCapturePayment(payment) {
+  let captured;
+  try {
+    captured = await capturePayment(payment, payment.amount);
+  } catch (error) {
+    if (error.code !== 'ORDER_ALREADY_PAID') throw error;
+    return { success: true, paymentId: payment.id, status: 'voided' };
+  }
+
+  // Payment link totals are bookkeeping: a failure here must not retry the capture
+  try {
+    await recordLinkPayment(captured);
+  } catch (error) {
+    console.error(`Error updating payment link for ${payment.id}:`, error);
+  }
+
+  return { success: true, paymentId: payment.id, status: 'success' };
 }
 
 module.exports = { processPayment };
@@ -1,9 +1,23 @@
 const db = require('../config/database');
 const { createWebhookLog } = require('../services/WebhookService');
+const { syncOrderRefundStatus } = require('../services/OrderService');
+const { toSettlementAmount } = require('../services/FxService');
+const { recordRefund, recordFees } = require('../services/LedgerService');
+const { calculateInstantRefundFees } = require('../services/PricingService');
+const {
+    claimRefund,
+    failRefund,
+    getReservedRefundAmount,
+    markRefundSent,
+    sendRefundToProcessor,
+} = require('../services/RefundService');
 
 /**
  * Process Refund Job
- * Processes refund requests asynchronously
+ * Processes refund requests asynchronously. Business failures (declines,
+ * a payment that is no longer refundable) fail the refund at once; unexpected
+ * errors are retried by Bull and fail the refund on the last attempt, unless
+ * the processor already accepted it.
  */
 async function processRefund(job) {
     const { refundId } = job.data;
@@ -11,18 +25,14 @@ async function processRefund(job) {
     try {
         console.log(`🔄 Processing refund: ${refundId}`);
 
-        // Fetch refund from database
-        const result = await db.query(
-            'SELECT * FROM refunds WHERE id = $1',
-            [refundId]
-        );
+        // Claim the refund; cancelled or already-settled refunds are left alone
+        const refund = await claimRefund(refundId);
 
-        if (result.rows.length === 0) {
-            throw new Error(`Refund not found: ${refundId}`);
+        if (!refund) {
+            console.log(`⏭️  Refund ${refundId} is no longer pending, skipping`);
+            return { success: true, refundId, skipped: true };
         }
 
-        const refund = result.rows[0];
-
         // Fetch payment details
         const paymentResult = await db.query(
             'SELECT * FROM payments WHERE id = $1',
@@ -35,61 +45,114 @@ async function processRefund(job) {
 
         const payment = paymentResult.rows[0];
 
-        // Verify payment is refundable
-        if (payment.status !== 'success') {
-            throw new Error(`Payment not in refundable state: ${payment.status}`);
-        }
-
-        // Verify refund amount doesn't exceed payment amount
-        const refundSumResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0) as total_refunded
-       FROM refunds
-       WHERE payment_id = $1 AND status IN ('pending', 'processed')`,
-            [refund.payment_id]
-        );
-
-        const totalRefunded = parseInt(refundSumResult.rows[0].total_refunded);
-        if (totalRefunded > payment.amount) {
-            throw new Error(`Refund amount exceeds payment amount`);
+        let outcome;
+        let speed;
+
+        if (refund.sent_at) {
+            // An earlier attempt was accepted by the processor; only the
+            // database write is left, so the refund is not sent again
+            console.log(`↪️  Refund ${refundId} was already sent, finishing it`);
+            outcome = { success: true, reference: refund.processor_reference };
+            speed = refund.speed_processed;
+        } else {
+            // Verify payment is refundable
+            if (payment.status !== 'success') {
+                await failRefund(refund, 'PAYMENT_NOT_REFUNDABLE', `Payment not in refundable state: ${payment.status}`);
+                return { success: false, refundId, status: 'failed' };
+            }
+
+            // Verify refund amount doesn't exceed payment amount
+            const totalReserved = await getReservedRefundAmount(refund.payment_id);
+            if (totalReserved > payment.captured_amount) {
+                await failRefund(refund, 'REFUND_AMOUNT_EXCEEDED');
+                return { success: false, refundId, status: 'failed' };
+            }
+
+            // Send the refund to the processor that captured the payment; optimum
+            // refunds go out instantly when the processor supports it
+            ({ outcome, speed } = await sendRefundToProcessor(payment, refund));
+
+            if (!outcome.success) {
+                await failRefund(refund, outcome.error_code || 'REFUND_DECLINED', outcome.error_description);
+                return { success: false, refundId, status: 'failed' };
+            }
+
+            // Record the acceptance first, so a retry never refunds twice
+            const sent = await markRefundSent(refund, outcome, speed);
+            if (!sent) {
+                throw new Error(`Refund ${refundId} left processing before it could be marked sent`);
+            }
         }
 
-        // Simulate refund processing delay (3-5 seconds)
-        const delay = Math.floor(Math.random() * 2000) + 3000;
-        await sleep(delay);
+        // Refunds are debited from settlement at the rate locked on the payment,
+        // not today's rate, so the merchant gives back exactly what they received
+        const settlementCurrency = payment.settlement_currency || payment.currency;
+        const settlementAmount = toSettlementAmount(payment, refund.amount);
+        const fees = speed === 'instant' ? calculateInstantRefundFees(settlementAmount) : { fee: 0, tax: 0 };
 
         // Update refund status to processed
-        await db.query(
+        const processedResult = await db.query(
             `UPDATE refunds
        SET status = 'processed',
-           processed_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-            [refundId]
+           processor_reference = $2,
+           settlement_currency = $3,
+           settlement_amount = $4,
+           speed_processed = $5,
+           fee = $6,
+           tax = $7,
+           processed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'processing'
+       RETURNING *`,
+            [refundId, outcome.reference || null, settlementCurrency, settlementAmount, speed, fees.fee, fees.tax]
         );
 
-        console.log(`✅ Refund processed: ${refundId}`);
+        if (processedResult.rows.length === 0) {
+            throw new Error(`Refund ${refundId} left processing before it could be marked processed`);
+        }
+
+        const processed = processedResult.rows[0];
+
+        console.log(`✅ Refund processed: ${refundId} (${speed})`);
+
+        // Move the order to refunded / partially_refunded; the refund itself
+        // is already settled, so a lifecycle error must not re-run this job
+        try {
+            await syncOrderRefundStatus(payment.order_id);
+        } catch (error) {
+            console.error(`Error updating order status for refund ${refundId}:`, error.message);
+        }
+
+        // Left to the reconciliation sweep if the ledger is unavailable
+        try {
+            await recordRefund(processed);
+            await recordFees(processed);
+        } catch (error) {
+            console.error(`Error posting refund ${refundId} to the ledger:`, error.message);
+        }
 
         // Enqueue webhook for refund.processed
-        await createWebhookLog(refund.merchant_id, 'refund.processed', {
-            refund: {
-                id: refund.id,
-                payment_id: refund.payment_id,
-                amount: refund.amount,
-                reason: refund.reason,
-                status: 'processed',
-                created_at: refund.created_at,
-                processed_at: new Date().toISOString(),
-            },
-        });
+        await createWebhookLog(refund.merchant_id, 'refund.processed', { refund: processed, payment });
 
         return { success: true, refundId, status: 'processed' };
     } catch (error) {
         console.error(`Error processing refund ${refundId}:`, error);
+
+        // Out of retries: fail the refund so its amount is released. A refund
+        // the processor accepted is not failed; the resume sweep finishes it.
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+            const failed = await failRefund({ id: refundId }, 'PROCESSOR_ERROR').catch((failError) => {
+                console.error(`Error failing refund ${refundId}:`, failError.message);
+                return undefined;
+            });
+
+            if (failed === null) {
+                console.log(`⏸️  Refund ${refundId} was accepted by the processor, leaving it for the resume sweep`);
+            }
+        }
+
         throw error;
     }
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 module.exports = { processRefund };
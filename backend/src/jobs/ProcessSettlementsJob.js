@@ -0,0 +1,23 @@
+const { runSettlements } = require('../services/SettlementService');
+
+/**
+ * Process Settlements Job
+ * Runs daily: pays out each merchant's captured funds, net of refunds and
+ * fees, that are older than the settlement delay
+ */
+async function processSettlements(job) {
+    try {
+        const { settled } = await runSettlements();
+
+        if (settled > 0) {
+            console.log(`🏦 Processed ${settled} settlement(s)`);
+        }
+
+        return { success: true, settled };
+    } catch (error) {
+        console.error('Error processing settlements:', error);
+        throw error;
+    }
+}
+
+module.exports = { processSettlements };
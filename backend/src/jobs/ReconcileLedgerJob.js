@@ -0,0 +1,23 @@
+const { reconcileLedger } = require('../services/LedgerService');
+
+/**
+ * Reconcile Ledger Job
+ * Runs periodically: re-posts capture, refund and fee journals that a
+ * ledger error left missing, so they are included in the next settlement
+ */
+async function reconcileJournals(job) {
+    try {
+        const { payments, refunds } = await reconcileLedger();
+
+        if (payments > 0 || refunds > 0) {
+            console.log(`📒 Re-posted ledger journals for ${payments} payment(s) and ${refunds} refund(s)`);
+        }
+
+        return { success: true, payments, refunds };
+    } catch (error) {
+        console.error('Error reconciling ledger:', error);
+        throw error;
+    }
+}
+
+module.exports = { reconcileJournals };
@@ -0,0 +1,28 @@
+const { processRedelivery, failRedelivery } = require('../services/EventService');
+
+/**
+ * Redeliver Events Job
+ * Enqueues a range of stored events to one webhook endpoint, oldest first
+ */
+async function redeliverEvents(job) {
+    const { redeliveryId } = job.data;
+
+    try {
+        console.log(`🔁 Redelivering events: ${redeliveryId}`);
+
+        const redelivery = await processRedelivery(redeliveryId);
+
+        return { success: true, redeliveryId, events: redelivery ? redelivery.event_count : 0 };
+    } catch (error) {
+        console.error(`Error redelivering events ${redeliveryId}:`, error);
+
+        // Leave the redelivery processing while Bull still has retries left
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+            await failRedelivery(redeliveryId, error.message);
+        }
+
+        throw error;
+    }
+}
+
+module.exports = { redeliverEvents };
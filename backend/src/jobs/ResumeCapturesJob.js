@@ -0,0 +1,23 @@
+const { resumeStaleCaptures } = require('../services/PaymentService');
+
+/**
+ * Resume Captures Job
+ * Runs on a schedule and finishes captures interrupted while the payment was
+ * capturing, or hands them back to authorized if the acquirer never took them
+ */
+async function resumeCaptures(job) {
+    try {
+        const { completed, released } = await resumeStaleCaptures();
+
+        if (completed > 0 || released > 0) {
+            console.log(`↪️  Resumed captures: ${completed} completed, ${released} released`);
+        }
+
+        return { success: true, completed, released };
+    } catch (error) {
+        console.error('Error resuming captures:', error);
+        throw error;
+    }
+}
+
+module.exports = { resumeCaptures };
@@ -0,0 +1,23 @@
+const { resumeSentRefunds } = require('../services/RefundService');
+
+/**
+ * Resume Refunds Job
+ * Runs on a schedule and re-queues refunds the processor accepted but whose
+ * job ran out of attempts before marking them processed
+ */
+async function resumeRefunds(job) {
+    try {
+        const resumed = await resumeSentRefunds();
+
+        if (resumed > 0) {
+            console.log(`↪️  Re-queued ${resumed} sent refund(s)`);
+        }
+
+        return { success: true, resumed };
+    } catch (error) {
+        console.error('Error resuming refunds:', error);
+        throw error;
+    }
+}
+
+module.exports = { resumeRefunds };
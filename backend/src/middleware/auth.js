@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const db = require('../config/database');
 
 /**
@@ -59,4 +60,48 @@ async function authenticate(req, res, next) {
     }
 }
 
-module.exports = { authenticate };
+/**
+ * Authentication middleware for operator-only endpoints
+ * Validates the X-Admin-Token header against ADMIN_API_TOKEN; admin
+ * endpoints are disabled when no token is configured
+ */
+function authenticateAdmin(req, res, next) {
+    const expected = process.env.ADMIN_API_TOKEN;
+    const provided = req.headers['x-admin-token'];
+
+    if (!expected) {
+        return res.status(403).json({
+            error: {
+                code: 'AUTHENTICATION_ERROR',
+                description: 'Admin API is disabled',
+            },
+        });
+    }
+
+    const providedBuffer = Buffer.from(typeof provided === 'string' ? provided : '');
+    const expectedBuffer = Buffer.from(expected);
+    const valid = providedBuffer.length === expectedBuffer.length
+        && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+
+    if (!valid) {
+        return res.status(401).json({
+            error: {
+                code: 'AUTHENTICATION_ERROR',
+                description: 'Invalid admin token',
+            },
+        });
+    }
+
+    next();
+}
+
+/**
+ * Check whether an API key belongs to test mode
+ * @param {string} apiKey - Merchant API key
+ * @returns {boolean} True for key_test_* keys
+ */
+function isTestModeKey(apiKey) {
+    return typeof apiKey === 'string' && apiKey.startsWith('key_test_');
+}
+
+module.exports = { authenticate, authenticateAdmin, isTestModeKey };
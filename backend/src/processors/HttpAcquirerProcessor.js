@@ -0,0 +1,101 @@
+const axios = require('axios');
+
+/**
+ * HTTP acquirer processor
+ * Forwards operations to an external acquirer over JSON/HTTP.
+ * Point ACQUIRER_URL at test-merchant/acquirer-stub.js to run locally.
+ *
+ * Expected acquirer contract (all POST, JSON):
+ *   /authorizations                 → { approved, reference, error_code, error_description }
+ *     (idempotent on payment_id: a repeat returns the original authorization)
+ *   /authorizations/:ref/capture    → { approved, reference, ... }
+ *     (idempotent: a repeat returns the original capture)
+ *   /authorizations/:ref/void       → { approved, reference, ... }
+ *   /authorizations/:ref/refunds    → { approved, reference, ... }
+ *     (idempotent on refund_id; speed: "instant" may decline with INSTANT_REFUND_UNAVAILABLE)
+ */
+
+const name = 'http_acquirer';
+
+async function authorize(payment) {
+    return send('/authorizations', {
+        payment_id: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        method: payment.method,
+        card: payment.method === 'card'
+            ? { number: payment.card_number, expiry: payment.card_expiry, cvv: payment.card_cvv }
+            : undefined,
+        vpa: payment.vpa || undefined,
+    });
+}
+
+async function capture(payment, amount) {
+    return send(`/authorizations/${encodeURIComponent(payment.processor_reference)}/capture`, {
+        payment_id: payment.id,
+        amount,
+    });
+}
+
+async function refund(payment, refundRecord) {
+    return send(`/authorizations/${encodeURIComponent(payment.processor_reference)}/refunds`, {
+        payment_id: payment.id,
+        refund_id: refundRecord.id,
+        amount: refundRecord.amount,
+    });
+}
+
+async function instantRefund(payment, refundRecord) {
+    return send(`/authorizations/${encodeURIComponent(payment.processor_reference)}/refunds`, {
+        payment_id: payment.id,
+        refund_id: refundRecord.id,
+        amount: refundRecord.amount,
+        speed: 'instant',
+    });
+}
+
+async function voidAuthorization(payment) {
+    return send(`/authorizations/${encodeURIComponent(payment.processor_reference)}/void`, {
+        payment_id: payment.id,
+    });
+}
+
+/**
+ * POST to the acquirer and normalize the response into a ProcessorResult.
+ * Network errors and 5xx responses are thrown so the Bull job retries them.
+ */
+async function send(path, body) {
+    const baseUrl = process.env.ACQUIRER_URL || 'http://localhost:4100';
+
+    try {
+        const response = await axios.post(`${baseUrl}${path}`, body, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: parseInt(process.env.ACQUIRER_TIMEOUT || '30000'),
+        });
+
+        return toResult(response.data);
+    } catch (error) {
+        if (error.response && error.response.status < 500) {
+            return toResult(error.response.data);
+        }
+        throw new Error(`Acquirer request failed (${path}): ${error.message}`);
+    }
+}
+
+function toResult(data = {}) {
+    return {
+        success: data.approved === true,
+        reference: data.reference || undefined,
+        error_code: data.error_code || undefined,
+        error_description: data.error_description || undefined,
+    };
+}
+
+module.exports = {
+    name,
+    authorize,
+    capture,
+    refund,
+    instantRefund,
+    void: voidAuthorization,
+};
@@ -0,0 +1,85 @@
+/**
+ * Sandbox processor
+ * Deterministic stand-in acquirer. Test-mode payments using a magic card
+ * or VPA (see sandboxScenarios.js) get the scripted outcome; everything
+ * else is approved after a fixed delay, so results are repeatable
+ */
+
+const crypto = require('crypto');
+const { SANDBOX_3DS_OTP, findScenario } = require('./sandboxScenarios');
+
+const name = 'sandbox';
+
+async function authorize(payment) {
+    const scenario = (payment.test_mode && findScenario(payment)) || {};
+
+    await sleep(scenario.delay ?? getDelay());
+
+    if (scenario.challenge && payment.three_ds_status !== 'authenticated') {
+        return {
+            success: false,
+            requires_action: true,
+            next_action: {
+                type: '3ds_challenge',
+                description: `Submit OTP ${SANDBOX_3DS_OTP} to complete authentication`,
+            },
+        };
+    }
+
+    if (scenario.error_code) {
+        return { success: false, error_code: scenario.error_code };
+    }
+
+    return { success: true, reference: reference('auth', payment.id) };
+}
+
+async function authenticate(payment, { otp }) {
+    if (otp !== SANDBOX_3DS_OTP) {
+        return { success: false, error_code: 'AUTHENTICATION_FAILED' };
+    }
+
+    return { success: true, reference: reference('3ds', payment.id) };
+}
+
+async function capture(payment, amount) {
+    return { success: true, reference: reference('cap', `${payment.id}:${amount}`) };
+}
+
+async function refund(payment, refundRecord) {
+    await sleep(getDelay());
+    return { success: true, reference: reference('rfn', refundRecord.id) };
+}
+
+async function instantRefund(payment, refundRecord) {
+    return { success: true, reference: reference('irf', refundRecord.id) };
+}
+
+async function voidAuthorization(payment) {
+    return { success: true, reference: reference('void', payment.id) };
+}
+
+function getDelay() {
+    return parseInt(process.env.SANDBOX_PROCESSING_DELAY || '500');
+}
+
+/**
+ * References are derived from the input so repeated runs produce the same value
+ */
+function reference(prefix, seed) {
+    const digest = crypto.createHash('sha256').update(seed).digest('hex').slice(0, 16);
+    return `sbx_${prefix}_${digest}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    name,
+    authorize,
+    authenticate,
+    capture,
+    refund,
+    instantRefund,
+    void: voidAuthorization,
+};
@@ -0,0 +1,86 @@
+/**
+ * Simulator processor
+ * Random outcomes with realistic delays; TEST_MODE makes it fast and fixed
+ */
+
+const name = 'simulator';
+
+async function authorize(payment) {
+    const testMode = process.env.TEST_MODE === 'true';
+    const delay = testMode
+        ? parseInt(process.env.TEST_PROCESSING_DELAY || '1000')
+        : Math.floor(Math.random() * 5000) + 5000; // 5-10 seconds
+
+    await sleep(delay);
+
+    let isSuccess;
+    if (testMode) {
+        isSuccess = process.env.TEST_PAYMENT_SUCCESS !== 'false';
+    } else {
+        // Random success based on payment method
+        const successRate = payment.method === 'upi' ? 0.9 : 0.95;
+        isSuccess = Math.random() < successRate;
+    }
+
+    if (!isSuccess) {
+        return { success: false, error_code: pickDeclineCode(payment) };
+    }
+
+    return { success: true, reference: reference('auth') };
+}
+
+async function capture(payment, amount) {
+    return { success: true, reference: reference('cap') };
+}
+
+async function refund(payment, refundRecord) {
+    // Simulate refund processing delay (3-5 seconds)
+    await sleep(Math.floor(Math.random() * 2000) + 3000);
+    return { success: true, reference: reference('rfn') };
+}
+
+async function instantRefund(payment, refundRecord) {
+    // Amex does not support push-to-card, so instant refunds fall back to normal
+    if (payment.card_network === 'amex') {
+        return {
+            success: false,
+            error_code: 'INSTANT_REFUND_UNAVAILABLE',
+            error_description: 'Instant refunds are not supported for this card network',
+        };
+    }
+
+    await sleep(Math.floor(Math.random() * 300) + 200);
+    return { success: true, reference: reference('irf') };
+}
+
+async function voidAuthorization(payment) {
+    return { success: true, reference: reference('void') };
+}
+
+/**
+ * Pick a realistic decline reason for a simulated failure
+ */
+function pickDeclineCode(payment) {
+    const codes = payment.method === 'upi'
+        ? ['PAYMENT_DECLINED', 'VPA_NOT_FOUND', 'ISSUER_UNAVAILABLE']
+        : ['PAYMENT_DECLINED', 'INSUFFICIENT_FUNDS', 'INVALID_CVV', 'ISSUER_UNAVAILABLE', 'RISK_DECLINED'];
+
+    return codes[Math.floor(Math.random() * codes.length)];
+}
+
+function reference(prefix) {
+    return `sim_${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    name,
+    authorize,
+    capture,
+    refund,
+    instantRefund,
+    void: voidAuthorization,
+};
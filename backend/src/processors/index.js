@@ -0,0 +1,110 @@
+/**
+ * Payment processor registry
+ *
+ * Every adapter implements the same interface so jobs and routes never
+ * depend on a specific acquirer:
+ *
+ *   authorize(payment)              → ProcessorResult
+ *   capture(payment, amount)        → ProcessorResult
+ *   refund(payment, refund)         → ProcessorResult
+ *   void(payment)                   → ProcessorResult
+ *   authenticate(payment, { otp })  → ProcessorResult   (optional, 3-D Secure)
+ *   instantRefund(payment, refund)  → ProcessorResult   (optional, instant refunds)
+ *
+ * authorize() must be idempotent on payment.id: a job retried after the
+ * processor approved returns the same authorization instead of placing a
+ * second hold.
+ *
+ * capture() must be idempotent on payment.id: a capture resent after an
+ * interruption returns the original outcome instead of capturing twice.
+ *
+ * For authorize(), card payments carry card_number and card_cvv read from
+ * the vault; they are never persisted on the payment row.
+ *
+ * refund() and instantRefund() must be idempotent on refund.id: a refund
+ * retried before the gateway recorded the acceptance is not paid out twice.
+ *
+ * instantRefund() declines with INSTANT_REFUND_UNAVAILABLE when the payment
+ * cannot be refunded instantly; the refund then falls back to refund().
+ *
+ * @typedef {Object} ProcessorResult
+ * @property {boolean} success - Whether the operation was approved
+ * @property {string} [reference] - Processor-side reference for the operation
+ * @property {string} [error_code] - Machine-readable decline/error code
+ * @property {string} [error_description] - Human-readable decline/error description
+ * @property {boolean} [requires_action] - Authorization needs customer authentication first
+ * @property {Object} [next_action] - What the customer must do when requires_action is set
+ */
+
+const simulator = require('./SimulatorProcessor');
+const sandbox = require('./SandboxProcessor');
+const httpAcquirer = require('./HttpAcquirerProcessor');
+const { findScenario } = require('./sandboxScenarios');
+
+/**
+ * Decline code an adapter returns when an instant refund is not possible
+ */
+const INSTANT_REFUND_UNAVAILABLE = 'INSTANT_REFUND_UNAVAILABLE';
+
+const PROCESSORS = {
+    [simulator.name]: simulator,
+    [sandbox.name]: sandbox,
+    [httpAcquirer.name]: httpAcquirer,
+};
+
+/**
+ * Payment methods that can be routed individually
+ */
+const ROUTABLE_METHODS = ['card', 'upi'];
+
+/**
+ * Get a processor adapter by name
+ * @param {string} name - Processor name
+ * @returns {Object} Processor adapter
+ */
+function getProcessor(name) {
+    const processor = PROCESSORS[name];
+    if (!processor) {
+        throw new Error(`Unknown payment processor: ${name}`);
+    }
+    return processor;
+}
+
+/**
+ * Resolve which processor handles a payment.
+ * Test-mode sandbox instruments always go to the sandbox; otherwise
+ * merchant route for the method → merchant default → PAYMENT_PROCESSOR env → simulator.
+ * @param {Object} payment - Payment row
+ * @param {Object} merchant - Merchant row (uses processor_routes)
+ * @returns {Object} Processor adapter
+ */
+function resolveProcessor(payment, merchant) {
+    if (payment.test_mode && findScenario(payment)) {
+        return sandbox;
+    }
+
+    const routes = merchant.processor_routes || {};
+    const name = routes[payment.method]
+        || routes.default
+        || process.env.PAYMENT_PROCESSOR
+        || simulator.name;
+
+    return getProcessor(name);
+}
+
+/**
+ * Check whether a processor name is registered
+ * @param {string} name - Processor name
+ * @returns {boolean} True if an adapter exists
+ */
+function isKnownProcessor(name) {
+    return Object.prototype.hasOwnProperty.call(PROCESSORS, name);
+}
+
+module.exports = {
+    ROUTABLE_METHODS,
+    INSTANT_REFUND_UNAVAILABLE,
+    getProcessor,
+    resolveProcessor,
+    isKnownProcessor,
+};
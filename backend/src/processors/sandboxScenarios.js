@@ -0,0 +1,58 @@
+/**
+ * Sandbox test instruments
+ * Magic card numbers and VPAs that script a specific outcome. They are only
+ * honoured for payments created with a test-mode API key (key_test_*).
+ *
+ * Scenario fields:
+ *   error_code                     - decline with this catalogue error
+ *   delay                          - processing delay in ms
+ *   challenge                      - require 3-D Secure authentication first
+ */
+
+/**
+ * OTP that completes a sandbox 3-D Secure challenge
+ */
+const SANDBOX_3DS_OTP = '123456';
+
+const CARD_SCENARIOS = {
+    '4111111111111111': {},
+    '5555555555554444': {},
+    '4000000000000002': { error_code: 'INSUFFICIENT_FUNDS' },
+    '4000000000000069': { error_code: 'CARD_EXPIRED' },
+    '4000000000000127': { error_code: 'INVALID_CVV' },
+    '4000000000000119': { error_code: 'ISSUER_UNAVAILABLE' },
+    '4100000000000019': { error_code: 'RISK_DECLINED' },
+    '4000000000003220': { challenge: true },
+    '4000000000000077': { delay: 30000 },
+};
+
+const VPA_SCENARIOS = {
+    'success@test': {},
+    'fail@test': { error_code: 'PAYMENT_DECLINED' },
+    'notfound@test': { error_code: 'VPA_NOT_FOUND' },
+    'slow@test': { delay: 30000 },
+};
+
+/**
+ * Find the scripted scenario for a payment's instrument
+ * @param {Object} payment - Payment row (card_number or vpa)
+ * @returns {Object|null} Scenario, or null if the instrument is not a test instrument
+ */
+function findScenario(payment) {
+    if (payment.method === 'card' && payment.card_number) {
+        return CARD_SCENARIOS[payment.card_number.replace(/\s+/g, '')] || null;
+    }
+
+    if (payment.method === 'upi' && payment.vpa) {
+        return VPA_SCENARIOS[payment.vpa.toLowerCase()] || null;
+    }
+
+    return null;
+}
+
+module.exports = {
+    SANDBOX_3DS_OTP,
+    CARD_SCENARIOS,
+    VPA_SCENARIOS,
+    findScenario,
+};
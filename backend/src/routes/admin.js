@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticateAdmin } = require('../middleware/auth');
+const { upsertRates } = require('../services/FxService');
+const { formatPricingRule } = require('../utils/serializers');
+const { CARD_NETWORKS } = require('../utils/cardValidation');
+
+/**
+ * PUT /api/v1/admin/fx_rates
+ * Load rates into the FX rate table. Pairs not in the body are left as they are.
+ * Body: { rates: [{ base_currency, quote_currency, rate }] }
+ */
+router.put('/fx_rates', authenticateAdmin, async (req, res) => {
+    try {
+        let count;
+        try {
+            count = await upsertRates(req.body.rates, 'admin');
+        } catch (error) {
+            if (error.code !== 'INVALID_FX_RATES') throw error;
+            return badRequest(res, error.message);
+        }
+
+        res.json({ updated: count });
+    } catch (error) {
+        console.error('Error loading FX rates:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/admin/pricing_rules
+ * List active pricing rules. ?merchant_id= limits to one merchant's rules
+ * plus the platform defaults.
+ */
+router.get('/pricing_rules', authenticateAdmin, async (req, res) => {
+    try {
+        const { merchant_id } = req.query;
+
+        const result = await db.query(
+            `SELECT * FROM pricing_rules
+             WHERE active AND ($1::uuid IS NULL OR merchant_id = $1 OR merchant_id IS NULL)
+             ORDER BY merchant_id NULLS FIRST, created_at`,
+            [merchant_id || null]
+        );
+
+        res.json({
+            data: result.rows.map(formatPricingRule),
+        });
+    } catch (error) {
+        console.error('Error listing pricing rules:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/admin/pricing_rules
+ * Create a pricing rule. Omit merchant_id for a platform default; omit
+ * method, card_network or international to match any value.
+ */
+router.post('/pricing_rules', authenticateAdmin, async (req, res) => {
+    try {
+        const {
+            merchant_id,
+            method,
+            card_network,
+            international,
+            percentage = 0,
+            fixed_fee = 0,
+        } = req.body;
+
+        const ruleError = validatePricingRule({ method, card_network, international, percentage, fixed_fee });
+        if (ruleError) {
+            return badRequest(res, ruleError);
+        }
+
+        if (merchant_id) {
+            const merchantResult = await db.query('SELECT id FROM merchants WHERE id = $1', [merchant_id]);
+            if (merchantResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: {
+                        code: 'NOT_FOUND_ERROR',
+                        description: 'Merchant not found',
+                    },
+                });
+            }
+        }
+
+        const result = await db.query(
+            `INSERT INTO pricing_rules (id, merchant_id, method, card_network, international, percentage, fixed_fee)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [
+                `prule_${generateRandomString(16)}`,
+                merchant_id || null,
+                method || null,
+                card_network ? card_network.toLowerCase() : null,
+                international ?? null,
+                percentage,
+                fixed_fee,
+            ]
+        );
+
+        res.status(201).json(formatPricingRule(result.rows[0]));
+    } catch (error) {
+        console.error('Error creating pricing rule:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/admin/pricing_rules/:id
+ * Deactivate a pricing rule. Payments already priced keep their rule id.
+ */
+router.delete('/pricing_rules/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await db.query(
+            'UPDATE pricing_rules SET active = false WHERE id = $1 AND active RETURNING *',
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Pricing rule not found',
+                },
+            });
+        }
+
+        res.json(formatPricingRule(result.rows[0]));
+    } catch (error) {
+        console.error('Error deactivating pricing rule:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+function validatePricingRule({ method, card_network, international, percentage, fixed_fee }) {
+    if (method !== undefined && method !== null && !['card', 'upi'].includes(method)) {
+        return 'method must be card or upi';
+    }
+
+    if (card_network !== undefined && card_network !== null) {
+        if (typeof card_network !== 'string' || !CARD_NETWORKS.includes(card_network.toLowerCase())) {
+            return `card_network must be one of: ${CARD_NETWORKS.join(', ')}`;
+        }
+        if (method && method !== 'card') {
+            return 'card_network only applies to card pricing rules';
+        }
+    }
+
+    if (international !== undefined && international !== null && typeof international !== 'boolean') {
+        return 'international must be a boolean';
+    }
+
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+        return 'percentage must be a number between 0 and 100';
+    }
+
+    if (!Number.isInteger(fixed_fee) || fixed_fee < 0) {
+        return 'fixed_fee must be a non-negative integer';
+    }
+
+    return null;
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { tokenizeCard } = require('../services/VaultService');
+const { attachPaymentMethod, detachPaymentMethod } = require('../services/CustomerService');
+const { formatCustomer, formatPaymentMethod } = require('../utils/serializers');
+const { validateCard } = require('../utils/cardValidation');
+const {
+    parseLimit,
+    parseOffset,
+    addFilter,
+    addDateRangeFilter,
+} = require('../utils/listQuery');
+
+/**
+ * POST /api/v1/customers
+ * Create a customer
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { name, email, contact } = req.body;
+
+        const fieldError = validateCustomerFields({ name, email, contact });
+        if (fieldError) {
+            return badRequest(res, fieldError);
+        }
+
+        if (!name && !email && !contact) {
+            return badRequest(res, 'At least one of name, email or contact is required');
+        }
+
+        const customerId = `cust_${generateRandomString(16)}`;
+
+        const result = await db.query(
+            `INSERT INTO customers (id, merchant_id, name, email, contact)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [customerId, req.merchant.id, name || null, email || null, contact || null]
+        );
+
+        res.status(201).json(formatCustomer(result.rows[0]));
+    } catch (error) {
+        console.error('Error creating customer:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/customers
+ * List customers with filters and limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { email, contact } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (email) {
+            addFilter(conditions, values, 'email', '=', email);
+        }
+
+        if (contact) {
+            addFilter(conditions, values, 'contact', '=', contact);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return badRequest(res, dateRangeError);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM customers WHERE ${whereClause}`,
+            values
+        );
+
+        const customersResult = await db.query(
+            `SELECT * FROM customers
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: customersResult.rows.map(formatCustomer),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing customers:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/customers/:id
+ * Get customer details
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const customer = await findCustomer(req.params.id, req.merchant.id);
+        if (!customer) {
+            return customerNotFound(res);
+        }
+
+        res.json(formatCustomer(customer));
+    } catch (error) {
+        console.error('Error fetching customer:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * PATCH /api/v1/customers/:id
+ * Update a customer's name, email or contact
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+    try {
+        const { name, email, contact } = req.body;
+
+        const fieldError = validateCustomerFields({ name, email, contact });
+        if (fieldError) {
+            return badRequest(res, fieldError);
+        }
+
+        const result = await db.query(
+            `UPDATE customers
+             SET name = COALESCE($1, name),
+                 email = COALESCE($2, email),
+                 contact = COALESCE($3, contact),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4 AND merchant_id = $5
+             RETURNING *`,
+            [name ?? null, email ?? null, contact ?? null, req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return customerNotFound(res);
+        }
+
+        res.json(formatCustomer(result.rows[0]));
+    } catch (error) {
+        console.error('Error updating customer:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/customers/:id/payment_methods
+ * List a customer's attached payment methods (newest first)
+ */
+router.get('/:id/payment_methods', authenticate, async (req, res) => {
+    try {
+        const customer = await findCustomer(req.params.id, req.merchant.id);
+        if (!customer) {
+            return customerNotFound(res);
+        }
+
+        const result = await db.query(
+            `SELECT * FROM payment_methods
+             WHERE customer_id = $1 AND detached_at IS NULL
+             ORDER BY created_at DESC, id DESC`,
+            [customer.id]
+        );
+
+        res.json({
+            data: result.rows.map(formatPaymentMethod),
+        });
+    } catch (error) {
+        console.error('Error listing payment methods:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/customers/:id/payment_methods
+ * Attach a card or VPA to a customer. Cards are tokenized; no CVV is needed or kept.
+ */
+router.post('/:id/payment_methods', authenticate, async (req, res) => {
+    try {
+        const { type, card_number, card_expiry, vpa } = req.body;
+
+        const customer = await findCustomer(req.params.id, req.merchant.id);
+        if (!customer) {
+            return customerNotFound(res);
+        }
+
+        let details;
+
+        if (type === 'card') {
+            const validation = validateCard({ card_number, card_expiry }, { requireCvv: false });
+            if (validation.errors.length > 0) {
+                return res.status(400).json({
+                    error: {
+                        code: 'BAD_REQUEST_ERROR',
+                        description: 'Invalid card details',
+                        fields: validation.errors,
+                    },
+                });
+            }
+
+            details = { type, cardToken: await tokenizeCard(req.merchant.id, validation.card) };
+        } else if (type === 'upi') {
+            if (!vpa) {
+                return badRequest(res, 'VPA is required for UPI payment methods');
+            }
+
+            details = { type, vpa };
+        } else {
+            return badRequest(res, 'type must be card or upi');
+        }
+
+        const { method, created } = await attachPaymentMethod(req.merchant.id, customer.id, details);
+
+        res.status(created ? 201 : 200).json(formatPaymentMethod(method));
+    } catch (error) {
+        console.error('Error attaching payment method:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/customers/:id/payment_methods/:payment_method_id
+ * Detach a saved payment method
+ */
+router.delete('/:id/payment_methods/:payment_method_id', authenticate, async (req, res) => {
+    try {
+        const method = await detachPaymentMethod(
+            req.merchant.id,
+            req.params.id,
+            req.params.payment_method_id
+        );
+
+        if (!method) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Payment method not found',
+                },
+            });
+        }
+
+        res.json(formatPaymentMethod(method));
+    } catch (error) {
+        console.error('Error detaching payment method:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+async function findCustomer(customerId, merchantId) {
+    const result = await db.query(
+        'SELECT * FROM customers WHERE id = $1 AND merchant_id = $2',
+        [customerId, merchantId]
+    );
+    return result.rows[0] || null;
+}
+
+function validateCustomerFields({ name, email, contact }) {
+    for (const [field, value] of Object.entries({ name, email, contact })) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            return `${field} must be a string`;
+        }
+    }
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return 'email is invalid';
+    }
+
+    if (contact && !/^\+?[0-9]{8,15}$/.test(contact)) {
+        return 'contact must be 8-15 digits';
+    }
+
+    return null;
+}
+
+function customerNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Customer not found',
+        },
+    });
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { webhookQueue } = require('../config/queue');
+const {
+    API_VERSIONS,
+    EVENT_TYPES,
+    isKnownEventType,
+    resolveApiVersion,
+    getEventSchema,
+} = require('../events');
+const { getMaxRedeliveryEvents } = require('../services/EventService');
+const { formatEvent, formatEventRedelivery } = require('../utils/serializers');
+const { parseLimit, parseAmount, addFilter } = require('../utils/listQuery');
+
+/**
+ * GET /api/v1/events
+ * Stored events in sequence order. Poll with ?after=<sequence> (the previous
+ * response's next_after) to catch up on everything since.
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { type } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const after = req.query.after !== undefined ? parseAmount(String(req.query.after)) : 0;
+
+        if (after === null) {
+            return badRequest(res, 'after must be a non-negative integer');
+        }
+
+        const conditions = ['merchant_id = $1', 'sequence > $2'];
+        const values = [req.merchant.id, after];
+
+        if (type) {
+            if (!isKnownEventType(type)) {
+                return badRequest(res, `Unknown event type: ${type}`);
+            }
+            addFilter(conditions, values, 'type', '=', type);
+        }
+
+        values.push(limit + 1);
+        const result = await db.query(
+            `SELECT * FROM events
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY sequence
+             LIMIT $${values.length}`,
+            values
+        );
+
+        const hasMore = result.rows.length > limit;
+        const events = result.rows.slice(0, limit).map(formatEvent);
+
+        res.json({
+            data: events,
+            limit,
+            has_more: hasMore,
+            next_after: events.length > 0 ? events[events.length - 1].sequence : after,
+        });
+    } catch (error) {
+        console.error('Error listing events:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/events/types
+ * Event catalogue: every event type with the JSON Schema of its `data`,
+ * rendered for the merchant's API version (or ?api_version=)
+ */
+router.get('/types', authenticate, async (req, res) => {
+    const { api_version: requested } = req.query;
+
+    if (requested !== undefined && !API_VERSIONS.includes(requested)) {
+        return badRequest(res, `api_version must be one of: ${API_VERSIONS.join(', ')}`);
+    }
+
+    const apiVersion = requested || resolveApiVersion(req.merchant.api_version);
+
+    res.json({
+        api_version: apiVersion,
+        api_versions: API_VERSIONS,
+        data: Object.entries(EVENT_TYPES).map(([type, event]) => ({
+            type,
+            description: event.description,
+            schema: getEventSchema(type, apiVersion),
+        })),
+    });
+});
+
+/**
+ * POST /api/v1/events/redeliveries
+ * Redeliver every stored event in a sequence range to one endpoint (the
+ * events it is subscribed to). Processed asynchronously by the worker.
+ * Body: { endpoint_id, from_sequence, to_sequence? } (to defaults to the latest event)
+ */
+router.post('/redeliveries', authenticate, async (req, res) => {
+    try {
+        const { endpoint_id, from_sequence: fromSequence, to_sequence } = req.body;
+
+        if (!endpoint_id) {
+            return badRequest(res, 'endpoint_id is required');
+        }
+
+        if (!Number.isInteger(fromSequence) || fromSequence < 0) {
+            return badRequest(res, 'from_sequence must be a non-negative integer');
+        }
+
+        if (to_sequence !== undefined && (!Number.isInteger(to_sequence) || to_sequence < fromSequence)) {
+            return badRequest(res, 'to_sequence must be an integer not below from_sequence');
+        }
+
+        const endpointResult = await db.query(
+            'SELECT * FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2',
+            [endpoint_id, req.merchant.id]
+        );
+
+        const endpoint = endpointResult.rows[0];
+
+        if (!endpoint) {
+            return badRequest(res, `Webhook endpoint not found: ${endpoint_id}`);
+        }
+
+        if (!endpoint.enabled) {
+            return badRequest(res, 'Webhook endpoint is disabled');
+        }
+
+        // Pin an open range to the latest event now, so later events aren't replayed
+        const rangeResult = await db.query(
+            `SELECT COALESCE($3::bigint, MAX(sequence), $2::bigint) AS to_sequence,
+                    COUNT(*) FILTER (WHERE $3::bigint IS NULL OR sequence <= $3::bigint) AS event_count
+             FROM events
+             WHERE merchant_id = $1 AND sequence >= $2`,
+            [req.merchant.id, fromSequence, to_sequence ?? null]
+        );
+
+        const { to_sequence: toSequence, event_count: eventCount } = rangeResult.rows[0];
+
+        if (parseInt(eventCount) > getMaxRedeliveryEvents()) {
+            return badRequest(res, `A redelivery cannot cover more than ${getMaxRedeliveryEvents()} events`);
+        }
+
+        const result = await db.query(
+            `INSERT INTO event_redeliveries (id, merchant_id, endpoint_id, from_sequence, to_sequence)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [`rdl_${generateRandomString(16)}`, req.merchant.id, endpoint.id, fromSequence, toSequence]
+        );
+
+        const redelivery = result.rows[0];
+
+        await webhookQueue.add('redeliver-events', { redeliveryId: redelivery.id }, { jobId: redelivery.id });
+
+        console.log(`🔁 Redelivery queued: ${redelivery.id} (events ${fromSequence}-${toSequence} to ${endpoint.id})`);
+
+        res.status(202).json(formatEventRedelivery(redelivery));
+    } catch (error) {
+        console.error('Error creating event redelivery:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/events/redeliveries/:id
+ * Get a redelivery's progress
+ */
+router.get('/redeliveries/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT * FROM event_redeliveries WHERE id = $1 AND merchant_id = $2',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return redeliveryNotFound(res);
+        }
+
+        res.json(formatEventRedelivery(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching event redelivery:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/events/:id
+ * Get a stored event
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT * FROM events WHERE id = $1 AND merchant_id = $2',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return eventNotFound(res);
+        }
+
+        res.json(formatEvent(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching event:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+function eventNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Event not found',
+        },
+    });
+}
+
+function redeliveryNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Redelivery not found',
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { createQuote, DEFAULT_SETTLEMENT_CURRENCY } = require('../services/FxService');
+const { getCurrency } = require('../config/currencies');
+const { formatFxQuote } = require('../utils/serializers');
+
+/**
+ * GET /api/v1/fx/rates
+ * Current rates into the merchant's settlement currency
+ */
+router.get('/rates', authenticate, async (req, res) => {
+    try {
+        const settlementCurrency = req.merchant.settlement_currency || DEFAULT_SETTLEMENT_CURRENCY;
+
+        const result = await db.query(
+            `SELECT * FROM fx_rates
+             WHERE base_currency = $1 OR quote_currency = $1
+             ORDER BY base_currency, quote_currency`,
+            [settlementCurrency]
+        );
+
+        res.json({
+            settlement_currency: settlementCurrency,
+            data: result.rows.map((row) => ({
+                base_currency: row.base_currency,
+                quote_currency: row.quote_currency,
+                rate: parseFloat(row.rate),
+                source: row.source,
+                updated_at: row.updated_at,
+            })),
+        });
+    } catch (error) {
+        console.error('Error listing FX rates:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/fx/quotes
+ * Lock the current rate from a presentment currency into the merchant's
+ * settlement currency. Pass the quote's id as fx_quote_id when creating a payment.
+ */
+router.post('/quotes', authenticate, async (req, res) => {
+    try {
+        const { presentment_currency, amount } = req.body;
+
+        const currency = getCurrency(presentment_currency);
+        if (!currency) {
+            return badRequest(res, `Unsupported currency: ${presentment_currency}`);
+        }
+
+        if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+            return badRequest(res, 'Amount must be a positive integer');
+        }
+
+        let quote;
+        try {
+            quote = await createQuote(req.merchant, currency.code, amount);
+        } catch (error) {
+            if (error.code !== 'FX_RATE_UNAVAILABLE') throw error;
+            return badRequest(res, error.message);
+        }
+
+        res.status(201).json(formatFxQuote(quote));
+    } catch (error) {
+        console.error('Error creating FX quote:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/fx/quotes/:id
+ * Get an FX quote
+ */
+router.get('/quotes/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT * FROM fx_quotes WHERE id = $1 AND merchant_id = $2',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'FX quote not found',
+                },
+            });
+        }
+
+        res.json(formatFxQuote(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching FX quote:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+module.exports = router;
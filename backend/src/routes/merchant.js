@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { ROUTABLE_METHODS, isKnownProcessor } = require('../processors');
+const { getCurrency, DEFAULT_ENABLED_CURRENCIES } = require('../config/currencies');
+const { DEFAULT_SETTLEMENT_CURRENCY } = require('../services/FxService');
+const { getTaxPercentage } = require('../services/PricingService');
+const { formatPricingRule, formatNotification } = require('../utils/serializers');
+const { parseLimit, parseOffset } = require('../utils/listQuery');
+const { API_VERSIONS, resolveApiVersion } = require('../events');
+
+/**
+ * GET /api/v1/merchant/settings
+ * Get the authenticated merchant's processing settings
+ */
+router.get('/settings', authenticate, async (req, res) => {
+    res.json(formatSettings(req.merchant));
+});
+
+/**
+ * PATCH /api/v1/merchant/settings
+ * Update the authenticated merchant's processing settings
+ */
+router.patch('/settings', authenticate, async (req, res) => {
+    try {
+        const { auto_capture, processor_routes, enabled_currencies, settlement_currency, api_version } = req.body;
+
+        if (auto_capture !== undefined && typeof auto_capture !== 'boolean') {
+            return badRequest(res, 'auto_capture must be a boolean');
+        }
+
+        if (processor_routes !== undefined) {
+            const routesError = validateProcessorRoutes(processor_routes);
+            if (routesError) {
+                return badRequest(res, routesError);
+            }
+        }
+
+        if (enabled_currencies !== undefined) {
+            const currenciesError = validateEnabledCurrencies(enabled_currencies);
+            if (currenciesError) {
+                return badRequest(res, currenciesError);
+            }
+        }
+
+        if (settlement_currency !== undefined && !getCurrency(settlement_currency)) {
+            return badRequest(res, `Unsupported currency: ${settlement_currency}`);
+        }
+
+        if (api_version !== undefined && !API_VERSIONS.includes(api_version)) {
+            return badRequest(res, `api_version must be one of: ${API_VERSIONS.join(', ')}`);
+        }
+
+        const result = await db.query(
+            `UPDATE merchants
+             SET auto_capture = COALESCE($1, auto_capture),
+                 processor_routes = COALESCE($2, processor_routes),
+                 enabled_currencies = COALESCE($3, enabled_currencies),
+                 settlement_currency = COALESCE($4, settlement_currency),
+                 api_version = COALESCE($5, api_version)
+             WHERE id = $6
+             RETURNING *`,
+            [
+                auto_capture ?? null,
+                processor_routes ? JSON.stringify(processor_routes) : null,
+                enabled_currencies ? [...new Set(enabled_currencies.map((code) => code.toUpperCase()))] : null,
+                settlement_currency ? settlement_currency.toUpperCase() : null,
+                api_version ?? null,
+                req.merchant.id,
+            ]
+        );
+
+        res.json(formatSettings(result.rows[0]));
+    } catch (error) {
+        console.error('Error updating merchant settings:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/merchant/pricing
+ * Pricing rules that apply to the authenticated merchant: its own rules and
+ * the platform defaults they override
+ */
+router.get('/pricing', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT * FROM pricing_rules
+             WHERE active AND (merchant_id = $1 OR merchant_id IS NULL)
+             ORDER BY merchant_id NULLS FIRST, created_at`,
+            [req.merchant.id]
+        );
+
+        res.json({
+            tax_percentage: getTaxPercentage(),
+            data: result.rows.map(formatPricingRule),
+        });
+    } catch (error) {
+        console.error('Error listing pricing rules:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/merchant/notifications
+ * Notifications recorded for the merchant (e.g. a webhook endpoint was
+ * disabled), newest first, with limit/offset pagination
+ */
+router.get('/notifications', authenticate, async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const countResult = await db.query(
+            'SELECT COUNT(*) FROM merchant_notifications WHERE merchant_id = $1',
+            [req.merchant.id]
+        );
+
+        const notificationsResult = await db.query(
+            `SELECT * FROM merchant_notifications
+             WHERE merchant_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2 OFFSET $3`,
+            [req.merchant.id, limit, offset]
+        );
+
+        res.json({
+            data: notificationsResult.rows.map(formatNotification),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing notifications:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * Validate a processor routing map: keys are `default` or a payment method,
+ * values are registered processor names
+ * @param {*} routes - Routing map from the request body
+ * @returns {string|null} Validation error description, or null if valid
+ */
+function validateProcessorRoutes(routes) {
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+        return 'processor_routes must be an object';
+    }
+
+    for (const [key, processor] of Object.entries(routes)) {
+        if (key !== 'default' && !ROUTABLE_METHODS.includes(key)) {
+            return `Unknown processor route: ${key}`;
+        }
+        if (!isKnownProcessor(processor)) {
+            return `Unknown payment processor: ${processor}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the list of currencies a merchant accepts
+ * @param {*} currencies - Currency codes from the request body
+ * @returns {string|null} Validation error description, or null if valid
+ */
+function validateEnabledCurrencies(currencies) {
+    if (!Array.isArray(currencies) || currencies.length === 0) {
+        return 'enabled_currencies must be a non-empty array';
+    }
+
+    for (const code of currencies) {
+        if (!getCurrency(code)) {
+            return `Unsupported currency: ${code}`;
+        }
+    }
+
+    return null;
+}
+
+function formatSettings(merchant) {
+    return {
+        auto_capture: merchant.auto_capture,
+        processor_routes: merchant.processor_routes,
+        enabled_currencies: merchant.enabled_currencies || DEFAULT_ENABLED_CURRENCIES,
+        settlement_currency: merchant.settlement_currency || DEFAULT_SETTLEMENT_CURRENCY,
+        api_version: resolveApiVersion(merchant.api_version),
+    };
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+module.exports = router;
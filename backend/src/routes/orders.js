@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { formatOrder, formatPayment } = require('../utils/serializers');
+const { validateAmount } = require('../config/currencies');
+const {
+    parseLimit,
+    parseOffset,
+    addFilter,
+    addDateRangeFilter,
+} = require('../utils/listQuery');
 
 /**
  * POST /api/v1/orders
@@ -9,14 +17,24 @@ const { authenticate } = require('../middleware/auth');
  */
 router.post('/', authenticate, async (req, res) => {
     try {
-        const { amount, currency = 'INR', receipt } = req.body;
+        const { amount, currency = 'INR', receipt, auto_capture } = req.body;
 
-        // Validation
-        if (!amount || amount <= 0) {
+        // Validation: currency enabled for the merchant, amount above the currency minimum
+        const amountError = validateAmount(req.merchant, amount, currency);
+        if (amountError) {
             return res.status(400).json({
                 error: {
                     code: 'BAD_REQUEST_ERROR',
-                    description: 'Amount must be a positive integer',
+                    description: amountError,
+                },
+            });
+        }
+
+        if (auto_capture !== undefined && typeof auto_capture !== 'boolean') {
+            return res.status(400).json({
+                error: {
+                    code: 'BAD_REQUEST_ERROR',
+                    description: 'auto_capture must be a boolean',
                 },
             });
         }
@@ -26,24 +44,78 @@ router.post('/', authenticate, async (req, res) => {
 
         // Insert order
         const result = await db.query(
-            `INSERT INTO orders (id, merchant_id, amount, currency, receipt, status)
-       VALUES ($1, $2, $3, $4, $5, $6)
+            `INSERT INTO orders (id, merchant_id, amount, currency, receipt, status, auto_capture)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-            [orderId, req.merchant.id, amount, currency, receipt, 'created']
+            [orderId, req.merchant.id, amount, currency.toUpperCase(), receipt, 'created', auto_capture ?? null]
         );
 
-        const order = result.rows[0];
+        res.status(201).json(formatOrder(result.rows[0]));
+    } catch (error) {
+        console.error('Error creating order:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/orders
+ * List orders with filters and limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { status, receipt } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (status) {
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        if (receipt) {
+            addFilter(conditions, values, 'receipt', '=', receipt);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return res.status(400).json({
+                error: {
+                    code: 'BAD_REQUEST_ERROR',
+                    description: dateRangeError,
+                },
+            });
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM orders WHERE ${whereClause}`,
+            values
+        );
 
-        res.status(201).json({
-            id: order.id,
-            amount: order.amount,
-            currency: order.currency,
-            receipt: order.receipt,
-            status: order.status,
-            created_at: order.created_at,
+        const ordersResult = await db.query(
+            `SELECT * FROM orders
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: ordersResult.rows.map(formatOrder),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
         });
     } catch (error) {
-        console.error('Error creating order:', error);
+        console.error('Error listing orders:', error);
         res.status(500).json({
             error: {
                 code: 'SERVER_ERROR',
@@ -75,18 +147,63 @@ router.get('/:id', authenticate, async (req, res) => {
             });
         }
 
-        const order = result.rows[0];
+        res.json(formatOrder(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching order:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/orders/:id/payments
+ * List payments made against an order with limit/offset pagination
+ */
+router.get('/:id/payments', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const orderResult = await db.query(
+            'SELECT id FROM orders WHERE id = $1 AND merchant_id = $2',
+            [id, req.merchant.id]
+        );
+
+        if (orderResult.rows.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Order not found',
+                },
+            });
+        }
+
+        const countResult = await db.query(
+            'SELECT COUNT(*) FROM payments WHERE order_id = $1',
+            [id]
+        );
+
+        const paymentsResult = await db.query(
+            `SELECT * FROM payments
+             WHERE order_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2 OFFSET $3`,
+            [id, limit, offset]
+        );
 
         res.json({
-            id: order.id,
-            amount: order.amount,
-            currency: order.currency,
-            receipt: order.receipt,
-            status: order.status,
-            created_at: order.created_at,
+            data: paymentsResult.rows.map(formatPayment),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
         });
     } catch (error) {
-        console.error('Error fetching order:', error);
+        console.error('Error listing order payments:', error);
         res.status(500).json({
             error: {
                 code: 'SERVER_ERROR',
@@ -0,0 +1,341 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { getLinkUnavailableReason, createLinkOrder } = require('../services/PaymentLinkService');
+const { formatPaymentLink, formatOrder } = require('../utils/serializers');
+const { validateCurrency, validateAmount } = require('../config/currencies');
+const {
+    parseLimit,
+    parseOffset,
+    parseTimestamp,
+    addFilter,
+    addDateRangeFilter,
+} = require('../utils/listQuery');
+
+const LINK_USAGES = ['single_use', 'multi_use'];
+const SHORT_CODE_LENGTH = 8;
+
+/**
+ * GET /api/v1/payment_links/public/:short_code
+ * Link details for the hosted checkout (no authentication required)
+ */
+router.get('/public/:short_code', async (req, res) => {
+    try {
+        const link = await findLinkByCode(req.params.short_code);
+        if (!link) {
+            return linkNotFound(res);
+        }
+
+        const formatted = formatPaymentLink(link);
+        res.json({
+            id: formatted.id,
+            amount: formatted.amount,
+            currency: formatted.currency,
+            description: formatted.description,
+            status: formatted.status,
+            expires_at: formatted.expires_at,
+        });
+    } catch (error) {
+        console.error('Error fetching public payment link:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/payment_links/public/:short_code/orders
+ * Create the order for a customer opening the link (no authentication required).
+ * Links without a fixed amount take the customer-entered `amount`.
+ */
+router.post('/public/:short_code/orders', async (req, res) => {
+    try {
+        const link = await findLinkByCode(req.params.short_code);
+        if (!link) {
+            return linkNotFound(res);
+        }
+
+        const unavailableReason = getLinkUnavailableReason(link);
+        if (unavailableReason) {
+            return badRequest(res, unavailableReason);
+        }
+
+        let amount = link.amount;
+        if (amount === null) {
+            amount = req.body.amount;
+
+            const merchantResult = await db.query(
+                'SELECT enabled_currencies FROM merchants WHERE id = $1',
+                [link.merchant_id]
+            );
+            const amountError = validateAmount(merchantResult.rows[0], amount, link.currency);
+            if (amountError) {
+                return badRequest(res, amountError);
+            }
+        }
+
+        const order = await createLinkOrder(link, amount);
+
+        res.status(201).json(formatOrder(order));
+    } catch (error) {
+        if (error.code === 'LINK_PAYMENT_IN_PROGRESS') {
+            return badRequest(res, error.message);
+        }
+
+        console.error('Error creating order from payment link:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/payment_links
+ * Create a payment link. Omit `amount` to let the customer enter it.
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { amount, currency = 'INR', description, usage = 'single_use', expires_at } = req.body;
+
+        // Customer-entered amounts are checked against the currency when the link is opened
+        if (amount !== undefined && amount !== null) {
+            const amountError = validateAmount(req.merchant, amount, currency);
+            if (amountError) {
+                return badRequest(res, amountError);
+            }
+        } else {
+            const currencyError = validateCurrency(req.merchant, currency);
+            if (currencyError) {
+                return badRequest(res, currencyError);
+            }
+        }
+
+        if (!LINK_USAGES.includes(usage)) {
+            return badRequest(res, `usage must be one of: ${LINK_USAGES.join(', ')}`);
+        }
+
+        if (description !== undefined && typeof description !== 'string') {
+            return badRequest(res, 'description must be a string');
+        }
+
+        let expiresAt = null;
+        if (expires_at !== undefined && expires_at !== null) {
+            expiresAt = parseTimestamp(String(expires_at));
+            if (!expiresAt) {
+                return badRequest(res, 'expires_at must be a unix timestamp or ISO-8601 date');
+            }
+            if (expiresAt <= new Date()) {
+                return badRequest(res, 'expires_at must be in the future');
+            }
+        }
+
+        const linkId = `plink_${generateRandomString(16)}`;
+
+        // Short codes are random; retry the rare collision with an existing link
+        let result;
+        for (let attempt = 1; !result; attempt++) {
+            try {
+                result = await db.query(
+                    `INSERT INTO payment_links (id, merchant_id, short_code, amount, currency, description, usage, expires_at)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                     RETURNING *`,
+                    [
+                        linkId,
+                        req.merchant.id,
+                        generateRandomString(SHORT_CODE_LENGTH),
+                        amount ?? null,
+                        currency.toUpperCase(),
+                        description || null,
+                        usage,
+                        expiresAt,
+                    ]
+                );
+            } catch (error) {
+                if (error.code !== '23505' || attempt >= 3) throw error;
+            }
+        }
+
+        console.log(`🔗 Payment link created: ${linkId}`);
+
+        res.status(201).json(formatPaymentLink(result.rows[0]));
+    } catch (error) {
+        console.error('Error creating payment link:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/payment_links
+ * List payment links with filters and limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { status, usage } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (status === 'expired') {
+            conditions.push(`status = 'active' AND expires_at <= CURRENT_TIMESTAMP`);
+        } else if (status === 'active') {
+            conditions.push(`status = 'active' AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`);
+        } else if (status) {
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        if (usage) {
+            addFilter(conditions, values, 'usage', '=', usage);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return badRequest(res, dateRangeError);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM payment_links WHERE ${whereClause}`,
+            values
+        );
+
+        const linksResult = await db.query(
+            `SELECT * FROM payment_links
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: linksResult.rows.map(formatPaymentLink),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing payment links:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/payment_links/:id
+ * Get payment link details
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT * FROM payment_links WHERE id = $1 AND merchant_id = $2',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return linkNotFound(res);
+        }
+
+        res.json(formatPaymentLink(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching payment link:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/payment_links/:id/cancel
+ * Deactivate an active payment link
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE payment_links
+             SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND merchant_id = $2 AND status = 'active'
+             RETURNING *`,
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            const existing = await db.query(
+                'SELECT status FROM payment_links WHERE id = $1 AND merchant_id = $2',
+                [req.params.id, req.merchant.id]
+            );
+
+            if (existing.rows.length === 0) {
+                return linkNotFound(res);
+            }
+            return badRequest(res, `Payment link is already ${existing.rows[0].status}`);
+        }
+
+        res.json(formatPaymentLink(result.rows[0]));
+    } catch (error) {
+        console.error('Error cancelling payment link:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+async function findLinkByCode(shortCode) {
+    const result = await db.query(
+        'SELECT * FROM payment_links WHERE short_code = $1',
+        [shortCode]
+    );
+    return result.rows[0] || null;
+}
+
+function linkNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Payment link not found',
+        },
+    });
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
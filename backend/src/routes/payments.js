@@ -1,9 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, isTestModeKey } = require('../middleware/auth');
 const { paymentQueue, refundQueue } = require('../config/queue');
 const { checkIdempotencyKey, storeIdempotencyKey } = require('../services/IdempotencyService');
+const { transitionOrder, PAYABLE_ORDER_STATUSES } = require('../services/OrderService');
+const { capturePayment, cancelPayment, failPayment } = require('../services/PaymentService');
+const { tokenizeCard, storeCvv } = require('../services/VaultService');
+const { attachPaymentMethod, findPaymentMethod } = require('../services/CustomerService');
+const { resolvePaymentFx, claimFxQuote, releaseFxQuote } = require('../services/FxService');
+const { getReservedRefundAmount, REFUND_SPEEDS } = require('../services/RefundService');
+const { createWebhookLog } = require('../services/WebhookService');
+const { getProcessor } = require('../processors');
+const { formatPayment, formatRefund } = require('../utils/serializers');
+const { validateCard, validateCvv, isExpired, formatExpiry } = require('../utils/cardValidation');
+const {
+    parseLimit,
+    parseOffset,
+    parseAmount,
+    addFilter,
+    addDateRangeFilter,
+    encodeCursor,
+    decodeCursor,
+} = require('../utils/listQuery');
 
 /**
  * POST /api/v1/payments
@@ -11,7 +30,17 @@ const { checkIdempotencyKey, storeIdempotencyKey } = require('../services/Idempo
  */
 router.post('/', authenticate, async (req, res) => {
     try {
-        const { order_id, method, card_number, card_expiry, card_cvv, vpa } = req.body;
+        const {
+            order_id,
+            card_number,
+            card_expiry,
+            card_cvv,
+            customer_id,
+            payment_method_id,
+            save_payment_method,
+            fx_quote_id,
+        } = req.body;
+        let { method, vpa } = req.body;
         const idempotencyKey = req.headers['idempotency-key'];
 
         // Check idempotency key
@@ -40,6 +69,65 @@ router.post('/', authenticate, async (req, res) => {
 
         const order = orderResult.rows[0];
 
+        // Block new attempts on orders that are already paid
+        if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                error: {
+                    code: 'BAD_REQUEST_ERROR',
+                    description: `Order is already ${order.status}`,
+                },
+            });
+        }
+
+        // Resolve the customer and, when paying with a saved method, the method itself
+        let customer = null;
+        if (customer_id) {
+            const customerResult = await db.query(
+                'SELECT * FROM customers WHERE id = $1 AND merchant_id = $2',
+                [customer_id, req.merchant.id]
+            );
+
+            if (customerResult.rows.length === 0) {
+                return res.status(404).json({
+                    error: {
+                        code: 'NOT_FOUND_ERROR',
+                        description: 'Customer not found',
+                    },
+                });
+            }
+
+            customer = customerResult.rows[0];
+        }
+
+        if (save_payment_method !== undefined && typeof save_payment_method !== 'boolean') {
+            return badRequest(res, 'save_payment_method must be a boolean');
+        }
+
+        if ((payment_method_id || save_payment_method) && !customer) {
+            return badRequest(res, 'customer_id is required to use or save a payment method');
+        }
+
+        let savedMethod = null;
+        if (payment_method_id) {
+            savedMethod = await findPaymentMethod(req.merchant.id, customer.id, payment_method_id);
+
+            if (!savedMethod) {
+                return res.status(404).json({
+                    error: {
+                        code: 'NOT_FOUND_ERROR',
+                        description: 'Payment method not found',
+                    },
+                });
+            }
+
+            if (method && method !== savedMethod.type) {
+                return badRequest(res, 'method does not match the saved payment method');
+            }
+
+            method = savedMethod.type;
+            vpa = savedMethod.vpa;
+        }
+
         // Validate payment method
         if (!['card', 'upi'].includes(method)) {
             return res.status(400).json({
@@ -51,20 +139,69 @@ router.post('/', authenticate, async (req, res) => {
         }
 
         // Validate method-specific fields
-        if (method === 'card' && (!card_number || !card_expiry || !card_cvv)) {
+        let card = null;
+        if (method === 'card' && savedMethod) {
+            // Saved cards are charged from the vault; a re-entered CVV is optional
+            const errors = [];
+            if (isExpired(savedMethod)) {
+                errors.push({ field: 'card_expiry', code: 'EXPIRED', description: 'Saved card has expired' });
+            }
+            const cvvError = card_cvv ? validateCvv(card_cvv, savedMethod.card_network) : null;
+            if (cvvError) {
+                errors.push(cvvError);
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: {
+                        code: 'BAD_REQUEST_ERROR',
+                        description: 'Invalid card details',
+                        fields: errors,
+                    },
+                });
+            }
+        } else if (method === 'card') {
+            const validation = validateCard({ card_number, card_expiry, card_cvv });
+            if (validation.errors.length > 0) {
+                return res.status(400).json({
+                    error: {
+                        code: 'BAD_REQUEST_ERROR',
+                        description: 'Invalid card details',
+                        fields: validation.errors,
+                    },
+                });
+            }
+            card = validation.card;
+        }
+
+        if (method === 'upi' && !vpa) {
             return res.status(400).json({
                 error: {
                     code: 'BAD_REQUEST_ERROR',
-                    description: 'Card details are required for card payments',
+                    description: 'VPA is required for UPI payments',
                 },
             });
         }
 
-        if (method === 'upi' && !vpa) {
+        // Lock the rate into the merchant's settlement currency for this payment
+        let fx;
+        try {
+            fx = await resolvePaymentFx(req.merchant, order.amount, order.currency, fx_quote_id);
+        } catch (error) {
+            if (!['FX_QUOTE_INVALID', 'FX_RATE_UNAVAILABLE'].includes(error.code)) throw error;
+            return badRequest(res, error.message);
+        }
+
+        // Mark the order as attempted; fails if a concurrent payment already paid it
+        try {
+            await transitionOrder(order_id, 'attempted');
+        } catch (error) {
+            if (error.code !== 'INVALID_ORDER_TRANSITION') throw error;
+
             return res.status(400).json({
                 error: {
                     code: 'BAD_REQUEST_ERROR',
-                    description: 'VPA is required for UPI payments',
+                    description: 'Order is already paid',
                 },
             });
         }
@@ -72,31 +209,95 @@ router.post('/', authenticate, async (req, res) => {
         // Generate payment ID
         const paymentId = `pay_${generateRandomString(16)}`;
 
+        // Card numbers go to the vault; the payment only keeps the token
+        const cardToken = card ? await tokenizeCard(req.merchant.id, card) : null;
+
+        if (save_payment_method && !savedMethod) {
+            const attached = await attachPaymentMethod(req.merchant.id, customer.id, { type: method, cardToken, vpa });
+            savedMethod = attached.method;
+        }
+
+        const cardDetails = savedMethod && method === 'card'
+            ? {
+                token: savedMethod.card_token,
+                expiry: savedMethod.card_expiry,
+                network: savedMethod.card_network,
+                type: savedMethod.card_type,
+                last4: savedMethod.card_last4,
+            }
+            : card && {
+                token: cardToken.id,
+                expiry: formatExpiry(card),
+                network: card.network,
+                type: card.type,
+                last4: card.last4,
+            };
+
+        // Use up the quote only now that nothing before the insert can fail
+        if (fx.fx_quote_id) {
+            try {
+                await claimFxQuote(fx.fx_quote_id);
+            } catch (error) {
+                if (error.code !== 'FX_QUOTE_INVALID') throw error;
+                return badRequest(res, error.message);
+            }
+        }
+
         // Insert payment with status 'pending'
-        const paymentResult = await db.query(
-            `INSERT INTO payments (id, order_id, merchant_id, amount, currency, method, card_number, card_expiry, card_cvv, vpa, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        let paymentResult;
+        try {
+            paymentResult = await db.query(
+                `INSERT INTO payments (id, order_id, merchant_id, amount, currency, method, card_token, card_expiry, card_network, card_type, card_last4, vpa, status, test_mode, customer_id, payment_method_id,
+                                   presentment_currency, settlement_currency, fx_rate, fx_quote_id, settlement_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
        RETURNING *`,
-            [
-                paymentId,
-                order_id,
-                req.merchant.id,
-                order.amount,
-                order.currency,
-                method,
-                card_number || null,
-                card_expiry || null,
-                card_cvv || null,
-                vpa || null,
-                'pending',
-            ]
-        );
+                [
+                    paymentId,
+                    order_id,
+                    req.merchant.id,
+                    order.amount,
+                    order.currency,
+                    method,
+                    cardDetails ? cardDetails.token : null,
+                    cardDetails ? cardDetails.expiry : null,
+                    cardDetails ? cardDetails.network : null,
+                    cardDetails ? cardDetails.type : null,
+                    cardDetails ? cardDetails.last4 : null,
+                    vpa || null,
+                    'pending',
+                    isTestModeKey(req.merchant.api_key),
+                    customer ? customer.id : null,
+                    savedMethod ? savedMethod.id : null,
+                    fx.presentment_currency,
+                    fx.settlement_currency,
+                    fx.fx_rate,
+                    fx.fx_quote_id,
+                    fx.settlement_amount,
+                ]
+            );
+        } catch (error) {
+            if (fx.fx_quote_id) {
+                await releaseFxQuote(fx.fx_quote_id).catch((releaseError) => {
+                    console.error(`Error releasing FX quote ${fx.fx_quote_id}:`, releaseError.message);
+                });
+            }
+            throw error;
+        }
 
         const payment = paymentResult.rows[0];
 
-        // Enqueue payment processing job
+        // CVV is held outside the database until the worker has authorized
+        if (method === 'card' && card_cvv) {
+            await storeCvv(payment.id, card_cvv);
+        }
+
+        await createWebhookLog(payment.merchant_id, 'payment.created', { payment });
+
+        // Enqueue payment processing job (job ID = payment ID so it can be cancelled)
         await paymentQueue.add('process-payment', {
             paymentId: payment.id,
+        }, {
+            jobId: payment.id,
         });
 
         console.log(`✅ Payment created and job enqueued: ${payment.id}`);
@@ -107,9 +308,20 @@ router.post('/', authenticate, async (req, res) => {
             order_id: payment.order_id,
             amount: payment.amount,
             currency: payment.currency,
+            presentment_currency: payment.presentment_currency,
+            settlement_currency: payment.settlement_currency,
+            fx_rate: parseFloat(payment.fx_rate),
+            fx_quote_id: payment.fx_quote_id || undefined,
+            settlement_amount: payment.settlement_amount,
             method: payment.method,
             vpa: payment.vpa || undefined,
-            card_number: payment.card_number || undefined,
+            card_token: payment.card_token || undefined,
+            card_network: payment.card_network || undefined,
+            card_type: payment.card_type || undefined,
+            card_last4: payment.card_last4 || undefined,
+            card_expiry: payment.card_expiry || undefined,
+            customer_id: payment.customer_id || undefined,
+            payment_method_id: payment.payment_method_id || undefined,
             status: payment.status,
             created_at: payment.created_at,
         };
@@ -131,6 +343,102 @@ router.post('/', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/v1/payments
+ * List payments (newest first) with filters and cursor pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { status, method, captured, order_id, cursor } = req.query;
+        const limit = parseLimit(req.query.limit);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (status) {
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        if (method) {
+            if (!['card', 'upi'].includes(method)) {
+                return badRequest(res, 'Invalid payment method');
+            }
+            addFilter(conditions, values, 'method', '=', method);
+        }
+
+        if (captured !== undefined) {
+            if (!['true', 'false'].includes(captured)) {
+                return badRequest(res, 'captured must be true or false');
+            }
+            addFilter(conditions, values, 'captured', '=', captured === 'true');
+        }
+
+        if (order_id) {
+            addFilter(conditions, values, 'order_id', '=', order_id);
+        }
+
+        for (const [param, operator] of [['min_amount', '>='], ['max_amount', '<=']]) {
+            if (req.query[param] === undefined) continue;
+
+            const amount = parseAmount(req.query[param]);
+            if (amount === null) {
+                return badRequest(res, `${param} must be a non-negative integer`);
+            }
+            addFilter(conditions, values, 'amount', operator, amount);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return badRequest(res, dateRangeError);
+        }
+
+        // Keyset pagination: resume strictly after the row the cursor points at,
+        // so rows inserted while paging never shift or duplicate results
+        if (cursor) {
+            const cursorResult = await db.query(
+                'SELECT id FROM payments WHERE id = $1 AND merchant_id = $2',
+                [decodeCursor(cursor), req.merchant.id]
+            );
+
+            if (cursorResult.rows.length === 0) {
+                return badRequest(res, 'Invalid cursor');
+            }
+
+            values.push(cursorResult.rows[0].id);
+            conditions.push(
+                `(created_at, id) < (SELECT created_at, id FROM payments WHERE id = $${values.length})`
+            );
+        }
+
+        values.push(limit + 1);
+        const result = await db.query(
+            `SELECT * FROM payments
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length}`,
+            values
+        );
+
+        const hasMore = result.rows.length > limit;
+        const payments = result.rows.slice(0, limit);
+
+        res.json({
+            data: payments.map(formatPayment),
+            limit,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(payments[payments.length - 1].id) : null,
+        });
+    } catch (error) {
+        console.error('Error listing payments:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
 /**
  * GET /api/v1/payments/:id
  * Get payment details
@@ -153,25 +461,98 @@ router.get('/:id', authenticate, async (req, res) => {
             });
         }
 
+        res.json(formatPayment(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching payment:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/payments/:id/authenticate
+ * Complete a 3-D Secure challenge and resume authorization
+ */
+router.post('/:id/authenticate', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { otp } = req.body;
+
+        const result = await db.query(
+            'SELECT * FROM payments WHERE id = $1 AND merchant_id = $2',
+            [id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Payment not found',
+                },
+            });
+        }
+
         const payment = result.rows[0];
 
-        res.json({
-            id: payment.id,
-            order_id: payment.order_id,
-            amount: payment.amount,
-            currency: payment.currency,
-            method: payment.method,
-            vpa: payment.vpa || undefined,
-            card_number: payment.card_number || undefined,
-            status: payment.status,
-            error_code: payment.error_code || undefined,
-            error_description: payment.error_description || undefined,
-            captured: payment.captured,
-            created_at: payment.created_at,
-            updated_at: payment.updated_at,
+        if (payment.status !== 'requires_action') {
+            return badRequest(res, 'Payment does not require authentication');
+        }
+
+        if (!otp || typeof otp !== 'string') {
+            return badRequest(res, 'otp is required');
+        }
+
+        // Authorization resumes with the held CVV; once it is gone the payment cannot proceed
+        if (payment.cvv_expires_at && new Date(payment.cvv_expires_at) <= new Date()) {
+            const failedPayment = await failPayment(payment, 'CVV_EXPIRED');
+            return res.json(formatPayment(failedPayment || payment));
+        }
+
+        const processor = getProcessor(payment.processor);
+        if (!processor.authenticate) {
+            return badRequest(res, 'Payment processor does not support authentication');
+        }
+
+        const outcome = await processor.authenticate(payment, { otp });
+
+        if (!outcome.success) {
+            const failedPayment = await failPayment(
+                payment,
+                outcome.error_code || 'AUTHENTICATION_FAILED',
+                outcome.error_description
+            );
+            return res.json(formatPayment(failedPayment || payment));
+        }
+
+        const updateResult = await db.query(
+            `UPDATE payments
+             SET status = 'pending',
+                 three_ds_status = 'authenticated',
+                 next_action = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'requires_action'
+             RETURNING *`,
+            [id]
+        );
+
+        if (updateResult.rows.length === 0) {
+            return badRequest(res, 'Payment does not require authentication');
+        }
+
+        // Resume authorization in the worker
+        await paymentQueue.add('process-payment', {
+            paymentId: id,
+        }, {
+            jobId: `${id}:authenticated`,
         });
+
+        res.json(formatPayment(updateResult.rows[0]));
     } catch (error) {
-        console.error('Error fetching payment:', error);
+        console.error('Error authenticating payment:', error);
         res.status(500).json({
             error: {
                 code: 'SERVER_ERROR',
@@ -183,7 +564,7 @@ router.get('/:id', authenticate, async (req, res) => {
 
 /**
  * POST /api/v1/payments/:id/capture
- * Capture a successful payment
+ * Capture an authorized payment (full or partial); the remainder is released
  */
 router.post('/:id/capture', authenticate, async (req, res) => {
     try {
@@ -206,50 +587,142 @@ router.post('/:id/capture', authenticate, async (req, res) => {
 
         const payment = result.rows[0];
 
-        if (payment.status !== 'success') {
-            return res.status(400).json({
+        if (payment.status !== 'authorized') {
+            return badRequest(res, 'Payment not in capturable state');
+        }
+
+        const captureAmount = amount === undefined ? payment.amount : amount;
+
+        if (!Number.isInteger(captureAmount) || captureAmount <= 0) {
+            return badRequest(res, 'Capture amount must be a positive integer');
+        }
+
+        if (captureAmount > payment.amount) {
+            return badRequest(res, 'Capture amount exceeds authorized amount');
+        }
+
+        let capturedPayment;
+        try {
+            capturedPayment = await capturePayment(payment, captureAmount);
+        } catch (error) {
+            if (!['PAYMENT_NOT_CAPTURABLE', 'CAPTURE_FAILED', 'ORDER_ALREADY_PAID'].includes(error.code)) throw error;
+            return badRequest(res, error.message);
+        }
+
+        res.json(formatPayment(capturedPayment));
+    } catch (error) {
+        console.error('Error capturing payment:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/payments/:id/cancel
+ * Cancel a pending or authorized payment before the worker settles it
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const result = await db.query(
+            'SELECT * FROM payments WHERE id = $1 AND merchant_id = $2',
+            [id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
                 error: {
-                    code: 'BAD_REQUEST_ERROR',
-                    description: 'Payment not in capturable state',
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Payment not found',
                 },
             });
         }
 
-        if (amount && amount !== payment.amount) {
-            return res.status(400).json({
+        const payment = result.rows[0];
+
+        if (reason !== undefined && typeof reason !== 'string') {
+            return badRequest(res, 'reason must be a string');
+        }
+
+        const cancelledPayment = await cancelPayment(payment, reason || 'requested_by_merchant');
+
+        if (!cancelledPayment) {
+            return badRequest(res, `Payment is already ${payment.status} and can no longer be cancelled`);
+        }
+
+        // Drop the queued processing job if the worker has not picked it up yet;
+        // an active job sees the cancelled status and leaves the payment alone
+        for (const jobId of [id, `${id}:authenticated`]) {
+            const job = await paymentQueue.getJob(jobId);
+            if (job && ['waiting', 'delayed'].includes(await job.getState())) {
+                await job.remove();
+                console.log(`🗑️  Removed queued processing job for cancelled payment: ${jobId}`);
+            }
+        }
+
+        res.json(formatPayment(cancelledPayment));
+    } catch (error) {
+        console.error('Error cancelling payment:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/payments/:id/refunds
+ * List refunds for a payment with limit/offset pagination
+ */
+router.get('/:payment_id/refunds', authenticate, async (req, res) => {
+    try {
+        const { payment_id } = req.params;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const paymentResult = await db.query(
+            'SELECT id FROM payments WHERE id = $1 AND merchant_id = $2',
+            [payment_id, req.merchant.id]
+        );
+
+        if (paymentResult.rows.length === 0) {
+            return res.status(404).json({
                 error: {
-                    code: 'BAD_REQUEST_ERROR',
-                    description: 'Capture amount must match payment amount',
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Payment not found',
                 },
             });
         }
 
-        // Update captured status
-        await db.query(
-            'UPDATE payments SET captured = true WHERE id = $1',
-            [id]
+        const countResult = await db.query(
+            'SELECT COUNT(*) FROM refunds WHERE payment_id = $1',
+            [payment_id]
         );
 
-        const updatedResult = await db.query(
-            'SELECT * FROM payments WHERE id = $1',
-            [id]
+        const refundsResult = await db.query(
+            `SELECT * FROM refunds
+             WHERE payment_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2 OFFSET $3`,
+            [payment_id, limit, offset]
         );
 
-        const updatedPayment = updatedResult.rows[0];
-
         res.json({
-            id: updatedPayment.id,
-            order_id: updatedPayment.order_id,
-            amount: updatedPayment.amount,
-            currency: updatedPayment.currency,
-            method: updatedPayment.method,
-            status: updatedPayment.status,
-            captured: updatedPayment.captured,
-            created_at: updatedPayment.created_at,
-            updated_at: updatedPayment.updated_at,
+            data: refundsResult.rows.map(formatRefund),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
         });
     } catch (error) {
-        console.error('Error capturing payment:', error);
+        console.error('Error listing payment refunds:', error);
         res.status(500).json({
             error: {
                 code: 'SERVER_ERROR',
@@ -266,7 +739,11 @@ router.post('/:id/capture', authenticate, async (req, res) => {
 router.post('/:payment_id/refunds', authenticate, async (req, res) => {
     try {
         const { payment_id } = req.params;
-        const { amount, reason } = req.body;
+        const { amount, reason, speed = 'normal' } = req.body;
+
+        if (!REFUND_SPEEDS.includes(speed)) {
+            return badRequest(res, `speed must be one of: ${REFUND_SPEEDS.join(', ')}`);
+        }
 
         // Validate payment exists
         const paymentResult = await db.query(
@@ -295,16 +772,9 @@ router.post('/:payment_id/refunds', authenticate, async (req, res) => {
             });
         }
 
-        // Calculate total refunded amount
-        const refundSumResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0) as total_refunded
-       FROM refunds
-       WHERE payment_id = $1 AND status IN ('pending', 'processed')`,
-            [payment_id]
-        );
-
-        const totalRefunded = parseInt(refundSumResult.rows[0].total_refunded);
-        const availableAmount = payment.amount - totalRefunded;
+        // Failed and cancelled refunds no longer hold back any amount
+        const totalReserved = await getReservedRefundAmount(payment_id);
+        const availableAmount = payment.captured_amount - totalReserved;
 
         // Validate refund amount
         if (!amount || amount <= 0) {
@@ -330,17 +800,23 @@ router.post('/:payment_id/refunds', authenticate, async (req, res) => {
 
         // Insert refund
         const refundResult = await db.query(
-            `INSERT INTO refunds (id, payment_id, merchant_id, amount, reason, status)
-       VALUES ($1, $2, $3, $4, $5, $6)
+            `INSERT INTO refunds (id, payment_id, merchant_id, amount, reason, status, speed_requested)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-            [refundId, payment_id, req.merchant.id, amount, reason, 'pending']
+            [refundId, payment_id, req.merchant.id, amount, reason, 'pending', speed]
         );
 
         const refund = refundResult.rows[0];
 
-        // Enqueue refund processing job
+        await createWebhookLog(refund.merchant_id, 'refund.created', { refund });
+
+        // Enqueue refund processing job (job ID = refund ID so it can be cancelled).
+        // Optimum refunds jump ahead of normal ones in the queue.
         await refundQueue.add('process-refund', {
             refundId: refund.id,
+        }, {
+            jobId: refund.id,
+            priority: speed === 'optimum' ? 1 : 10,
         });
 
         console.log(`✅ Refund created and job enqueued: ${refund.id}`);
@@ -350,6 +826,7 @@ router.post('/:payment_id/refunds', authenticate, async (req, res) => {
             payment_id: refund.payment_id,
             amount: refund.amount,
             reason: refund.reason,
+            speed_requested: refund.speed_requested,
             status: refund.status,
             created_at: refund.created_at,
         });
@@ -364,6 +841,15 @@ router.post('/:payment_id/refunds', authenticate, async (req, res) => {
     }
 });
 
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
 function generateRandomString(length) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
     let result = '';
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { formatPlan } = require('../utils/serializers');
+const { parseLimit, parseOffset, addFilter } = require('../utils/listQuery');
+const { validateAmount } = require('../config/currencies');
+
+const PLAN_INTERVALS = ['day', 'week', 'month', 'year'];
+
+/**
+ * POST /api/v1/plans
+ * Create a billing plan
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { name, amount, currency = 'INR', interval, interval_count = 1 } = req.body;
+
+        if (!name || typeof name !== 'string') {
+            return badRequest(res, 'name is required');
+        }
+
+        const amountError = validateAmount(req.merchant, amount, currency);
+        if (amountError) {
+            return badRequest(res, amountError);
+        }
+
+        if (!PLAN_INTERVALS.includes(interval)) {
+            return badRequest(res, `interval must be one of: ${PLAN_INTERVALS.join(', ')}`);
+        }
+
+        if (!Number.isInteger(interval_count) || interval_count <= 0) {
+            return badRequest(res, 'interval_count must be a positive integer');
+        }
+
+        const planId = `plan_${generateRandomString(16)}`;
+
+        const result = await db.query(
+            `INSERT INTO plans (id, merchant_id, name, amount, currency, interval, interval_count)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [planId, req.merchant.id, name, amount, currency.toUpperCase(), interval, interval_count]
+        );
+
+        res.status(201).json(formatPlan(result.rows[0]));
+    } catch (error) {
+        console.error('Error creating plan:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/plans
+ * List plans with limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { active } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (active !== undefined) {
+            if (!['true', 'false'].includes(active)) {
+                return badRequest(res, 'active must be true or false');
+            }
+            addFilter(conditions, values, 'active', '=', active === 'true');
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM plans WHERE ${whereClause}`,
+            values
+        );
+
+        const plansResult = await db.query(
+            `SELECT * FROM plans
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: plansResult.rows.map(formatPlan),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing plans:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/plans/:id
+ * Get plan details
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT * FROM plans WHERE id = $1 AND merchant_id = $2',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return planNotFound(res);
+        }
+
+        res.json(formatPlan(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching plan:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * PATCH /api/v1/plans/:id
+ * Activate or deactivate a plan. Inactive plans accept no new subscriptions;
+ * existing subscriptions keep billing.
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+    try {
+        const { active } = req.body;
+
+        if (typeof active !== 'boolean') {
+            return badRequest(res, 'active must be a boolean');
+        }
+
+        const result = await db.query(
+            `UPDATE plans SET active = $1
+             WHERE id = $2 AND merchant_id = $3
+             RETURNING *`,
+            [active, req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return planNotFound(res);
+        }
+
+        res.json(formatPlan(result.rows[0]));
+    } catch (error) {
+        console.error('Error updating plan:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+function planNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Plan not found',
+        },
+    });
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
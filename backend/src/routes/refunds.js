@@ -2,6 +2,77 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { cancelRefund } = require('../services/RefundService');
+const { formatRefund } = require('../utils/serializers');
+const {
+    parseLimit,
+    parseOffset,
+    addFilter,
+    addDateRangeFilter,
+} = require('../utils/listQuery');
+
+/**
+ * GET /api/v1/refunds
+ * List refunds with filters and limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { payment_id, status } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (payment_id) {
+            addFilter(conditions, values, 'payment_id', '=', payment_id);
+        }
+
+        if (status) {
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return res.status(400).json({
+                error: {
+                    code: 'BAD_REQUEST_ERROR',
+                    description: dateRangeError,
+                },
+            });
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM refunds WHERE ${whereClause}`,
+            values
+        );
+
+        const refundsResult = await db.query(
+            `SELECT * FROM refunds
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: refundsResult.rows.map(formatRefund),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing refunds:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
 
 /**
  * GET /api/v1/refunds/:id
@@ -25,19 +96,56 @@ router.get('/:id', authenticate, async (req, res) => {
             });
         }
 
+        res.json(formatRefund(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching refund:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/refunds/:id/cancel
+ * Cancel a refund the worker has not picked up yet, releasing its amount
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const result = await db.query(
+            'SELECT * FROM refunds WHERE id = $1 AND merchant_id = $2',
+            [id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Refund not found',
+                },
+            });
+        }
+
         const refund = result.rows[0];
 
-        res.json({
-            id: refund.id,
-            payment_id: refund.payment_id,
-            amount: refund.amount,
-            reason: refund.reason,
-            status: refund.status,
-            created_at: refund.created_at,
-            processed_at: refund.processed_at,
-        });
+        if (reason !== undefined && typeof reason !== 'string') {
+            return badRequest(res, 'reason must be a string');
+        }
+
+        const cancelledRefund = await cancelRefund(refund, reason || 'requested_by_merchant');
+
+        if (!cancelledRefund) {
+            return badRequest(res, `Refund is already ${refund.status} and can no longer be cancelled`);
+        }
+
+        res.json(formatRefund(cancelledRefund));
     } catch (error) {
-        console.error('Error fetching refund:', error);
+        console.error('Error cancelling refund:', error);
         res.status(500).json({
             error: {
                 code: 'SERVER_ERROR',
@@ -47,4 +155,13 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 });
 
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
 module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { reportQueue } = require('../config/queue');
+const { REPORT_TYPES, REPORT_FORMATS } = require('../services/ReportService');
+const { formatReport } = require('../utils/serializers');
+const {
+    parseLimit,
+    parseOffset,
+    parseTimestamp,
+    addFilter,
+} = require('../utils/listQuery');
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    jsonl: 'application/x-ndjson',
+};
+
+/**
+ * Longest date range a single report may cover
+ * @returns {number} Days
+ */
+function getMaxRangeDays() {
+    return parseInt(process.env.REPORT_MAX_RANGE_DAYS || '366');
+}
+
+/**
+ * POST /api/v1/reports
+ * Request a report; it is generated asynchronously by the worker
+ * Body: { type, format: 'csv' | 'jsonl', from, to }
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { type, format = 'csv', from, to } = req.body;
+
+        if (!REPORT_TYPES[type]) {
+            return badRequest(res, `type must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`);
+        }
+
+        if (!REPORT_FORMATS.includes(format)) {
+            return badRequest(res, `format must be one of: ${REPORT_FORMATS.join(', ')}`);
+        }
+
+        const fromAt = from !== undefined ? parseTimestamp(String(from)) : null;
+        const toAt = to !== undefined ? parseTimestamp(String(to)) : null;
+
+        if (!fromAt || !toAt) {
+            return badRequest(res, 'from and to are required as unix timestamps or ISO-8601 dates');
+        }
+
+        if (fromAt > toAt) {
+            return badRequest(res, 'from must not be after to');
+        }
+
+        if (toAt - fromAt > getMaxRangeDays() * 86400000) {
+            return badRequest(res, `Date range cannot exceed ${getMaxRangeDays()} days`);
+        }
+
+        const result = await db.query(
+            `INSERT INTO reports (id, merchant_id, type, format, from_at, to_at)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [`rpt_${generateRandomString(16)}`, req.merchant.id, type, format, fromAt.toISOString(), toAt.toISOString()]
+        );
+
+        const report = result.rows[0];
+
+        await reportQueue.add('generate-report', { reportId: report.id }, { jobId: report.id });
+
+        res.status(202).json(formatReport(report));
+    } catch (error) {
+        console.error('Error creating report:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/reports
+ * List reports with limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { type, status } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (type) {
+            addFilter(conditions, values, 'type', '=', type);
+        }
+
+        if (status) {
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM reports WHERE ${whereClause}`,
+            values
+        );
+
+        const reportsResult = await db.query(
+            `SELECT * FROM reports
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: reportsResult.rows.map(formatReport),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing reports:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/reports/:id
+ * Get report status; completed reports include a download_url
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const report = await findReport(req.params.id, req.merchant.id);
+        if (!report) {
+            return reportNotFound(res);
+        }
+
+        res.json(formatReport(report));
+    } catch (error) {
+        console.error('Error fetching report:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/reports/:id/download
+ * Stream a completed report file
+ */
+router.get('/:id/download', authenticate, async (req, res) => {
+    try {
+        const report = await findReport(req.params.id, req.merchant.id);
+        if (!report) {
+            return reportNotFound(res);
+        }
+
+        if (report.status !== 'completed') {
+            return badRequest(res, `Report is ${report.status}`);
+        }
+
+        const file = fs.createReadStream(report.file_path);
+
+        file.on('error', (error) => {
+            console.error(`Error reading report ${report.id}:`, error.message);
+            if (!res.headersSent) {
+                reportNotFound(res);
+            } else {
+                res.destroy(error);
+            }
+        });
+
+        file.on('open', () => {
+            res.setHeader('Content-Type', CONTENT_TYPES[report.format]);
+            res.setHeader('Content-Length', report.file_size);
+            res.setHeader('Content-Disposition', `attachment; filename="${report.type}_${report.id}.${report.format}"`);
+            file.pipe(res);
+        });
+    } catch (error) {
+        console.error('Error downloading report:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+async function findReport(reportId, merchantId) {
+    const result = await db.query(
+        'SELECT * FROM reports WHERE id = $1 AND merchant_id = $2',
+        [reportId, merchantId]
+    );
+    return result.rows[0] || null;
+}
+
+function reportNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Report not found',
+        },
+    });
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
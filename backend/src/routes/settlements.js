@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { formatSettlement } = require('../utils/serializers');
+const {
+    parseLimit,
+    parseOffset,
+    addFilter,
+    addDateRangeFilter,
+} = require('../utils/listQuery');
+
+const SETTLEMENT_STATUSES = ['created', 'processed'];
+
+/**
+ * GET /api/v1/settlements
+ * List settlements with filters and limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { status, currency, utr } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (status) {
+            if (!SETTLEMENT_STATUSES.includes(status)) {
+                return badRequest(res, 'Invalid settlement status');
+            }
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        if (currency) {
+            addFilter(conditions, values, 'currency', '=', currency.toUpperCase());
+        }
+
+        if (utr) {
+            addFilter(conditions, values, 'utr', '=', utr);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return badRequest(res, dateRangeError);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM settlements WHERE ${whereClause}`,
+            values
+        );
+
+        const settlementsResult = await db.query(
+            `SELECT * FROM settlements
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: settlementsResult.rows.map(formatSettlement),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing settlements:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/settlements/:id
+ * Get settlement details
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const settlement = await findSettlement(req.params.id, req.merchant.id);
+        if (!settlement) {
+            return settlementNotFound(res);
+        }
+
+        res.json(formatSettlement(settlement));
+    } catch (error) {
+        console.error('Error fetching settlement:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/settlements/:id/entries
+ * Merchant balance ledger lines paid out by a settlement, for reconciliation
+ */
+router.get('/:id/entries', authenticate, async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const settlement = await findSettlement(req.params.id, req.merchant.id);
+        if (!settlement) {
+            return settlementNotFound(res);
+        }
+
+        const entriesResult = await db.query(
+            `SELECT * FROM ledger_entries
+             WHERE settlement_id = $1 AND source_type <> 'settlement'
+             ORDER BY id
+             LIMIT $2 OFFSET $3`,
+            [settlement.id, limit, offset]
+        );
+
+        res.json({
+            data: entriesResult.rows.map((entry) => ({
+                source_type: entry.source_type,
+                source_id: entry.source_id,
+                direction: entry.direction,
+                amount: parseInt(entry.amount),
+                currency: entry.currency,
+                created_at: entry.created_at,
+            })),
+            total: settlement.entry_count,
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing settlement entries:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+async function findSettlement(settlementId, merchantId) {
+    const result = await db.query(
+        'SELECT * FROM settlements WHERE id = $1 AND merchant_id = $2',
+        [settlementId, merchantId]
+    );
+    return result.rows[0] || null;
+}
+
+function settlementNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Settlement not found',
+        },
+    });
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+
+/**
+ * GET /l/:short_code
+ * Short payment link URL: redirect to the hosted checkout for the link
+ */
+router.get('/:short_code', async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT short_code FROM payment_links WHERE short_code = $1',
+            [req.params.short_code]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                error: {
+                    code: 'NOT_FOUND_ERROR',
+                    description: 'Payment link not found',
+                },
+            });
+        }
+
+        const checkoutUrl = process.env.CHECKOUT_URL || 'http://localhost:3001';
+        res.redirect(302, `${checkoutUrl}/checkout?link=${encodeURIComponent(result.rows[0].short_code)}`);
+    } catch (error) {
+        console.error('Error resolving payment link:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { findPaymentMethod } = require('../services/CustomerService');
+const { cancelSubscription } = require('../services/SubscriptionService');
+const { formatSubscription } = require('../utils/serializers');
+const {
+    parseLimit,
+    parseOffset,
+    parseTimestamp,
+    addFilter,
+    addDateRangeFilter,
+} = require('../utils/listQuery');
+
+const SUBSCRIPTION_STATUSES = ['active', 'past_due', 'cancelled', 'completed'];
+
+/**
+ * POST /api/v1/subscriptions
+ * Subscribe a customer's saved payment method to a plan.
+ * The first charge runs at start_at (default: now), then once per plan period.
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { plan_id, customer_id, payment_method_id, total_count, start_at } = req.body;
+
+        if (!plan_id || !customer_id || !payment_method_id) {
+            return badRequest(res, 'plan_id, customer_id and payment_method_id are required');
+        }
+
+        if (total_count !== undefined && (!Number.isInteger(total_count) || total_count <= 0)) {
+            return badRequest(res, 'total_count must be a positive integer');
+        }
+
+        let startAt = new Date();
+        if (start_at !== undefined) {
+            startAt = parseTimestamp(String(start_at));
+            if (!startAt) {
+                return badRequest(res, 'start_at must be a unix timestamp or ISO-8601 date');
+            }
+        }
+
+        const planResult = await db.query(
+            'SELECT * FROM plans WHERE id = $1 AND merchant_id = $2',
+            [plan_id, req.merchant.id]
+        );
+
+        if (planResult.rows.length === 0) {
+            return notFound(res, 'Plan not found');
+        }
+
+        if (!planResult.rows[0].active) {
+            return badRequest(res, 'Plan is not active');
+        }
+
+        const method = await findPaymentMethod(req.merchant.id, customer_id, payment_method_id);
+        if (!method) {
+            return notFound(res, 'Payment method not found');
+        }
+
+        const subscriptionId = `sub_${generateRandomString(16)}`;
+
+        const result = await db.query(
+            `INSERT INTO subscriptions (id, merchant_id, plan_id, customer_id, payment_method_id, total_count, start_at, next_charge_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+             RETURNING *`,
+            [
+                subscriptionId,
+                req.merchant.id,
+                plan_id,
+                customer_id,
+                payment_method_id,
+                total_count ?? null,
+                startAt,
+            ]
+        );
+
+        console.log(`🔁 Subscription created: ${subscriptionId}`);
+
+        res.status(201).json(formatSubscription(result.rows[0]));
+    } catch (error) {
+        console.error('Error creating subscription:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/subscriptions
+ * List subscriptions with filters and limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const { status, plan_id, customer_id } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const conditions = ['merchant_id = $1'];
+        const values = [req.merchant.id];
+
+        if (status) {
+            if (!SUBSCRIPTION_STATUSES.includes(status)) {
+                return badRequest(res, 'Invalid subscription status');
+            }
+            addFilter(conditions, values, 'status', '=', status);
+        }
+
+        if (plan_id) {
+            addFilter(conditions, values, 'plan_id', '=', plan_id);
+        }
+
+        if (customer_id) {
+            addFilter(conditions, values, 'customer_id', '=', customer_id);
+        }
+
+        const dateRangeError = addDateRangeFilter(req.query, conditions, values);
+        if (dateRangeError) {
+            return badRequest(res, dateRangeError);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM subscriptions WHERE ${whereClause}`,
+            values
+        );
+
+        const subscriptionsResult = await db.query(
+            `SELECT * FROM subscriptions
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+            [...values, limit, offset]
+        );
+
+        res.json({
+            data: subscriptionsResult.rows.map(formatSubscription),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing subscriptions:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/subscriptions/:id
+ * Get subscription details
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const subscription = await findSubscription(req.params.id, req.merchant.id);
+        if (!subscription) {
+            return notFound(res, 'Subscription not found');
+        }
+
+        res.json(formatSubscription(subscription));
+    } catch (error) {
+        console.error('Error fetching subscription:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/subscriptions/:id/cancel
+ * Cancel a subscription immediately
+ */
+router.post('/:id/cancel', authenticate, async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (reason !== undefined && typeof reason !== 'string') {
+            return badRequest(res, 'reason must be a string');
+        }
+
+        const subscription = await findSubscription(req.params.id, req.merchant.id);
+        if (!subscription) {
+            return notFound(res, 'Subscription not found');
+        }
+
+        const cancelled = await cancelSubscription(subscription, reason || 'requested_by_merchant');
+        if (!cancelled) {
+            return badRequest(res, `Subscription is already ${subscription.status}`);
+        }
+
+        res.json(formatSubscription(cancelled));
+    } catch (error) {
+        console.error('Error cancelling subscription:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+async function findSubscription(subscriptionId, merchantId) {
+    const result = await db.query(
+        'SELECT * FROM subscriptions WHERE id = $1 AND merchant_id = $2',
+        [subscriptionId, merchantId]
+    );
+    return result.rows[0] || null;
+}
+
+function notFound(res, description) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description,
+        },
+    });
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
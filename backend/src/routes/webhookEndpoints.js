@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const {
+    WEBHOOK_EVENTS,
+    generateWebhookSecret,
+    rotateEndpointSecret,
+} = require('../services/WebhookService');
+const { formatWebhookEndpoint } = require('../utils/serializers');
+const { parseLimit, parseOffset } = require('../utils/listQuery');
+
+/**
+ * POST /api/v1/webhooks/endpoints
+ * Register a webhook endpoint. The signing secret is returned only here.
+ */
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { url, description, enabled = true, events = ['*'] } = req.body;
+
+        const fieldError = validateEndpointFields({ url, description, enabled, events });
+        if (fieldError) {
+            return badRequest(res, fieldError);
+        }
+
+        if (!url) {
+            return badRequest(res, 'url is required');
+        }
+
+        const endpointId = `we_${generateRandomString(16)}`;
+        const secret = generateWebhookSecret();
+
+        const result = await db.query(
+            `INSERT INTO webhook_endpoints (id, merchant_id, url, secret, description, enabled, events)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [endpointId, req.merchant.id, url, secret, description || null, enabled, events]
+        );
+
+        const endpoint = result.rows[0];
+
+        console.log(`✅ Webhook endpoint created: ${endpoint.id} (${endpoint.url})`);
+
+        res.status(201).json({
+            ...formatWebhookEndpoint(endpoint),
+            secret: endpoint.secret,
+        });
+    } catch (error) {
+        console.error('Error creating webhook endpoint:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/webhooks/endpoints
+ * List webhook endpoints with limit/offset pagination
+ */
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const offset = parseOffset(req.query.offset);
+
+        const countResult = await db.query(
+            'SELECT COUNT(*) FROM webhook_endpoints WHERE merchant_id = $1',
+            [req.merchant.id]
+        );
+
+        const endpointsResult = await db.query(
+            `SELECT * FROM webhook_endpoints
+             WHERE merchant_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2 OFFSET $3`,
+            [req.merchant.id, limit, offset]
+        );
+
+        res.json({
+            data: endpointsResult.rows.map(formatWebhookEndpoint),
+            total: parseInt(countResult.rows[0].count),
+            limit,
+            offset,
+        });
+    } catch (error) {
+        console.error('Error listing webhook endpoints:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * GET /api/v1/webhooks/endpoints/:id
+ * Fetch a webhook endpoint
+ */
+router.get('/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT * FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return endpointNotFound(res);
+        }
+
+        res.json(formatWebhookEndpoint(result.rows[0]));
+    } catch (error) {
+        console.error('Error fetching webhook endpoint:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * PATCH /api/v1/webhooks/endpoints/:id
+ * Update an endpoint's url, description, enabled flag or subscribed events
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+    try {
+        const { url, description, enabled, events } = req.body;
+
+        const fieldError = validateEndpointFields({ url, description, enabled, events });
+        if (fieldError) {
+            return badRequest(res, fieldError);
+        }
+
+        // Re-enabling clears the endpoint's failure history; an open circuit
+        // is probed on the next health check so held deliveries can drain
+        const result = await db.query(
+            `UPDATE webhook_endpoints
+             SET url = COALESCE($1, url),
+                 description = COALESCE($2, description),
+                 enabled = COALESCE($3, enabled),
+                 events = COALESCE($4, events),
+                 consecutive_failures = CASE WHEN $3 AND NOT enabled THEN 0 ELSE consecutive_failures END,
+                 failing_since = CASE WHEN $3 AND NOT enabled THEN NULL ELSE failing_since END,
+                 circuit_retry_at = CASE WHEN $3 AND NOT enabled AND circuit_state <> 'closed'
+                                         THEN CURRENT_TIMESTAMP ELSE circuit_retry_at END,
+                 disabled_at = CASE WHEN $3 AND NOT enabled THEN NULL ELSE disabled_at END,
+                 disabled_reason = CASE WHEN $3 AND NOT enabled THEN NULL ELSE disabled_reason END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5 AND merchant_id = $6
+             RETURNING *`,
+            [url ?? null, description ?? null, enabled ?? null, events ?? null, req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return endpointNotFound(res);
+        }
+
+        const endpoint = result.rows[0];
+
+        // Keep the legacy webhook_url in step with the default endpoint
+        if (endpoint.is_default && url) {
+            await db.query('UPDATE merchants SET webhook_url = $1 WHERE id = $2', [url, req.merchant.id]);
+        }
+
+        res.json(formatWebhookEndpoint(endpoint));
+    } catch (error) {
+        console.error('Error updating webhook endpoint:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * POST /api/v1/webhooks/endpoints/:id/secret/regenerate
+ * Rotate an endpoint's signing secret. Deliveries are signed with both the
+ * old and the new secret until previous_secret_expires_at.
+ */
+router.post('/:id/secret/regenerate', authenticate, async (req, res) => {
+    try {
+        const endpoint = await rotateEndpointSecret(req.params.id, req.merchant.id);
+
+        if (!endpoint) {
+            return endpointNotFound(res);
+        }
+
+        console.log(`🔑 Webhook endpoint secret rotated: ${endpoint.id}`);
+
+        res.json({
+            ...formatWebhookEndpoint(endpoint),
+            secret: endpoint.secret,
+        });
+    } catch (error) {
+        console.error('Error rotating webhook endpoint secret:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * DELETE /api/v1/webhooks/endpoints/:id
+ * Delete a webhook endpoint. Its delivery logs are kept; pending deliveries
+ * to it are dropped.
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2 RETURNING *',
+            [req.params.id, req.merchant.id]
+        );
+
+        if (result.rows.length === 0) {
+            return endpointNotFound(res);
+        }
+
+        const endpoint = result.rows[0];
+
+        if (endpoint.is_default) {
+            await db.query('UPDATE merchants SET webhook_url = NULL WHERE id = $1', [req.merchant.id]);
+        }
+
+        console.log(`🗑️  Webhook endpoint deleted: ${endpoint.id}`);
+
+        res.json({ id: endpoint.id, deleted: true });
+    } catch (error) {
+        console.error('Error deleting webhook endpoint:', error);
+        res.status(500).json({
+            error: {
+                code: 'SERVER_ERROR',
+                description: 'Internal server error',
+            },
+        });
+    }
+});
+
+/**
+ * Validate endpoint fields; undefined fields are skipped
+ * @returns {string|null} Error description, or null if valid
+ */
+function validateEndpointFields({ url, description, enabled, events }) {
+    if (url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return 'Invalid webhook URL format';
+        }
+
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'url must be an http or https URL';
+        }
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 255)) {
+        return 'description must be a string of at most 255 characters';
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return 'events must be a non-empty array';
+        }
+
+        const unknown = events.filter((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return `Unknown event types: ${unknown.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+function badRequest(res, description) {
+    return res.status(400).json({
+        error: {
+            code: 'BAD_REQUEST_ERROR',
+            description,
+        },
+    });
+}
+
+function endpointNotFound(res) {
+    return res.status(404).json({
+        error: {
+            code: 'NOT_FOUND_ERROR',
+            description: 'Webhook endpoint not found',
+        },
+    });
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = router;
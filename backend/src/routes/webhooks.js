@@ -4,6 +4,12 @@ const db = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const { webhookQueue } = require('../config/queue');
 const { v4: uuidv4 } = require('uuid');
+const {
+    enqueueDelivery,
+    generateWebhookSecret,
+    rotateEndpointSecret,
+    setDefaultEndpointUrl,
+} = require('../services/WebhookService');
 
 /**
  * GET /api/v1/webhooks
@@ -24,7 +30,7 @@ router.get('/', authenticate, async (req, res) => {
 
         // Get paginated logs
         const logsResult = await db.query(
-            `SELECT id, event, status, attempts, created_at, last_attempt_at, 
+            `SELECT id, endpoint_id, event, status, attempts, created_at, last_attempt_at, 
                     next_retry_at, response_code, response_body
              FROM webhook_logs
              WHERE merchant_id = $1
@@ -52,23 +58,23 @@ router.get('/', authenticate, async (req, res) => {
 
 /**
  * POST /api/v1/webhooks/test
- * Send a test webhook to merchant's configured URL
+ * Send a test webhook to each of the merchant's enabled endpoints
  */
 router.post('/test', authenticate, async (req, res) => {
     try {
         const merchantId = req.merchant.id;
 
-        // Check if webhook URL is configured
-        const merchantResult = await db.query(
-            'SELECT webhook_url FROM merchants WHERE id = $1',
+        // Test webhooks go to every enabled endpoint, whatever it subscribes to
+        const endpointResult = await db.query(
+            'SELECT * FROM webhook_endpoints WHERE merchant_id = $1 AND enabled ORDER BY created_at',
             [merchantId]
         );
 
-        if (!merchantResult.rows[0].webhook_url) {
+        if (endpointResult.rows.length === 0) {
             return res.status(400).json({
                 error: {
                     code: 'BAD_REQUEST_ERROR',
-                    description: 'Webhook URL not configured'
+                    description: 'No enabled webhook endpoint configured'
                 }
             });
         }
@@ -83,26 +89,14 @@ router.post('/test', authenticate, async (req, res) => {
             }
         };
 
-        // Insert webhook log
-        const logResult = await db.query(
-            `INSERT INTO webhook_logs (merchant_id, event, payload, status, attempts)
-             VALUES ($1, $2, $3, $4, $5)
-             RETURNING id`,
-            [merchantId, 'webhook.test', JSON.stringify(payload), 'pending', 0]
-        );
-
-        const webhookLogId = logResult.rows[0].id;
-
-        // Enqueue delivery job
-        await webhookQueue.add('deliver-webhook', {
-            webhookLogId,
-            merchantId,
-            event: 'webhook.test',
-            payload
-        });
+        const ids = [];
+        for (const endpoint of endpointResult.rows) {
+            ids.push(await enqueueDelivery(endpoint, 'webhook.test', payload));
+        }
 
         res.json({
-            id: webhookLogId,
+            id: ids[0],
+            ids,
             message: 'Test webhook enqueued for delivery'
         });
     } catch (error) {
@@ -154,6 +148,7 @@ router.post('/:webhook_id/retry', authenticate, async (req, res) => {
         await webhookQueue.add('deliver-webhook', {
             webhookLogId: webhook_id,
             merchantId,
+            endpointId: log.endpoint_id,
             event: log.event,
             payload: log.payload
         });
@@ -176,7 +171,7 @@ router.post('/:webhook_id/retry', authenticate, async (req, res) => {
 
 /**
  * PUT /api/v1/webhooks/config
- * Update merchant's webhook configuration
+ * Update merchant's webhook configuration (the URL of its default endpoint)
  */
 router.put('/config', authenticate, async (req, res) => {
     try {
@@ -209,6 +204,7 @@ router.put('/config', authenticate, async (req, res) => {
             'UPDATE merchants SET webhook_url = $1 WHERE id = $2',
             [webhook_url, merchantId]
         );
+        await setDefaultEndpointUrl(merchantId, webhook_url);
 
         res.json({
             message: 'Webhook configuration updated successfully',
@@ -227,16 +223,33 @@ router.put('/config', authenticate, async (req, res) => {
 
 /**
  * POST /api/v1/webhooks/secret/regenerate
- * Regenerate merchant's webhook secret
+ * Regenerate merchant's webhook secret (used by its default endpoint).
+ * The previous secret keeps signing for WEBHOOK_SECRET_ROTATION_GRACE_HOURS.
  */
 router.post('/secret/regenerate', authenticate, async (req, res) => {
     try {
         const merchantId = req.merchant.id;
 
-        // Generate new secret
-        const newSecret = 'whsec_' + require('crypto').randomBytes(16).toString('hex');
+        const endpointResult = await db.query(
+            'SELECT id FROM webhook_endpoints WHERE merchant_id = $1 AND is_default',
+            [merchantId]
+        );
+
+        // Rotate the default endpoint's secret; the old one keeps signing
+        // during the grace period so receivers don't break
+        if (endpointResult.rows.length > 0) {
+            const endpoint = await rotateEndpointSecret(endpointResult.rows[0].id, merchantId);
+
+            return res.json({
+                message: 'Webhook secret regenerated successfully',
+                webhook_secret: endpoint.secret,
+                previous_secret_expires_at: endpoint.previous_secret_expires_at
+            });
+        }
+
+        // No endpoint signs with it yet, so there is nothing to keep working
+        const newSecret = generateWebhookSecret();
 
-        // Update merchant
         await db.query(
             'UPDATE merchants SET webhook_secret = $1 WHERE id = $2',
             [newSecret, merchantId]
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { formatExpiry } = require('../utils/cardValidation');
+
+/**
+ * Save a payment method on a customer.
+ * Attaching a card or VPA the customer already has returns the existing method.
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} customerId - Customer ID
+ * @param {Object} details - { type: 'card', cardToken } or { type: 'upi', vpa }
+ * @returns {Object} { method, created }
+ */
+async function attachPaymentMethod(merchantId, customerId, { type, cardToken, vpa }) {
+    const existing = type === 'card'
+        ? await db.query(
+            `SELECT pm.* FROM payment_methods pm
+             JOIN card_tokens t ON t.id = pm.card_token
+             WHERE pm.customer_id = $1 AND pm.detached_at IS NULL
+               AND t.fingerprint = $2 AND pm.card_expiry = $3`,
+            [customerId, cardToken.fingerprint, formatExpiry(cardToken)]
+        )
+        : await db.query(
+            `SELECT * FROM payment_methods
+             WHERE customer_id = $1 AND detached_at IS NULL AND vpa = $2`,
+            [customerId, vpa]
+        );
+
+    if (existing.rows.length > 0) {
+        return { method: existing.rows[0], created: false };
+    }
+
+    const methodId = `pm_${crypto.randomBytes(8).toString('hex')}`;
+
+    const result = await db.query(
+        `INSERT INTO payment_methods (id, merchant_id, customer_id, type, card_token, card_network, card_type, card_last4, card_expiry, vpa)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+            methodId,
+            merchantId,
+            customerId,
+            type,
+            cardToken ? cardToken.id : null,
+            cardToken ? cardToken.card_network : null,
+            cardToken ? cardToken.card_type : null,
+            cardToken ? cardToken.card_last4 : null,
+            cardToken ? formatExpiry(cardToken) : null,
+            vpa || null,
+        ]
+    );
+
+    console.log(`💳 Payment method ${methodId} attached to customer ${customerId}`);
+    return { method: result.rows[0], created: true };
+}
+
+/**
+ * Find an attached payment method belonging to a merchant's customer
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} customerId - Customer ID
+ * @param {string} paymentMethodId - Payment method ID
+ * @returns {Object|null} Payment method row, or null if missing or detached
+ */
+async function findPaymentMethod(merchantId, customerId, paymentMethodId) {
+    const result = await db.query(
+        `SELECT pm.*, t.expiry_month, t.expiry_year
+         FROM payment_methods pm
+         LEFT JOIN card_tokens t ON t.id = pm.card_token
+         WHERE pm.id = $1 AND pm.customer_id = $2 AND pm.merchant_id = $3
+           AND pm.detached_at IS NULL`,
+        [paymentMethodId, customerId, merchantId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Detach a payment method so it can no longer be used.
+ * The row is kept so past payments still resolve their method.
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} customerId - Customer ID
+ * @param {string} paymentMethodId - Payment method ID
+ * @returns {Object|null} Detached row, or null if missing or already detached
+ */
+async function detachPaymentMethod(merchantId, customerId, paymentMethodId) {
+    const result = await db.query(
+        `UPDATE payment_methods
+         SET detached_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND customer_id = $2 AND merchant_id = $3 AND detached_at IS NULL
+         RETURNING *`,
+        [paymentMethodId, customerId, merchantId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    console.log(`🔌 Payment method ${paymentMethodId} detached from customer ${customerId}`);
+    return result.rows[0];
+}
+
+module.exports = {
+    attachPaymentMethod,
+    findPaymentMethod,
+    detachPaymentMethod,
+};
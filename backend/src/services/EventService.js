@@ -0,0 +1,153 @@
+const db = require('../config/database');
+const { formatEvent } = require('../utils/serializers');
+
+/**
+ * Events enqueued per query while processing a redelivery
+ */
+const REDELIVERY_BATCH_SIZE = 100;
+
+/**
+ * Largest number of events a single redelivery may cover
+ * @returns {number}
+ */
+function getMaxRedeliveryEvents() {
+    return parseInt(process.env.EVENT_REDELIVERY_MAX_EVENTS || '10000');
+}
+
+/**
+ * Store a domain event. The insert takes a per-merchant advisory lock
+ * before drawing its sequence number, so a merchant's events commit in
+ * sequence order and polling with `after` never skips one that commits late.
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} type - Event type
+ * @param {string} apiVersion - API version the data was rendered in
+ * @param {Object} data - Rendered event data
+ * @param {string[]|null} [validationErrors] - Schema violations of the data, if any
+ * @returns {Object} Event row
+ */
+async function recordEvent(merchantId, type, apiVersion, data, validationErrors = null) {
+    const result = await db.query(
+        `WITH merchant_lock AS (SELECT pg_advisory_xact_lock(hashtext($2::text)))
+         INSERT INTO events (id, merchant_id, type, api_version, data, validation_errors)
+         SELECT $1, $2::uuid, $3, $4, $5, $6 FROM merchant_lock
+         RETURNING *`,
+        [
+            `evt_${generateRandomString(16)}`,
+            merchantId,
+            type,
+            apiVersion,
+            JSON.stringify(data),
+            validationErrors && JSON.stringify(validationErrors),
+        ]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Enqueue a redelivery's events to its endpoint in sequence order. Progress
+ * is saved after every batch, so a retried job resumes where it stopped
+ * (at worst resending part of one batch; receivers dedupe on the event id).
+ * @param {string} redeliveryId - Event redelivery id
+ * @returns {Object|null} Updated redelivery row, or null if already finished
+ */
+async function processRedelivery(redeliveryId) {
+    const claim = await db.query(
+        `UPDATE event_redeliveries SET status = 'processing'
+         WHERE id = $1 AND status IN ('queued', 'processing')
+         RETURNING *`,
+        [redeliveryId]
+    );
+
+    if (claim.rows.length === 0) {
+        return null;
+    }
+
+    const redelivery = claim.rows[0];
+
+    const endpointResult = await db.query(
+        'SELECT * FROM webhook_endpoints WHERE id = $1 AND merchant_id = $2',
+        [redelivery.endpoint_id, redelivery.merchant_id]
+    );
+
+    const endpoint = endpointResult.rows[0];
+
+    if (!endpoint || !endpoint.enabled) {
+        return failRedelivery(redelivery.id, 'Webhook endpoint disabled or deleted');
+    }
+
+    const { enqueueDelivery } = require('./WebhookService');
+
+    let after = redelivery.last_sequence ?? parseInt(redelivery.from_sequence) - 1;
+    let eventCount = redelivery.event_count;
+
+    for (;;) {
+        const batch = await db.query(
+            `SELECT * FROM events
+             WHERE merchant_id = $1 AND sequence > $2 AND sequence <= $3
+               AND (type = ANY($4) OR '*' = ANY($4))
+             ORDER BY sequence
+             LIMIT $5`,
+            [redelivery.merchant_id, after, redelivery.to_sequence, endpoint.events, REDELIVERY_BATCH_SIZE]
+        );
+
+        if (batch.rows.length === 0) {
+            break;
+        }
+
+        for (const event of batch.rows) {
+            await enqueueDelivery(endpoint, event.type, formatEvent(event), event.id);
+        }
+
+        after = batch.rows[batch.rows.length - 1].sequence;
+        eventCount += batch.rows.length;
+
+        await db.query(
+            'UPDATE event_redeliveries SET last_sequence = $2, event_count = $3 WHERE id = $1',
+            [redelivery.id, after, eventCount]
+        );
+    }
+
+    const result = await db.query(
+        `UPDATE event_redeliveries SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [redelivery.id]
+    );
+
+    console.log(`🔁 Redelivery completed: ${redelivery.id} (${eventCount} events to ${endpoint.id})`);
+    return result.rows[0];
+}
+
+/**
+ * Mark a redelivery as failed
+ * @param {string} redeliveryId - Event redelivery id
+ * @param {string} description - Error description
+ * @returns {Object|null} Updated redelivery row, or null if already finished
+ */
+async function failRedelivery(redeliveryId, description) {
+    const result = await db.query(
+        `UPDATE event_redeliveries SET status = 'failed', error_description = $2, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('queued', 'processing')
+         RETURNING *`,
+        [redeliveryId, description]
+    );
+
+    return result.rows[0] || null;
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = {
+    getMaxRedeliveryEvents,
+    recordEvent,
+    processRedelivery,
+    failRedelivery,
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const db = require('../config/database');
+const { getCurrency, convertAmount } = require('../config/currencies');
+
+/**
+ * Settlement currency for merchants that have not configured one
+ */
+const DEFAULT_SETTLEMENT_CURRENCY = 'INR';
+
+/**
+ * Minutes a quote keeps its rate locked
+ * @returns {number}
+ */
+function getQuoteTtlMinutes() {
+    return parseInt(process.env.FX_QUOTE_TTL_MINUTES || '15');
+}
+
+/**
+ * Validate and upsert a batch of rates into the rate table
+ * @param {Object[]} rates - [{ base_currency, quote_currency, rate }]
+ * @param {string} source - Where the rates came from (e.g. "file", "admin")
+ * @returns {number} Number of rates stored
+ */
+async function upsertRates(rates, source) {
+    if (!Array.isArray(rates) || rates.length === 0) {
+        throw fxError('INVALID_FX_RATES', 'rates must be a non-empty array');
+    }
+
+    const normalized = rates.map((entry, index) => {
+        const base = getCurrency(entry && entry.base_currency);
+        const quote = getCurrency(entry && entry.quote_currency);
+        const rate = Number(entry && entry.rate);
+
+        if (!base || !quote) {
+            throw fxError('INVALID_FX_RATES', `rates[${index}] has an unsupported currency`);
+        }
+        if (base.code === quote.code) {
+            throw fxError('INVALID_FX_RATES', `rates[${index}] converts ${base.code} to itself`);
+        }
+        if (!Number.isFinite(rate) || rate <= 0) {
+            throw fxError('INVALID_FX_RATES', `rates[${index}].rate must be a positive number`);
+        }
+
+        return { base: base.code, quote: quote.code, rate };
+    });
+
+    for (const { base, quote, rate } of normalized) {
+        await db.query(
+            `INSERT INTO fx_rates (base_currency, quote_currency, rate, source, updated_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+             ON CONFLICT (base_currency, quote_currency)
+             DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP`,
+            [base, quote, rate, source]
+        );
+    }
+
+    console.log(`💱 Loaded ${normalized.length} FX rates from ${source}`);
+    return normalized.length;
+}
+
+/**
+ * Load the rate table from a JSON file of the form
+ * { "rates": [{ "base_currency": "USD", "quote_currency": "INR", "rate": 83.12 }] }
+ * @param {string} path - Path to the rates file
+ * @returns {number} Number of rates stored
+ */
+async function loadRatesFromFile(path) {
+    const contents = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return upsertRates(contents.rates, 'file');
+}
+
+/**
+ * Current rate between two currencies. Falls back to the inverse of the
+ * opposite pair when only that direction is in the table.
+ * @param {string} fromCurrency - ISO-4217 code
+ * @param {string} toCurrency - ISO-4217 code
+ * @returns {number|null} Units of toCurrency per unit of fromCurrency, or null if unknown
+ */
+async function getRate(fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+        return 1;
+    }
+
+    const result = await db.query(
+        `SELECT base_currency, rate FROM fx_rates
+         WHERE (base_currency = $1 AND quote_currency = $2)
+            OR (base_currency = $2 AND quote_currency = $1)
+         ORDER BY (base_currency = $1) DESC
+         LIMIT 1`,
+        [fromCurrency, toCurrency]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const { base_currency: base, rate } = result.rows[0];
+    return base === fromCurrency ? parseFloat(rate) : 1 / parseFloat(rate);
+}
+
+/**
+ * Lock the current rate from a presentment currency into the merchant's
+ * settlement currency for FX_QUOTE_TTL_MINUTES
+ * @param {Object} merchant - Merchant row
+ * @param {string} presentmentCurrency - Currency the customer pays in
+ * @param {number} [amount] - Optional presentment amount to price, in minor units
+ * @returns {Object} Quote row
+ */
+async function createQuote(merchant, presentmentCurrency, amount) {
+    const settlementCurrency = getSettlementCurrency(merchant);
+    const rate = await getRate(presentmentCurrency, settlementCurrency);
+
+    if (rate === null) {
+        throw fxError(
+            'FX_RATE_UNAVAILABLE',
+            `No FX rate available from ${presentmentCurrency} to ${settlementCurrency}`
+        );
+    }
+
+    const result = await db.query(
+        `INSERT INTO fx_quotes (id, merchant_id, presentment_currency, settlement_currency, rate, presentment_amount, settlement_amount, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + make_interval(mins => $8))
+         RETURNING *`,
+        [
+            `quote_${generateRandomString(16)}`,
+            merchant.id,
+            presentmentCurrency,
+            settlementCurrency,
+            rate,
+            amount ?? null,
+            amount != null ? convertAmount(amount, presentmentCurrency, settlementCurrency, rate) : null,
+            getQuoteTtlMinutes(),
+        ]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Work out the FX fields of a new payment. A quote, when given, must belong to
+ * the merchant, cover the payment's currency pair and amount (if it priced
+ * one), not have expired and not have been used; claimFxQuote marks it used.
+ * Without a quote the current rate is applied and locked onto the payment.
+ * @param {Object} merchant - Merchant row
+ * @param {number} amount - Payment amount in minor units of the presentment currency
+ * @param {string} presentmentCurrency - Currency the customer pays in
+ * @param {string} [quoteId] - Quote to honour
+ * @returns {Object} { presentment_currency, settlement_currency, fx_rate, fx_quote_id, settlement_amount }
+ */
+async function resolvePaymentFx(merchant, amount, presentmentCurrency, quoteId) {
+    const settlementCurrency = getSettlementCurrency(merchant);
+    let rate;
+
+    if (quoteId) {
+        const result = await db.query(
+            'SELECT *, expires_at <= CURRENT_TIMESTAMP AS expired FROM fx_quotes WHERE id = $1 AND merchant_id = $2',
+            [quoteId, merchant.id]
+        );
+        const quote = result.rows[0];
+
+        if (!quote) {
+            throw fxError('FX_QUOTE_INVALID', 'FX quote not found');
+        }
+        if (quote.expired) {
+            throw fxError('FX_QUOTE_INVALID', 'FX quote has expired');
+        }
+        if (quote.presentment_currency !== presentmentCurrency || quote.settlement_currency !== settlementCurrency) {
+            throw fxError(
+                'FX_QUOTE_INVALID',
+                `FX quote is for ${quote.presentment_currency} to ${quote.settlement_currency}`
+            );
+        }
+        if (quote.presentment_amount !== null && quote.presentment_amount !== amount) {
+            throw fxError('FX_QUOTE_INVALID', `FX quote is for an amount of ${quote.presentment_amount}`);
+        }
+        if (quote.used_at) {
+            throw fxError('FX_QUOTE_INVALID', 'FX quote has already been used');
+        }
+
+        rate = parseFloat(quote.rate);
+    } else {
+        rate = await getRate(presentmentCurrency, settlementCurrency);
+
+        if (rate === null) {
+            throw fxError(
+                'FX_RATE_UNAVAILABLE',
+                `No FX rate available from ${presentmentCurrency} to ${settlementCurrency}`
+            );
+        }
+    }
+
+    return {
+        presentment_currency: presentmentCurrency,
+        settlement_currency: settlementCurrency,
+        fx_rate: rate,
+        fx_quote_id: quoteId || null,
+        settlement_amount: convertAmount(amount, presentmentCurrency, settlementCurrency, rate),
+    };
+}
+
+/**
+ * Claim a quote for the payment about to be inserted, so concurrent payments
+ * cannot both use it. Claimed right before the insert, so a request that
+ * fails earlier leaves the quote usable.
+ * @param {string} quoteId - FX quote id
+ * @throws {Error} With code FX_QUOTE_INVALID if the quote was used meanwhile
+ */
+async function claimFxQuote(quoteId) {
+    const result = await db.query(
+        'UPDATE fx_quotes SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING id',
+        [quoteId]
+    );
+
+    if (result.rows.length === 0) {
+        throw fxError('FX_QUOTE_INVALID', 'FX quote has already been used');
+    }
+}
+
+/**
+ * Hand a claimed quote back when its payment could not be created
+ * @param {string} quoteId - FX quote id
+ */
+async function releaseFxQuote(quoteId) {
+    await db.query('UPDATE fx_quotes SET used_at = NULL WHERE id = $1', [quoteId]);
+}
+
+/**
+ * Convert a presentment amount of a payment at the rate locked when it was created
+ * @param {Object} payment - Payment row
+ * @param {number} amount - Amount in minor units of the payment currency
+ * @returns {number} Amount in minor units of the payment's settlement currency
+ */
+function toSettlementAmount(payment, amount) {
+    return convertAmount(
+        amount,
+        payment.presentment_currency || payment.currency,
+        payment.settlement_currency || payment.currency,
+        parseFloat(payment.fx_rate || 1)
+    );
+}
+
+function getSettlementCurrency(merchant) {
+    return merchant.settlement_currency || DEFAULT_SETTLEMENT_CURRENCY;
+}
+
+function fxError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = {
+    DEFAULT_SETTLEMENT_CURRENCY,
+    upsertRates,
+    loadRatesFromFile,
+    getRate,
+    createQuote,
+    resolvePaymentFx,
+    claimFxQuote,
+    releaseFxQuote,
+    toSettlementAmount,
+};
@@ -0,0 +1,214 @@
+const db = require('../config/database');
+
+/**
+ * Ledger accounts. Balances are tracked per merchant and currency.
+ * - gateway_funds: money the gateway holds (captured from acquirers, not yet paid out)
+ * - merchant_balance: what the gateway owes the merchant
+ * - fee_revenue / tax_payable: the gateway's fee and the tax collected on it
+ */
+const ACCOUNTS = {
+    GATEWAY_FUNDS: 'gateway_funds',
+    MERCHANT_BALANCE: 'merchant_balance',
+    FEE_REVENUE: 'fee_revenue',
+    TAX_PAYABLE: 'tax_payable',
+};
+
+/**
+ * Post a balanced journal. Journals are idempotent by journalId, so posting
+ * the same event twice records it once.
+ * @param {Object} journal
+ * @param {string} journal.journalId - Unique id of the event, e.g. "capture:pay_123"
+ * @param {string} journal.merchantId - Merchant UUID
+ * @param {string} journal.sourceType - payment | refund | fee | tax | settlement
+ * @param {string} journal.sourceId - Id of the payment, refund or settlement
+ * @param {string} journal.currency - ISO-4217 code of every line
+ * @param {Object[]} journal.lines - [{ account, direction: 'debit' | 'credit', amount }]
+ * @param {string} [journal.settlementId] - Marks the lines as already settled
+ * @returns {number} Number of lines inserted (0 if the journal already existed)
+ */
+async function postJournal({ journalId, merchantId, sourceType, sourceId, currency, lines, settlementId }) {
+    const nonZero = lines.filter((line) => line.amount > 0);
+
+    const total = (direction) => nonZero
+        .filter((line) => line.direction === direction)
+        .reduce((sum, line) => sum + line.amount, 0);
+
+    if (total('debit') !== total('credit')) {
+        throw new Error(`Unbalanced journal ${journalId}: debits ${total('debit')} != credits ${total('credit')}`);
+    }
+
+    if (nonZero.length === 0) {
+        return 0;
+    }
+
+    const values = [journalId, merchantId, currency, sourceType, sourceId, settlementId || null];
+    const rows = nonZero.map((line) => {
+        values.push(line.account, line.direction, line.amount);
+        const n = values.length;
+        return `($1, $2, $${n - 2}, $${n - 1}, $${n}, $3, $4, $5, $6)`;
+    });
+
+    // A single statement, so a journal is either fully posted or not at all
+    const result = await db.query(
+        `INSERT INTO ledger_entries (journal_id, merchant_id, account, direction, amount, currency, source_type, source_id, settlement_id)
+         VALUES ${rows.join(', ')}
+         ON CONFLICT (journal_id, account, direction) DO NOTHING`,
+        values
+    );
+
+    return result.rowCount;
+}
+
+/**
+ * Record captured funds: the gateway now holds them on the merchant's behalf
+ * @param {Object} payment - Captured payment row
+ */
+async function recordCapture(payment) {
+    const amount = payment.settlement_amount ?? payment.captured_amount;
+
+    return postJournal({
+        journalId: `capture:${payment.id}`,
+        merchantId: payment.merchant_id,
+        sourceType: 'payment',
+        sourceId: payment.id,
+        currency: payment.settlement_currency || payment.currency,
+        lines: [
+            { account: ACCOUNTS.GATEWAY_FUNDS, direction: 'debit', amount },
+            { account: ACCOUNTS.MERCHANT_BALANCE, direction: 'credit', amount },
+        ],
+    });
+}
+
+/**
+ * Record the gateway's fee on a captured payment (or an instant refund) and
+ * the tax collected on it, both taken out of the merchant's balance
+ * @param {Object} payment - Captured payment or processed refund row with fee and tax
+ */
+async function recordFees(payment) {
+    const common = {
+        merchantId: payment.merchant_id,
+        sourceId: payment.id,
+        currency: payment.settlement_currency || payment.currency,
+    };
+
+    await postJournal({
+        ...common,
+        journalId: `fee:${payment.id}`,
+        sourceType: 'fee',
+        lines: [
+            { account: ACCOUNTS.MERCHANT_BALANCE, direction: 'debit', amount: payment.fee || 0 },
+            { account: ACCOUNTS.FEE_REVENUE, direction: 'credit', amount: payment.fee || 0 },
+        ],
+    });
+
+    await postJournal({
+        ...common,
+        journalId: `tax:${payment.id}`,
+        sourceType: 'tax',
+        lines: [
+            { account: ACCOUNTS.MERCHANT_BALANCE, direction: 'debit', amount: payment.tax || 0 },
+            { account: ACCOUNTS.TAX_PAYABLE, direction: 'credit', amount: payment.tax || 0 },
+        ],
+    });
+}
+
+/**
+ * Record a processed refund: the money goes back out of the merchant's balance
+ * @param {Object} refund - Processed refund row with settlement_amount and settlement_currency
+ */
+async function recordRefund(refund) {
+    return postJournal({
+        journalId: `refund:${refund.id}`,
+        merchantId: refund.merchant_id,
+        sourceType: 'refund',
+        sourceId: refund.id,
+        currency: refund.settlement_currency,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_BALANCE, direction: 'debit', amount: refund.settlement_amount },
+            { account: ACCOUNTS.GATEWAY_FUNDS, direction: 'credit', amount: refund.settlement_amount },
+        ],
+    });
+}
+
+/**
+ * How far back the reconciliation sweep looks for unposted journals.
+ * Bounded so payments captured before the ledger existed are not posted
+ * (and paid out) after the fact.
+ * @returns {number}
+ */
+function getReconcileLookbackDays() {
+    return parseInt(process.env.LEDGER_RECONCILE_LOOKBACK_DAYS || '7');
+}
+
+/**
+ * Re-post the capture, refund, fee and tax journals that a ledger error left
+ * missing after the payment was captured or the refund processed. Journals
+ * are idempotent, so posting one that exists is a no-op.
+ * @param {number} [limit] - Most payments and refunds to repair per run
+ * @returns {Object} { payments, refunds } - number of rows re-posted
+ */
+async function reconcileLedger(limit = 500) {
+    const lookbackDays = getReconcileLookbackDays();
+
+    const missingJournal = (prefix, column) => `NOT EXISTS (
+                 SELECT 1 FROM ledger_entries le WHERE le.journal_id = '${prefix}:' || ${column}.id
+             )`;
+
+    // Captures reversed after a lost order race end up voided and are not posted
+    const payments = await db.query(
+        `SELECT p.* FROM payments p
+         WHERE p.status = 'success' AND p.captured = true
+           AND p.captured_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+           AND (${missingJournal('capture', 'p')}
+                OR (p.fee > 0 AND ${missingJournal('fee', 'p')})
+                OR (p.tax > 0 AND ${missingJournal('tax', 'p')}))
+         ORDER BY p.captured_at
+         LIMIT $2`,
+        [lookbackDays, limit]
+    );
+
+    const refunds = await db.query(
+        `SELECT r.* FROM refunds r
+         WHERE r.status = 'processed' AND r.settlement_amount IS NOT NULL
+           AND r.processed_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+           AND (${missingJournal('refund', 'r')}
+                OR (r.fee > 0 AND ${missingJournal('fee', 'r')})
+                OR (r.tax > 0 AND ${missingJournal('tax', 'r')}))
+         ORDER BY r.processed_at
+         LIMIT $2`,
+        [lookbackDays, limit]
+    );
+
+    const repaired = { payments: 0, refunds: 0 };
+
+    for (const payment of payments.rows) {
+        try {
+            await recordCapture(payment);
+            await recordFees(payment);
+            repaired.payments++;
+        } catch (error) {
+            console.error(`Error re-posting capture ${payment.id} to the ledger:`, error.message);
+        }
+    }
+
+    for (const refund of refunds.rows) {
+        try {
+            await recordRefund(refund);
+            await recordFees(refund);
+            repaired.refunds++;
+        } catch (error) {
+            console.error(`Error re-posting refund ${refund.id} to the ledger:`, error.message);
+        }
+    }
+
+    return repaired;
+}
+
+module.exports = {
+    ACCOUNTS,
+    postJournal,
+    recordCapture,
+    recordFees,
+    recordRefund,
+    reconcileLedger,
+};
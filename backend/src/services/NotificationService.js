@@ -0,0 +1,34 @@
+const db = require('../config/database');
+
+/**
+ * Record a notification for a merchant (shown by GET /api/v1/merchant/notifications)
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} type - Notification type, e.g. 'webhook_endpoint.disabled'
+ * @param {string} message - Human-readable message
+ * @param {Object} [data] - Structured details
+ * @returns {Object} Notification row
+ */
+async function createNotification(merchantId, type, message, data = null) {
+    const result = await db.query(
+        `INSERT INTO merchant_notifications (id, merchant_id, type, message, data)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [`ntf_${generateRandomString(16)}`, merchantId, type, message, data && JSON.stringify(data)]
+    );
+
+    console.log(`🔔 Notification for merchant ${merchantId}: ${message}`);
+    return result.rows[0];
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = {
+    createNotification,
+};
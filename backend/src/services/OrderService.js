@@ -0,0 +1,103 @@
+const db = require('../config/database');
+const { createWebhookLog } = require('./WebhookService');
+
+/**
+ * Allowed order status transitions
+ * created → attempted → paid → partially_refunded → refunded
+ */
+const ORDER_TRANSITIONS = {
+    created: ['attempted'],
+    attempted: ['attempted', 'paid'],
+    paid: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    refunded: [],
+};
+
+/**
+ * Statuses in which an order can still accept a new payment
+ */
+const PAYABLE_ORDER_STATUSES = ['created', 'attempted'];
+
+/**
+ * Move an order to a new status, enforcing the lifecycle state machine.
+ * The check and update happen in one statement so concurrent workers
+ * cannot both move the same order (e.g. two payments marking it paid).
+ * @param {string} orderId - Order ID
+ * @param {string} toStatus - Target status
+ * @param {Object} [client] - Client of an open transaction; defaults to the pool
+ * @returns {Object} Updated order row
+ * @throws {Error} With code INVALID_ORDER_TRANSITION if the move is not allowed
+ */
+async function transitionOrder(orderId, toStatus, client = db) {
+    const fromStatuses = Object.keys(ORDER_TRANSITIONS)
+        .filter((status) => ORDER_TRANSITIONS[status].includes(toStatus));
+
+    const result = await client.query(
+        `UPDATE orders o
+         SET status = $1
+         FROM (SELECT id, status AS previous_status FROM orders WHERE id = $2 FOR UPDATE) prev
+         WHERE o.id = prev.id AND prev.previous_status = ANY($3)
+         RETURNING o.*, prev.previous_status`,
+        [toStatus, orderId, fromStatuses]
+    );
+
+    if (result.rows.length === 0) {
+        const currentResult = await client.query(
+            'SELECT status FROM orders WHERE id = $1',
+            [orderId]
+        );
+
+        if (currentResult.rows.length === 0) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+
+        const error = new Error(
+            `Invalid order transition: ${currentResult.rows[0].status} → ${toStatus}`
+        );
+        error.code = 'INVALID_ORDER_TRANSITION';
+        throw error;
+    }
+
+    const { previous_status: previousStatus, ...order } = result.rows[0];
+
+    if (previousStatus !== toStatus) {
+        console.log(`📦 Order ${orderId}: ${previousStatus} → ${toStatus}`);
+
+        if (toStatus === 'paid') {
+            await createWebhookLog(order.merchant_id, 'order.paid', { order });
+        }
+    }
+
+    return order;
+}
+
+/**
+ * Recompute refund status of a paid order from its captured and refunded amounts
+ * @param {string} orderId - Order ID
+ * @returns {Object} Updated order row
+ */
+async function syncOrderRefundStatus(orderId) {
+    const result = await db.query(
+        `SELECT
+             (SELECT COALESCE(SUM(captured_amount), 0) FROM payments
+              WHERE order_id = $1 AND status = 'success') AS total_captured,
+             (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+              JOIN payments p ON p.id = r.payment_id
+              WHERE p.order_id = $1 AND r.status = 'processed') AS total_refunded`,
+        [orderId]
+    );
+
+    const { total_captured, total_refunded } = result.rows[0];
+    const toStatus = parseInt(total_refunded) >= parseInt(total_captured)
+        ? 'refunded'
+        : 'partially_refunded';
+
+    return transitionOrder(orderId, toStatus);
+}
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    PAYABLE_ORDER_STATUSES,
+    transitionOrder,
+    syncOrderRefundStatus,
+};
@@ -0,0 +1,154 @@
+const db = require('../config/database');
+const { createWebhookLog } = require('./WebhookService');
+
+/**
+ * Check whether a link can still take a payment
+ * @param {Object} link - Payment link row
+ * @returns {string|null} Reason it cannot, or null if payable
+ */
+function getLinkUnavailableReason(link) {
+    if (link.status !== 'active') {
+        return `Payment link is ${link.status}`;
+    }
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+        return 'Payment link has expired';
+    }
+    return null;
+}
+
+/**
+ * Get the order a customer pays when opening a link. Multi-use links get a
+ * new order each time; a single-use link is paid through one order, so only
+ * one payment can ever capture it.
+ * @param {Object} link - Payment link row
+ * @param {number} amount - Link amount, or the customer-entered amount
+ * @returns {Object} Order row
+ * @throws {Error} With code LINK_PAYMENT_IN_PROGRESS if a customer-entered amount
+ *   differs from the one already being paid
+ */
+async function createLinkOrder(link, amount) {
+    if (link.usage === 'single_use' && link.order_id) {
+        return reuseLinkOrder(link.order_id, amount);
+    }
+
+    const orderId = `order_${generateRandomString(16)}`;
+
+    const result = await db.query(
+        `INSERT INTO orders (id, merchant_id, amount, currency, receipt, status, auto_capture, payment_link_id)
+         VALUES ($1, $2, $3, $4, $5, 'created', true, $6)
+         RETURNING *`,
+        [orderId, link.merchant_id, amount, link.currency, link.id, link.id]
+    );
+
+    if (link.usage === 'single_use') {
+        const claim = await db.query(
+            `UPDATE payment_links SET order_id = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND order_id IS NULL
+             RETURNING order_id`,
+            [link.id, orderId]
+        );
+
+        // Another request opened the link at the same time: use its order
+        if (claim.rows.length === 0) {
+            await db.query('DELETE FROM orders WHERE id = $1', [orderId]);
+
+            const current = await db.query('SELECT order_id FROM payment_links WHERE id = $1', [link.id]);
+            return reuseLinkOrder(current.rows[0].order_id, amount);
+        }
+    }
+
+    console.log(`🔗 Order ${orderId} created from payment link ${link.id}`);
+    return result.rows[0];
+}
+
+/**
+ * Payment statuses that mean a payment on an order is still in flight
+ */
+const IN_FLIGHT_PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized', 'capturing'];
+
+/**
+ * Return a single-use link's order. A customer-entered amount can still be
+ * changed while the order is unpaid and no payment on it is in flight, e.g.
+ * after a failed attempt.
+ */
+async function reuseLinkOrder(orderId, amount) {
+    const result = await db.query(
+        `UPDATE orders o
+         SET amount = CASE
+             WHEN o.status IN ('created', 'attempted') AND NOT EXISTS (
+                 SELECT 1 FROM payments p WHERE p.order_id = o.id AND p.status = ANY($3)
+             ) THEN $2
+             ELSE o.amount
+         END
+         WHERE o.id = $1
+         RETURNING *`,
+        [orderId, amount, IN_FLIGHT_PAYMENT_STATUSES]
+    );
+
+    const order = result.rows[0];
+
+    if (order.amount !== amount) {
+        const error = new Error('A payment for this link is already in progress');
+        error.code = 'LINK_PAYMENT_IN_PROGRESS';
+        throw error;
+    }
+
+    return order;
+}
+
+/**
+ * Record a captured payment against the link its order came from.
+ * Single-use links become paid; multi-use links keep accepting payments.
+ * A single-use link that is no longer active does not count the payment.
+ * @param {Object} payment - Captured payment row
+ * @returns {Object|null} Updated link row, or null if the order has no link
+ *   or its single-use link was already paid
+ */
+async function recordLinkPayment(payment) {
+    const result = await db.query(
+        `UPDATE payment_links pl
+         SET paid_count = pl.paid_count + 1,
+             amount_paid = pl.amount_paid + $2,
+             status = CASE WHEN pl.usage = 'single_use' AND pl.status = 'active' THEN 'paid' ELSE pl.status END,
+             updated_at = CURRENT_TIMESTAMP
+         FROM (SELECT l.id, l.status AS previous_status FROM payment_links l
+               JOIN orders o ON o.payment_link_id = l.id
+               WHERE o.id = $1 FOR UPDATE OF l) prev
+         WHERE pl.id = prev.id AND (pl.usage = 'multi_use' OR prev.previous_status = 'active')
+         RETURNING pl.*, prev.previous_status`,
+        [payment.order_id, payment.captured_amount]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const { previous_status: previousStatus, ...link } = result.rows[0];
+    console.log(`🔗 Payment link ${link.id} paid (${link.paid_count} payment(s))`);
+
+    if (previousStatus !== 'paid' && link.status === 'paid') {
+        const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [payment.order_id]);
+
+        await createWebhookLog(link.merchant_id, 'payment_link.paid', {
+            payment_link: link,
+            order: orderResult.rows[0],
+        });
+    }
+
+    return link;
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = {
+    getLinkUnavailableReason,
+    createLinkOrder,
+    recordLinkPayment,
+};
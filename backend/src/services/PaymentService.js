@@ -0,0 +1,516 @@
+const db = require('../config/database');
+const { createWebhookLog } = require('./WebhookService');
+const { transitionOrder, PAYABLE_ORDER_STATUSES } = require('./OrderService');
+const { discardCvv } = require('./VaultService');
+const { getProcessor } = require('../processors');
+const { toSettlementAmount } = require('./FxService');
+const { recordCapture, recordFees } = require('./LedgerService');
+const { calculateFees } = require('./PricingService');
+const { getPaymentError } = require('../utils/paymentErrors');
+
+/**
+ * Minutes an authorization stays capturable before it is auto-voided
+ */
+function getAuthorizationExpiryMinutes() {
+    return parseInt(process.env.AUTHORIZATION_EXPIRY_MINUTES || '10080'); // 7 days
+}
+
+/**
+ * Resolve whether a payment should be captured right after authorization.
+ * The order-level setting wins; otherwise the merchant default applies.
+ * @param {Object} order - Order row
+ * @param {Object} merchant - Merchant row
+ * @returns {boolean} True if the payment should be auto-captured
+ */
+function resolveAutoCapture(order, merchant) {
+    if (order.auto_capture !== null && order.auto_capture !== undefined) {
+        return order.auto_capture;
+    }
+    return merchant.auto_capture !== false;
+}
+
+/**
+ * Mark a pending payment as authorized and start its expiry window
+ * @param {Object} payment - Payment row
+ * @param {string} [reference] - Processor authorization reference
+ * @returns {Object|null} Updated payment row, or null if it was no longer pending
+ */
+async function authorizePayment(payment, reference) {
+    const result = await db.query(
+        `UPDATE payments
+         SET status = 'authorized',
+             processor_reference = $3,
+             authorized_at = CURRENT_TIMESTAMP,
+             authorization_expires_at = CURRENT_TIMESTAMP + make_interval(mins => $2),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [payment.id, getAuthorizationExpiryMinutes(), reference || null]
+    );
+
+    // The CVV is only needed for authorization
+    await discardCvv(payment.id);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const authorized = result.rows[0];
+    console.log(`🔐 Payment authorized: ${authorized.id}`);
+
+    await createWebhookLog(authorized.merchant_id, 'payment.authorized', { payment: authorized });
+
+    return authorized;
+}
+
+/**
+ * Park a pending payment until the customer completes authentication (3-D Secure)
+ * @param {Object} payment - Payment row
+ * @param {Object} nextAction - What the customer must do next
+ * @returns {Object|null} Updated payment row, or null if it was no longer pending
+ */
+async function requireAction(payment, nextAction) {
+    const result = await db.query(
+        `UPDATE payments
+         SET status = 'requires_action',
+             next_action = $2,
+             three_ds_status = 'challenged',
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [payment.id, JSON.stringify(nextAction)]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    console.log(`🔑 Payment requires authentication: ${payment.id}`);
+    return result.rows[0];
+}
+
+/**
+ * Mark a pending (or authentication-blocked) payment as failed
+ * @param {Object} payment - Payment row
+ * @param {string} errorCode - Code from the payment error catalogue
+ * @param {string} [errorDescription] - Overrides the catalogue description
+ * @returns {Object|null} Updated payment row, or null if it was no longer pending
+ */
+async function failPayment(payment, errorCode, errorDescription) {
+    const error = getPaymentError(errorCode);
+
+    const result = await db.query(
+        `UPDATE payments
+         SET status = 'failed',
+             error_code = $2,
+             error_description = $3,
+             error_source = $4,
+             error_step = $5,
+             error_reason = $6,
+             error_retryable = $7,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('pending', 'requires_action')
+         RETURNING *`,
+        [
+            payment.id,
+            error.code,
+            errorDescription || error.description,
+            error.source,
+            error.step,
+            error.reason,
+            error.retryable,
+        ]
+    );
+
+    await discardCvv(payment.id);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const failed = result.rows[0];
+    console.log(`❌ Payment failed: ${failed.id} (${error.code})`);
+
+    await createWebhookLog(failed.merchant_id, 'payment.failed', { payment: failed });
+
+    return failed;
+}
+
+/**
+ * Minutes a payment may stay capturing before the resume sweep picks it up
+ * @returns {number}
+ */
+function getCaptureResumeAfterMinutes() {
+    return parseInt(process.env.PAYMENT_CAPTURE_RESUME_AFTER_MINUTES || '10');
+}
+
+/**
+ * Capture an authorized payment, fully or partially.
+ * The uncaptured remainder of the authorization is released.
+ *
+ * The payment is claimed (authorized → capturing) before the processor is
+ * called, so concurrent capture requests reach the acquirer only once. The
+ * acquirer's approval is recorded (capture_sent_at) before anything else is
+ * written, so the resume sweep can finish a capture interrupted after it.
+ * @param {Object} payment - Payment row
+ * @param {number} amount - Amount to capture (≤ authorized amount)
+ * @returns {Object} Captured payment row
+ * @throws {Error} With code PAYMENT_NOT_CAPTURABLE, CAPTURE_FAILED or ORDER_ALREADY_PAID
+ */
+async function capturePayment(payment, amount) {
+    if (payment.status !== 'authorized') {
+        throw paymentError('PAYMENT_NOT_CAPTURABLE', 'Payment not in capturable state');
+    }
+
+    // Priced before the claim, so nothing after the acquirer's approval can fail on it
+    const settlementAmount = toSettlementAmount(payment, amount);
+    const pricing = await calculateFees(payment, settlementAmount);
+
+    const claim = await db.query(
+        `UPDATE payments p
+         SET status = 'capturing',
+             capture_amount = $2,
+             capture_sent_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         FROM orders o
+         WHERE p.id = $1 AND p.status = 'authorized' AND $2 <= p.amount AND o.id = p.order_id
+         RETURNING p.*, o.status AS order_status`,
+        [payment.id, amount]
+    );
+
+    if (claim.rows.length === 0) {
+        throw paymentError('PAYMENT_NOT_CAPTURABLE', 'Payment not in capturable state');
+    }
+
+    const { order_status: orderStatus, ...claimed } = claim.rows[0];
+
+    // Another payment already paid the order: release this one without capturing
+    if (!PAYABLE_ORDER_STATUSES.includes(orderStatus)) {
+        await releaseCaptureClaim(claimed.id);
+        await voidPayment(claimed, 'ORDER_ALREADY_PAID');
+        throw paymentError('ORDER_ALREADY_PAID', 'Order has already been paid');
+    }
+
+    let outcome;
+    try {
+        outcome = await getProcessor(claimed.processor).capture(claimed, amount);
+    } catch (error) {
+        await releaseCaptureClaim(claimed.id);
+        throw error;
+    }
+
+    if (!outcome.success) {
+        await releaseCaptureClaim(claimed.id);
+        throw paymentError(
+            'CAPTURE_FAILED',
+            outcome.error_description || 'Processor declined the capture'
+        );
+    }
+
+    await markCaptureSent(claimed.id);
+
+    return completeCapture(claimed, amount, settlementAmount, pricing);
+}
+
+/**
+ * Record that the acquirer approved a claimed capture
+ * @param {string} paymentId - Payment id
+ */
+async function markCaptureSent(paymentId) {
+    await db.query(
+        `UPDATE payments SET capture_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'capturing'`,
+        [paymentId]
+    );
+}
+
+/**
+ * Mark a capture the acquirer approved as done: move the order to paid,
+ * post it to the ledger and notify the merchant
+ * @param {Object} claimed - Payment row in the capturing state
+ * @param {number} amount - Captured amount
+ * @param {number} settlementAmount - Captured amount in the settlement currency
+ * @param {Object} pricing - { fee, tax, pricing_rule_id }
+ * @returns {Object} Captured payment row
+ * @throws {Error} With code ORDER_ALREADY_PAID when the capture was reversed
+ */
+async function completeCapture(claimed, amount, settlementAmount, pricing) {
+    const result = await db.query(
+        `UPDATE payments
+         SET status = 'success',
+             captured = true,
+             captured_amount = $2,
+             released_amount = amount - $2,
+             settlement_amount = $3,
+             fee = $4,
+             tax = $5,
+             pricing_rule_id = $6,
+             captured_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'capturing'
+         RETURNING *`,
+        [claimed.id, amount, settlementAmount, pricing.fee, pricing.tax, pricing.pricing_rule_id]
+    );
+
+    if (result.rows.length === 0) {
+        throw paymentError('PAYMENT_NOT_CAPTURABLE', 'Payment is no longer capturing');
+    }
+
+    const captured = result.rows[0];
+
+    try {
+        await transitionOrder(captured.order_id, 'paid');
+    } catch (error) {
+        if (error.code !== 'INVALID_ORDER_TRANSITION') throw error;
+
+        // Another payment was captured for this order at the same time. The
+        // funds are already taken, so they go back as a refund, not a void.
+        const reversed = await reverseCapture(captured);
+        if (reversed) {
+            throw paymentError('ORDER_ALREADY_PAID', 'Order has already been paid');
+        }
+    }
+
+    console.log(`💰 Payment captured: ${captured.id} (${amount}/${captured.amount})`);
+
+    // The capture itself is done; a ledger error must not undo or retry it.
+    // The reconciliation sweep re-posts whatever is missing.
+    try {
+        await recordCapture(captured);
+        await recordFees(captured);
+    } catch (error) {
+        console.error(`Error posting capture ${captured.id} to the ledger:`, error.message);
+    }
+
+    await createWebhookLog(captured.merchant_id, 'payment.captured', { payment: captured });
+
+    // Kept for integrations that listen for the pre-capture-flow event
+    await createWebhookLog(captured.merchant_id, 'payment.success', { payment: captured });
+
+    return captured;
+}
+
+/**
+ * Finish captures left in the capturing state by a crash or a failed write.
+ * One the acquirer approved is completed; otherwise the capture is sent
+ * again (capture is idempotent on the payment) and completed, or the
+ * payment goes back to authorized if the acquirer declines.
+ * @param {number} [limit] - Most payments to resume per run
+ * @returns {Object} { completed, released }
+ */
+async function resumeStaleCaptures(limit = 100) {
+    const result = await db.query(
+        `SELECT * FROM payments
+         WHERE status = 'capturing' AND updated_at <= CURRENT_TIMESTAMP - make_interval(mins => $1)
+         ORDER BY updated_at
+         LIMIT $2`,
+        [getCaptureResumeAfterMinutes(), limit]
+    );
+
+    let completed = 0;
+    let released = 0;
+
+    for (const payment of result.rows) {
+        const amount = payment.capture_amount;
+
+        try {
+            if (!payment.capture_sent_at) {
+                const outcome = await getProcessor(payment.processor).capture(payment, amount);
+
+                if (!outcome.success) {
+                    await releaseCaptureClaim(payment.id);
+                    console.log(`↩️  Capture ${payment.id} was not taken by the acquirer, back to authorized`);
+                    released++;
+                    continue;
+                }
+
+                await markCaptureSent(payment.id);
+            }
+
+            const settlementAmount = toSettlementAmount(payment, amount);
+            const pricing = await calculateFees(payment, settlementAmount);
+
+            await completeCapture(payment, amount, settlementAmount, pricing);
+            completed++;
+        } catch (error) {
+            console.error(`Error resuming capture ${payment.id}:`, error.message);
+        }
+    }
+
+    return { completed, released };
+}
+
+/**
+ * Hand a claimed payment back to the authorized state after a capture
+ * that did not happen
+ * @param {string} paymentId - Payment id
+ */
+async function releaseCaptureClaim(paymentId) {
+    await db.query(
+        `UPDATE payments SET status = 'authorized', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'capturing'`,
+        [paymentId]
+    );
+}
+
+/**
+ * Refund a capture that lost the race to pay its order and mark the
+ * payment voided. If the processor refuses the refund the payment stays
+ * captured, so the merchant sees the charge and can refund it.
+ * @param {Object} payment - Captured payment row
+ * @returns {Object|null} Voided payment row, or null if it stays captured
+ */
+async function reverseCapture(payment) {
+    try {
+        const outcome = await getProcessor(payment.processor).refund(payment, {
+            id: `reversal_${payment.id}`,
+            amount: payment.captured_amount,
+        });
+
+        if (!outcome.success) {
+            console.error(`Processor refused to reverse capture ${payment.id}: ${outcome.error_code}`);
+            return null;
+        }
+    } catch (error) {
+        console.error(`Error reversing capture ${payment.id}:`, error.message);
+        return null;
+    }
+
+    return markVoided(payment.id, 'success', 'ORDER_ALREADY_PAID');
+}
+
+/**
+ * Void an authorized payment, releasing the full authorization
+ * @param {Object} payment - Payment row
+ * @param {string} errorCode - Code from the payment error catalogue
+ * @param {string} [errorDescription] - Overrides the catalogue description
+ * @returns {Object|null} Voided payment row, or null if it was no longer authorized
+ */
+async function voidPayment(payment, errorCode, errorDescription) {
+    const voided = await markVoided(payment.id, 'authorized', errorCode, errorDescription);
+
+    if (voided) {
+        await releaseAuthorization(voided);
+    }
+
+    return voided;
+}
+
+/**
+ * Cancel a payment that the worker has not settled yet.
+ * Pending payments never reach the processor; authorized ones are released.
+ * @param {Object} payment - Payment row
+ * @param {string} reason - Cancellation reason supplied by the merchant
+ * @returns {Object|null} Cancelled payment row, or null if it was already settled
+ */
+async function cancelPayment(payment, reason) {
+    const result = await db.query(
+        `UPDATE payments p
+         SET status = 'cancelled',
+             cancellation_reason = $2,
+             cancelled_at = CURRENT_TIMESTAMP,
+             released_amount = CASE WHEN prev.previous_status = 'authorized' THEN p.amount ELSE p.released_amount END,
+             updated_at = CURRENT_TIMESTAMP
+         FROM (SELECT id, status AS previous_status FROM payments WHERE id = $1 FOR UPDATE) prev
+         WHERE p.id = prev.id AND prev.previous_status IN ('pending', 'requires_action', 'authorized')
+         RETURNING p.*, prev.previous_status`,
+        [payment.id, reason]
+    );
+
+    await discardCvv(payment.id);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const { previous_status: previousStatus, ...cancelled } = result.rows[0];
+    console.log(`🛑 Payment cancelled: ${cancelled.id}`);
+
+    if (previousStatus === 'authorized') {
+        await releaseAuthorization(cancelled);
+    }
+
+    await createWebhookLog(cancelled.merchant_id, 'payment.cancelled', { payment: cancelled });
+
+    return cancelled;
+}
+
+async function markVoided(paymentId, fromStatus, errorCode, errorDescription) {
+    const error = getPaymentError(errorCode);
+
+    const result = await db.query(
+        `UPDATE payments
+         SET status = 'voided',
+             captured = false,
+             captured_amount = NULL,
+             released_amount = amount,
+             captured_at = NULL,
+             voided_at = CURRENT_TIMESTAMP,
+             error_code = $3,
+             error_description = $4,
+             error_source = $5,
+             error_step = $6,
+             error_reason = $7,
+             error_retryable = $8,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = $2
+         RETURNING *`,
+        [
+            paymentId,
+            fromStatus,
+            error.code,
+            errorDescription || error.description,
+            error.source,
+            error.step,
+            error.reason,
+            error.retryable,
+        ]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const voided = result.rows[0];
+    console.log(`🚫 Payment voided: ${voided.id} (${errorCode})`);
+
+    await createWebhookLog(voided.merchant_id, 'payment.voided', { payment: voided });
+
+    return voided;
+}
+
+/**
+ * Ask the processor to void an authorization that is no longer needed.
+ * A failure is only logged: the acquirer lets the hold lapse on its own.
+ * @param {Object} payment - Payment row with processor details
+ */
+async function releaseAuthorization(payment) {
+    if (!payment.processor) return;
+
+    try {
+        const outcome = await getProcessor(payment.processor).void(payment);
+        if (!outcome.success) {
+            console.error(`Processor refused to void ${payment.id}: ${outcome.error_code}`);
+        }
+    } catch (error) {
+        console.error(`Error voiding authorization ${payment.id}:`, error.message);
+    }
+}
+
+function paymentError(code, description) {
+    const error = new Error(description);
+    error.code = code;
+    return error;
+}
+
+module.exports = {
+    resolveAutoCapture,
+    authorizePayment,
+    requireAction,
+    failPayment,
+    capturePayment,
+    resumeStaleCaptures,
+    voidPayment,
+    cancelPayment,
+    releaseAuthorization,
+};
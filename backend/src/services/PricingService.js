@@ -0,0 +1,100 @@
+const db = require('../config/database');
+
+/**
+ * Tax charged on the gateway fee, in percent (GST by default)
+ * @returns {number}
+ */
+function getTaxPercentage() {
+    return parseFloat(process.env.PRICING_TAX_PERCENTAGE || '18');
+}
+
+/**
+ * A payment is international when the customer pays in a currency other
+ * than the one the merchant settles in
+ * @param {Object} payment - Payment row
+ * @returns {boolean}
+ */
+function isInternational(payment) {
+    return Boolean(payment.settlement_currency) && payment.currency !== payment.settlement_currency;
+}
+
+/**
+ * Find the pricing rule for a payment. Merchant rules win over platform
+ * defaults; within each, the rule matching the most fields wins.
+ * @param {Object} payment - Payment row
+ * @returns {Object|null} Pricing rule row, or null if nothing matches
+ */
+async function findPricingRule(payment) {
+    const result = await db.query(
+        `SELECT * FROM pricing_rules
+         WHERE active
+           AND (merchant_id = $1 OR merchant_id IS NULL)
+           AND (method IS NULL OR method = $2)
+           AND (card_network IS NULL OR card_network = $3)
+           AND (international IS NULL OR international = $4)
+         ORDER BY (merchant_id IS NOT NULL) DESC,
+                  (method IS NOT NULL)::int + (card_network IS NOT NULL)::int + (international IS NOT NULL)::int DESC,
+                  created_at DESC
+         LIMIT 1`,
+        [payment.merchant_id, payment.method, payment.card_network || null, isInternational(payment)]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Work out the fee and the tax on it for capturing an amount of a payment
+ * @param {Object} payment - Payment row
+ * @param {number} settlementAmount - Captured amount in minor units of the settlement currency
+ * @returns {Object} { fee, tax, pricing_rule_id }, in minor units of the settlement currency
+ */
+async function calculateFees(payment, settlementAmount) {
+    const rule = await findPricingRule(payment);
+    if (!rule) {
+        return { fee: 0, tax: 0, pricing_rule_id: null };
+    }
+
+    const percentageFee = Math.round(settlementAmount * parseFloat(rule.percentage) / 100);
+
+    return { ...withTax(percentageFee + rule.fixed_fee, settlementAmount), pricing_rule_id: rule.id };
+}
+
+/**
+ * Add tax to a fee, capping fee and tax together at the amount they are
+ * charged on so a small payment or refund is never charged more than itself
+ * @param {number} fee - Fee before the cap, in minor units
+ * @param {number} settlementAmount - Amount the fee is charged on, in minor units
+ * @returns {Object} { fee, tax }
+ */
+function withTax(fee, settlementAmount) {
+    let tax = Math.round(fee * getTaxPercentage() / 100);
+
+    if (fee + tax > settlementAmount) {
+        fee = Math.floor(settlementAmount * 100 / (100 + getTaxPercentage()));
+        tax = settlementAmount - fee;
+    }
+
+    return { fee, tax };
+}
+
+/**
+ * Fee for an instant refund: INSTANT_REFUND_FEE_PERCENTAGE of the refund plus
+ * INSTANT_REFUND_FIXED_FEE, with tax on top, capped at the refund amount.
+ * Normal refunds are free.
+ * @param {number} settlementAmount - Refund amount in minor units of the settlement currency
+ * @returns {Object} { fee, tax }, in minor units of the settlement currency
+ */
+function calculateInstantRefundFees(settlementAmount) {
+    const percentage = parseFloat(process.env.INSTANT_REFUND_FEE_PERCENTAGE || '0.25');
+    const fixedFee = parseInt(process.env.INSTANT_REFUND_FIXED_FEE || '0');
+
+    return withTax(Math.round(settlementAmount * percentage / 100) + fixedFee, settlementAmount);
+}
+
+module.exports = {
+    getTaxPercentage,
+    isInternational,
+    findPricingRule,
+    calculateFees,
+    calculateInstantRefundFees,
+};
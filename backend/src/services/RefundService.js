@@ -0,0 +1,214 @@
+const db = require('../config/database');
+const { refundQueue } = require('../config/queue');
+const { createWebhookLog } = require('./WebhookService');
+const { getRefundError } = require('../utils/refundErrors');
+const { getProcessor, INSTANT_REFUND_UNAVAILABLE } = require('../processors');
+
+/**
+ * Refund statuses whose amount counts against the payment's captured amount.
+ * Failed and cancelled refunds release their reservation.
+ */
+const RESERVED_REFUND_STATUSES = ['pending', 'processing', 'processed'];
+
+/**
+ * Speeds a merchant can request. `optimum` refunds instantly when the
+ * processor can, and falls back to a normal refund otherwise.
+ */
+const REFUND_SPEEDS = ['optimum', 'normal'];
+
+/**
+ * Sum of the refund amounts reserved against a payment
+ * @param {string} paymentId - Payment id
+ * @returns {number} Amount in minor units
+ */
+async function getReservedRefundAmount(paymentId) {
+    const result = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) AS total_reserved
+         FROM refunds
+         WHERE payment_id = $1 AND status = ANY($2)`,
+        [paymentId, RESERVED_REFUND_STATUSES]
+    );
+
+    return parseInt(result.rows[0].total_reserved);
+}
+
+/**
+ * Claim a refund for processing. A refund interrupted mid-processing can be
+ * claimed again by the job's retry.
+ * @param {string} refundId - Refund id
+ * @returns {Object|null} Refund row, or null if it is already final
+ */
+async function claimRefund(refundId) {
+    const result = await db.query(
+        `UPDATE refunds
+         SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('pending', 'processing')
+         RETURNING *`,
+        [refundId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Send a refund to the processor that captured the payment, instantly when
+ * requested and possible
+ * @param {Object} payment - Payment row
+ * @param {Object} refund - Refund row
+ * @returns {Object} { outcome: ProcessorResult, speed: 'instant' | 'normal' }
+ */
+async function sendRefundToProcessor(payment, refund) {
+    const processor = getProcessor(payment.processor);
+
+    if (refund.speed_requested === 'optimum' && processor.instantRefund) {
+        const outcome = await processor.instantRefund(payment, refund);
+
+        if (outcome.success || outcome.error_code !== INSTANT_REFUND_UNAVAILABLE) {
+            return { outcome, speed: 'instant' };
+        }
+
+        console.log(`↩️  Instant refund unavailable for ${refund.id}, falling back to normal`);
+    }
+
+    return { outcome: await processor.refund(payment, refund), speed: 'normal' };
+}
+
+/**
+ * Record that the processor accepted a refund, before anything else is
+ * written. A retried job then finishes the refund without sending it again.
+ * @param {Object} refund - Refund row being processed
+ * @param {Object} outcome - Successful ProcessorResult
+ * @param {string} speed - Speed the refund went out at: instant | normal
+ * @returns {Object|null} Updated refund row, or null if it left processing
+ */
+async function markRefundSent(refund, outcome, speed) {
+    const result = await db.query(
+        `UPDATE refunds
+         SET processor_reference = $2,
+             speed_processed = $3,
+             sent_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'processing' AND sent_at IS NULL
+         RETURNING *`,
+        [refund.id, outcome.reference || null, speed]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Minutes a refund the processor accepted may stay processing before the
+ * resume sweep re-queues it
+ * @returns {number}
+ */
+function getRefundResumeAfterMinutes() {
+    return parseInt(process.env.REFUND_RESUME_AFTER_MINUTES || '5');
+}
+
+/**
+ * Re-queue refunds the processor accepted whose job ran out of attempts
+ * before marking them processed. The job sees sent_at and only finishes
+ * the database write.
+ * @param {number} [limit] - Most refunds to re-queue per run
+ * @returns {number} Number of refunds re-queued
+ */
+async function resumeSentRefunds(limit = 100) {
+    const result = await db.query(
+        `SELECT id FROM refunds
+         WHERE status = 'processing' AND sent_at IS NOT NULL
+           AND sent_at <= CURRENT_TIMESTAMP - make_interval(mins => $1)
+         ORDER BY sent_at
+         LIMIT $2`,
+        [getRefundResumeAfterMinutes(), limit]
+    );
+
+    for (const { id } of result.rows) {
+        // The original job id (the refund id) is taken by the failed job
+        await refundQueue.add('process-refund', { refundId: id }, {
+            jobId: `${id}_resume_${Date.now()}`,
+        });
+    }
+
+    return result.rows.length;
+}
+
+/**
+ * Mark a refund as failed, releasing its reserved amount, and notify the merchant.
+ * A refund the processor already accepted is never failed.
+ * @param {Object} refund - Refund row
+ * @param {string} errorCode - Code from the refund error catalogue
+ * @param {string} [errorDescription] - Overrides the catalogue description
+ * @returns {Object|null} Failed refund row, or null if it was already final or sent
+ */
+async function failRefund(refund, errorCode, errorDescription) {
+    const error = getRefundError(errorCode);
+
+    const result = await db.query(
+        `UPDATE refunds
+         SET status = 'failed',
+             error_code = $2,
+             error_description = $3,
+             failed_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('pending', 'processing') AND sent_at IS NULL
+         RETURNING *`,
+        [refund.id, error.code, errorDescription || error.description]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const failed = result.rows[0];
+    console.log(`❌ Refund failed: ${failed.id} (${failed.error_code})`);
+
+    await createWebhookLog(failed.merchant_id, 'refund.failed', { refund: failed });
+
+    return failed;
+}
+
+/**
+ * Cancel a refund the worker has not picked up yet
+ * @param {Object} refund - Refund row
+ * @param {string} reason - Cancellation reason supplied by the merchant
+ * @returns {Object|null} Cancelled refund row, or null if it is already being processed
+ */
+async function cancelRefund(refund, reason) {
+    const result = await db.query(
+        `UPDATE refunds
+         SET status = 'cancelled',
+             cancellation_reason = $2,
+             cancelled_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [refund.id, reason]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const cancelled = result.rows[0];
+    console.log(`🛑 Refund cancelled: ${cancelled.id}`);
+
+    // Drop the queued job; one that has already started sees the cancelled status
+    const job = await refundQueue.getJob(cancelled.id);
+    if (job && ['waiting', 'delayed'].includes(await job.getState())) {
+        await job.remove();
+    }
+
+    return cancelled;
+}
+
+module.exports = {
+    RESERVED_REFUND_STATUSES,
+    REFUND_SPEEDS,
+    getReservedRefundAmount,
+    claimRefund,
+    sendRefundToProcessor,
+    markRefundSent,
+    resumeSentRefunds,
+    failRefund,
+    cancelRefund,
+};
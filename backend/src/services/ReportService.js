@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const db = require('../config/database');
+
+/**
+ * Rows fetched per query while streaming a report
+ */
+const BATCH_SIZE = parseInt(process.env.REPORT_BATCH_SIZE || '1000');
+
+/**
+ * Report types: the table each one reads and the columns it exports, in order.
+ * Every table is filtered by merchant_id and created_at.
+ */
+const REPORT_TYPES = {
+    payments: {
+        table: 'payments',
+        columns: [
+            'id', 'order_id', 'amount', 'currency', 'status', 'method', 'card_network', 'card_last4', 'vpa',
+            'captured_amount', 'settlement_currency', 'settlement_amount', 'fx_rate', 'fee', 'tax',
+            'error_code', 'customer_id', 'created_at', 'captured_at',
+        ],
+    },
+    refunds: {
+        table: 'refunds',
+        columns: [
+            'id', 'payment_id', 'amount', 'status', 'reason', 'settlement_currency', 'settlement_amount',
+            'speed_requested', 'speed_processed', 'fee', 'tax', 'processor_reference', 'created_at', 'processed_at',
+        ],
+    },
+    settlements: {
+        table: 'settlements',
+        columns: [
+            'id', 'amount', 'currency', 'gross_amount', 'refund_amount', 'fee_amount', 'tax_amount',
+            'entry_count', 'utr', 'status', 'period_end', 'processed_at', 'created_at',
+        ],
+    },
+    webhook_deliveries: {
+        table: 'webhook_logs',
+        columns: [
+            'id', 'endpoint_id', 'event', 'status', 'attempts', 'response_code', 'last_attempt_at', 'next_retry_at', 'created_at',
+        ],
+    },
+};
+
+const REPORT_FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Directory report files are written to; shared by the API and the worker
+ * @returns {string}
+ */
+function getReportsDir() {
+    return process.env.REPORTS_DIR || path.join(process.cwd(), 'reports');
+}
+
+/**
+ * Read a report's rows in created_at order, one batch at a time, using
+ * keyset pagination so memory use does not grow with the result size
+ * @param {Object} report - Report row
+ */
+async function* readRows(report) {
+    const { table, columns } = REPORT_TYPES[report.type];
+    let cursor = null;
+
+    while (true) {
+        // The cursor timestamp travels as text to keep Postgres' microsecond precision
+        const result = await db.query(
+            `SELECT ${columns.join(', ')}, created_at::text AS cursor_created_at
+             FROM ${table}
+             WHERE merchant_id = $1 AND created_at >= $2 AND created_at <= $3
+               AND ($4::timestamp IS NULL OR (created_at, id::text) > ($4::timestamp, $5::text))
+             ORDER BY created_at, id::text
+             LIMIT $6`,
+            [report.merchant_id, report.from_at, report.to_at, cursor && cursor.createdAt, cursor && cursor.id, BATCH_SIZE]
+        );
+
+        for (const row of result.rows) {
+            yield row;
+        }
+
+        if (result.rows.length < BATCH_SIZE) {
+            return;
+        }
+
+        const last = result.rows[result.rows.length - 1];
+        cursor = { createdAt: last.cursor_created_at, id: String(last.id) };
+    }
+}
+
+/**
+ * Serialize rows into CSV (with a header line) or JSON Lines
+ * @param {Object} report - Report row
+ * @param {Object} counter - Receives the number of rows written in counter.rows
+ */
+async function* serializeRows(report, counter) {
+    const { columns } = REPORT_TYPES[report.type];
+
+    if (report.format === 'csv') {
+        yield `${columns.join(',')}\n`;
+    }
+
+    for await (const row of readRows(report)) {
+        counter.rows++;
+
+        if (report.format === 'csv') {
+            yield `${columns.map((column) => csvField(row[column])).join(',')}\n`;
+        } else {
+            const record = {};
+            for (const column of columns) {
+                record[column] = row[column] instanceof Date ? row[column].toISOString() : row[column];
+            }
+            yield `${JSON.stringify(record)}\n`;
+        }
+    }
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date
+        ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate a queued report's file. Rows are streamed to a temporary file
+ * that is renamed into place once complete.
+ * @param {string} reportId - Report id
+ * @returns {Object|null} Completed report row, or null if it was not queued
+ */
+async function generateReport(reportId) {
+    const claim = await db.query(
+        `UPDATE reports SET status = 'processing'
+         WHERE id = $1 AND status IN ('queued', 'processing')
+         RETURNING *`,
+        [reportId]
+    );
+
+    if (claim.rows.length === 0) {
+        return null;
+    }
+
+    const report = claim.rows[0];
+    const dir = getReportsDir();
+    const filePath = path.join(dir, `${report.id}.${report.format}`);
+    const tmpPath = `${filePath}.tmp`;
+    const counter = { rows: 0 };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+        await pipeline(serializeRows(report, counter), fs.createWriteStream(tmpPath));
+        await fs.promises.rename(tmpPath, filePath);
+    } catch (error) {
+        await fs.promises.rm(tmpPath, { force: true });
+        throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+
+    const result = await db.query(
+        `UPDATE reports
+         SET status = 'completed', row_count = $2, file_path = $3, file_size = $4, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [report.id, counter.rows, filePath, size]
+    );
+
+    console.log(`📄 Report generated: ${report.id} (${counter.rows} ${report.type} rows)`);
+    return result.rows[0];
+}
+
+/**
+ * Mark a report as failed
+ * @param {string} reportId - Report id
+ * @param {string} description - Error description
+ */
+async function failReport(reportId, description) {
+    await db.query(
+        `UPDATE reports SET status = 'failed', error_description = $2, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('queued', 'processing')`,
+        [reportId, description]
+    );
+}
+
+module.exports = {
+    REPORT_TYPES,
+    REPORT_FORMATS,
+    generateReport,
+    failReport,
+};
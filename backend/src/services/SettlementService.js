@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { createWebhookLog } = require('./WebhookService');
+const { ACCOUNTS, postJournal, reconcileLedger } = require('./LedgerService');
+
+/**
+ * Days between capture and payout (T+N). Funds are settled once the
+ * day they were captured on is N days old.
+ * @returns {number}
+ */
+function getSettlementDelayDays() {
+    return parseInt(process.env.SETTLEMENT_DELAY_DAYS || '1');
+}
+
+/**
+ * Generate a UTR-style bank reference: 4-letter bank code, channel, year and
+ * day of year, then a 6-digit sequence, e.g. GWAYN24020123456
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function generateUtr(date = new Date()) {
+    const prefix = (process.env.SETTLEMENT_UTR_PREFIX || 'GWAY').toUpperCase();
+    const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 0);
+    const dayOfYear = Math.floor((date.getTime() - startOfYear) / 86400000);
+    const sequence = crypto.randomInt(0, 1000000);
+
+    return `${prefix}N${String(date.getUTCFullYear()).slice(-2)}${String(dayOfYear).padStart(3, '0')}${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Batch a merchant's unsettled balance in one currency, up to the cutoff,
+ * into a settlement. A balance that is zero or negative (refunds and fees
+ * exceeding captures) is carried forward to the next run.
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} currency - Settlement currency
+ * @param {Date} cutoff - Only ledger lines created before this are included
+ * @returns {Object|null} Processed settlement row, or null if nothing was settled
+ */
+async function settleMerchantBalance(merchantId, currency, cutoff) {
+    const settlementId = `setl_${generateRandomString(16)}`;
+
+    await db.query(
+        `INSERT INTO settlements (id, merchant_id, currency, period_end)
+         VALUES ($1, $2, $3, $4)`,
+        [settlementId, merchantId, currency, cutoff]
+    );
+
+    // Claim the lines; a line already claimed by another settlement is skipped
+    await db.query(
+        `UPDATE ledger_entries
+         SET settlement_id = $1
+         WHERE merchant_id = $2 AND currency = $3 AND account = $4
+           AND settlement_id IS NULL AND created_at < $5`,
+        [settlementId, merchantId, currency, ACCOUNTS.MERCHANT_BALANCE, cutoff]
+    );
+
+    return completeSettlement(settlementId);
+}
+
+/**
+ * Total the lines claimed by a created settlement, post its payout journal
+ * and mark it processed. Safe to call again for a settlement a crashed run
+ * left behind.
+ * @param {string} settlementId - Settlement id
+ * @returns {Object|null} Processed settlement row, or null if it was discarded
+ */
+async function completeSettlement(settlementId) {
+    const settlementResult = await db.query(
+        `SELECT * FROM settlements WHERE id = $1 AND status = 'created'`,
+        [settlementId]
+    );
+
+    if (settlementResult.rows.length === 0) {
+        return null;
+    }
+
+    const { merchant_id: merchantId, currency } = settlementResult.rows[0];
+
+    const totalsResult = await db.query(
+        `SELECT
+             COUNT(*) AS entry_count,
+             COALESCE(SUM(amount) FILTER (WHERE direction = 'credit'), 0) AS credits,
+             COALESCE(SUM(amount) FILTER (WHERE direction = 'debit'), 0) AS debits,
+             COALESCE(SUM(amount) FILTER (WHERE source_type = 'payment' AND direction = 'credit'), 0) AS gross_amount,
+             COALESCE(SUM(amount) FILTER (WHERE source_type = 'refund' AND direction = 'debit'), 0) AS refund_amount,
+             COALESCE(SUM(amount) FILTER (WHERE source_type = 'fee' AND direction = 'debit'), 0) AS fee_amount,
+             COALESCE(SUM(amount) FILTER (WHERE source_type = 'tax' AND direction = 'debit'), 0) AS tax_amount
+         FROM ledger_entries
+         WHERE settlement_id = $1 AND source_type <> 'settlement'`,
+        [settlementId]
+    );
+
+    const totals = totalsResult.rows[0];
+    const net = parseInt(totals.credits) - parseInt(totals.debits);
+
+    if (net <= 0) {
+        // Nothing to pay out: release the lines so they roll into the next run
+        await db.query('UPDATE ledger_entries SET settlement_id = NULL WHERE settlement_id = $1', [settlementId]);
+        await db.query(`DELETE FROM settlements WHERE id = $1 AND status = 'created'`, [settlementId]);
+        return null;
+    }
+
+    // The payout journal is posted before the settlement is marked processed,
+    // so a crash in between is finished by the next run; its lines are born settled
+    await postJournal({
+        journalId: `settlement:${settlementId}`,
+        merchantId,
+        sourceType: 'settlement',
+        sourceId: settlementId,
+        currency,
+        settlementId,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_BALANCE, direction: 'debit', amount: net },
+            { account: ACCOUNTS.GATEWAY_FUNDS, direction: 'credit', amount: net },
+        ],
+    });
+
+    const result = await db.query(
+        `UPDATE settlements
+         SET status = 'processed',
+             amount = $2,
+             gross_amount = $3,
+             refund_amount = $4,
+             fee_amount = $5,
+             tax_amount = $6,
+             entry_count = $7,
+             utr = $8,
+             processed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'created'
+         RETURNING *`,
+        [
+            settlementId,
+            net,
+            parseInt(totals.gross_amount),
+            parseInt(totals.refund_amount),
+            parseInt(totals.fee_amount),
+            parseInt(totals.tax_amount),
+            parseInt(totals.entry_count),
+            generateUtr(),
+        ]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const settlement = result.rows[0];
+
+    console.log(`🏦 Settlement processed: ${settlement.id} ${settlement.amount} ${settlement.currency} (UTR ${settlement.utr})`);
+
+    await createWebhookLog(settlement.merchant_id, 'settlement.processed', { settlement });
+
+    return settlement;
+}
+
+/**
+ * Settle every merchant balance that is due
+ * @returns {Object} { settled } - number of settlements processed
+ */
+async function runSettlements() {
+    // Post any capture, refund or fee a ledger error left out before paying out
+    await reconcileLedger();
+
+    // Finish settlements a previous run created but did not complete
+    const stale = await db.query(`SELECT id FROM settlements WHERE status = 'created' ORDER BY created_at`);
+    for (const { id } of stale.rows) {
+        await completeSettlement(id);
+    }
+
+    const cutoffResult = await db.query(
+        `SELECT date_trunc('day', CURRENT_TIMESTAMP) - make_interval(days => $1) AS cutoff`,
+        [getSettlementDelayDays() - 1]
+    );
+    const { cutoff } = cutoffResult.rows[0];
+
+    const due = await db.query(
+        `SELECT merchant_id, currency
+         FROM ledger_entries
+         WHERE account = $1 AND settlement_id IS NULL AND created_at < $2
+         GROUP BY merchant_id, currency`,
+        [ACCOUNTS.MERCHANT_BALANCE, cutoff]
+    );
+
+    let settled = 0;
+    for (const { merchant_id: merchantId, currency } of due.rows) {
+        try {
+            if (await settleMerchantBalance(merchantId, currency, cutoff)) settled++;
+        } catch (error) {
+            console.error(`Error settling merchant ${merchantId} (${currency}):`, error);
+        }
+    }
+
+    return { settled };
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = {
+    generateUtr,
+    settleMerchantBalance,
+    runSettlements,
+};
@@ -0,0 +1,348 @@
+const db = require('../config/database');
+const { paymentQueue } = require('../config/queue');
+const { createWebhookLog } = require('./WebhookService');
+const { transitionOrder } = require('./OrderService');
+const { cancelPayment } = require('./PaymentService');
+const { findPaymentMethod } = require('./CustomerService');
+const { resolvePaymentFx } = require('./FxService');
+const { isTestModeKey } = require('../middleware/auth');
+const { isExpired } = require('../utils/cardValidation');
+
+/**
+ * Payment statuses that end a billing attempt
+ */
+const SETTLED_PAYMENT_STATUSES = ['success', 'failed', 'voided', 'cancelled'];
+
+/**
+ * Payment statuses a billing attempt can be stopped in when it times out
+ */
+const CANCELLABLE_PAYMENT_STATUSES = ['pending', 'requires_action', 'authorized'];
+
+/**
+ * Minutes a billing payment may stay unsettled before it is cancelled
+ * @returns {number}
+ */
+function getChargeTimeoutMinutes() {
+    return parseInt(process.env.SUBSCRIPTION_CHARGE_TIMEOUT_MINUTES || '60');
+}
+
+/**
+ * Minutes to wait before each dunning retry of a failed charge.
+ * Once every retry has failed the subscription is cancelled.
+ * @returns {number[]} Retry delays in minutes
+ */
+function getDunningSchedule() {
+    return (process.env.SUBSCRIPTION_DUNNING_SCHEDULE || '1440,4320,10080') // 1, 3 and 7 days
+        .split(',')
+        .map((minutes) => parseInt(minutes.trim()))
+        .filter((minutes) => minutes > 0);
+}
+
+/**
+ * Postgres interval for one billing period of a plan
+ * @param {Object} plan - { interval, interval_count }
+ * @returns {string} e.g. "1 month"
+ */
+function billingPeriod(plan) {
+    return `${plan.interval_count} ${plan.interval}`;
+}
+
+/**
+ * Start a billing attempt for a due subscription: create the cycle's order and
+ * a payment against the saved method, then hand it to the payment worker.
+ * The outcome is picked up later by settleCharge().
+ * @param {Object} subscription - Subscription row joined with plan and merchant columns
+ * @returns {Object|null} Created payment row, or null if the charge could not start
+ */
+async function chargeSubscription(subscription) {
+    // Claim the cycle so a concurrent sweep cannot bill it twice
+    const claim = await db.query(
+        `UPDATE subscriptions
+         SET next_charge_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('active', 'past_due')
+           AND pending_payment_id IS NULL AND next_charge_at <= CURRENT_TIMESTAMP
+         RETURNING *`,
+        [subscription.id]
+    );
+
+    if (claim.rows.length === 0) {
+        return null;
+    }
+
+    try {
+        const method = await findPaymentMethod(
+            subscription.merchant_id,
+            subscription.customer_id,
+            subscription.payment_method_id
+        );
+
+        if (!method || (method.type === 'card' && isExpired(method))) {
+            await recordChargeFailure(claim.rows[0], null, 'PAYMENT_METHOD_UNAVAILABLE');
+            return null;
+        }
+
+        let fx;
+        try {
+            fx = await resolvePaymentFx(
+                { id: subscription.merchant_id, settlement_currency: subscription.merchant_settlement_currency },
+                subscription.plan_amount,
+                subscription.plan_currency
+            );
+        } catch (error) {
+            if (error.code !== 'FX_RATE_UNAVAILABLE') throw error;
+
+            await recordChargeFailure(claim.rows[0], null, 'FX_RATE_UNAVAILABLE');
+            return null;
+        }
+
+        const orderId = `order_${generateRandomString(16)}`;
+
+        // The order, its payment and the subscription's pointer to it are
+        // written together, so a failure does not leave an orphaned order
+        const client = await db.connect();
+        let payment;
+        try {
+            await client.query('BEGIN');
+
+            await client.query(
+                `INSERT INTO orders (id, merchant_id, amount, currency, receipt, status, auto_capture, subscription_id)
+                 VALUES ($1, $2, $3, $4, $5, 'created', true, $6)`,
+                [
+                    orderId,
+                    subscription.merchant_id,
+                    subscription.plan_amount,
+                    subscription.plan_currency,
+                    `${subscription.id}_${subscription.paid_count + 1}`,
+                    subscription.id,
+                ]
+            );
+            await transitionOrder(orderId, 'attempted', client);
+
+            const paymentResult = await client.query(
+                `INSERT INTO payments (id, order_id, merchant_id, amount, currency, method, card_token, card_expiry, card_network, card_type, card_last4, vpa, status, test_mode, customer_id, payment_method_id,
+                                       presentment_currency, settlement_currency, fx_rate, settlement_amount)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'pending', $13, $14, $15, $16, $17, $18, $19)
+                 RETURNING *`,
+                [
+                    `pay_${generateRandomString(16)}`,
+                    orderId,
+                    subscription.merchant_id,
+                    subscription.plan_amount,
+                    subscription.plan_currency,
+                    method.type,
+                    method.card_token,
+                    method.card_expiry,
+                    method.card_network,
+                    method.card_type,
+                    method.card_last4,
+                    method.vpa,
+                    isTestModeKey(subscription.merchant_api_key),
+                    subscription.customer_id,
+                    method.id,
+                    fx.presentment_currency,
+                    fx.settlement_currency,
+                    fx.fx_rate,
+                    fx.settlement_amount,
+                ]
+            );
+
+            payment = paymentResult.rows[0];
+
+            await client.query(
+                'UPDATE subscriptions SET pending_payment_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [payment.id, subscription.id]
+            );
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await createWebhookLog(payment.merchant_id, 'payment.created', { payment });
+
+        await paymentQueue.add('process-payment', { paymentId: payment.id }, { jobId: payment.id });
+
+        console.log(`🔁 Subscription ${subscription.id} charge started: ${payment.id}`);
+        return payment;
+    } catch (error) {
+        // Put the cycle back so the next sweep retries it
+        await db.query(
+            `UPDATE subscriptions SET next_charge_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND next_charge_at IS NULL AND pending_payment_id IS NULL`,
+            [subscription.id]
+        );
+        throw error;
+    }
+}
+
+/**
+ * Apply the outcome of a settled billing payment to its subscription
+ * @param {Object} subscription - Subscription row joined with plan columns
+ * @param {Object} payment - Settled payment row
+ * @returns {Object|null} Updated subscription row
+ */
+async function settleCharge(subscription, payment) {
+    if (payment.status === 'success') {
+        return recordChargeSuccess(subscription, payment);
+    }
+    return recordChargeFailure(subscription, payment, payment.error_code || 'PAYMENT_FAILED');
+}
+
+async function recordChargeSuccess(subscription, payment) {
+    const period = billingPeriod({
+        interval: subscription.plan_interval,
+        interval_count: subscription.plan_interval_count,
+    });
+
+    const result = await db.query(
+        `UPDATE subscriptions
+         SET paid_count = paid_count + 1,
+             current_period_start = COALESCE(current_period_end, start_at),
+             current_period_end = COALESCE(current_period_end, start_at) + $3::interval,
+             next_charge_at = CASE
+                 WHEN total_count IS NOT NULL AND paid_count + 1 >= total_count THEN NULL
+                 ELSE COALESCE(current_period_end, start_at) + $3::interval
+             END,
+             status = CASE
+                 WHEN total_count IS NOT NULL AND paid_count + 1 >= total_count THEN 'completed'
+                 ELSE 'active'
+             END,
+             dunning_attempts = 0,
+             pending_payment_id = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND pending_payment_id = $2
+         RETURNING *`,
+        [subscription.id, payment.id, period]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const charged = result.rows[0];
+    console.log(`🔁 Subscription ${charged.id} charged (${charged.paid_count} paid)`);
+
+    await createWebhookLog(charged.merchant_id, 'subscription.charged', {
+        subscription: charged,
+        payment,
+    });
+
+    return charged;
+}
+
+async function recordChargeFailure(subscription, payment, errorCode) {
+    const schedule = getDunningSchedule();
+    const attempt = subscription.dunning_attempts + 1;
+
+    if (attempt > schedule.length) {
+        return cancelSubscription(subscription, 'dunning_exhausted');
+    }
+
+    const result = await db.query(
+        `UPDATE subscriptions
+         SET status = 'past_due',
+             dunning_attempts = $3,
+             next_charge_at = CURRENT_TIMESTAMP + make_interval(mins => $4),
+             pending_payment_id = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('active', 'past_due')
+           AND pending_payment_id IS NOT DISTINCT FROM $2
+         RETURNING *`,
+        [subscription.id, payment ? payment.id : null, attempt, schedule[attempt - 1]]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const pastDue = result.rows[0];
+    console.log(`⚠️  Subscription ${pastDue.id} past due (attempt ${attempt}/${schedule.length})`);
+
+    await createWebhookLog(pastDue.merchant_id, 'subscription.past_due', {
+        subscription: pastDue,
+        payment,
+        error_code: errorCode,
+    });
+
+    return pastDue;
+}
+
+/**
+ * Cancel billing payments that have not settled within the charge timeout
+ * (e.g. stuck authorized after a failed capture). The cancelled payment is
+ * then settled as a failed charge and the subscription enters dunning.
+ * @param {number} limit - Most payments to cancel in one run
+ * @returns {number} Number of payments cancelled
+ */
+async function cancelStaleCharges(limit) {
+    const result = await db.query(
+        `SELECT p.*
+         FROM subscriptions s
+         JOIN payments p ON p.id = s.pending_payment_id
+         WHERE p.status = ANY($1)
+           AND p.created_at <= CURRENT_TIMESTAMP - make_interval(mins => $2)
+         LIMIT $3`,
+        [CANCELLABLE_PAYMENT_STATUSES, getChargeTimeoutMinutes(), limit]
+    );
+
+    let cancelled = 0;
+    for (const payment of result.rows) {
+        if (await cancelPayment(payment, 'subscription_charge_timeout')) cancelled++;
+    }
+
+    return cancelled;
+}
+
+/**
+ * Cancel a subscription immediately. A charge already in flight is no longer tracked.
+ * @param {Object} subscription - Subscription row
+ * @param {string} reason - Cancellation reason
+ * @returns {Object|null} Cancelled row, or null if it had already ended
+ */
+async function cancelSubscription(subscription, reason) {
+    const result = await db.query(
+        `UPDATE subscriptions
+         SET status = 'cancelled',
+             cancellation_reason = $2,
+             cancelled_at = CURRENT_TIMESTAMP,
+             next_charge_at = NULL,
+             pending_payment_id = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('active', 'past_due')
+         RETURNING *`,
+        [subscription.id, reason]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const cancelled = result.rows[0];
+    console.log(`🛑 Subscription cancelled: ${cancelled.id} (${reason})`);
+
+    await createWebhookLog(cancelled.merchant_id, 'subscription.cancelled', {
+        subscription: cancelled,
+    });
+
+    return cancelled;
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+module.exports = {
+    SETTLED_PAYMENT_STATUSES,
+    chargeSubscription,
+    settleCharge,
+    cancelStaleCharges,
+    cancelSubscription,
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { redisClient } = require('../config/queue');
+
+/**
+ * Card vault
+ * PANs are encrypted with AES-256-GCM under VAULT_ENCRYPTION_KEY, which lives
+ * outside the database. Payments reference a card by its tok_* token only.
+ * CVVs are never written to the database: they sit encrypted in Redis until
+ * the processor has authorized (or declined) the payment, then are deleted.
+ */
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * Read the 32-byte vault key (hex or base64) from the environment
+ * @returns {Buffer} Encryption key
+ */
+function getEncryptionKey() {
+    const raw = process.env.VAULT_ENCRYPTION_KEY;
+    if (!raw) {
+        throw new Error('VAULT_ENCRYPTION_KEY is not set (generate one with `openssl rand -hex 32`)');
+    }
+
+    const key = /^[0-9a-fA-F]{64}$/.test(raw)
+        ? Buffer.from(raw, 'hex')
+        : Buffer.from(raw, 'base64');
+
+    if (key.length !== 32) {
+        throw new Error('VAULT_ENCRYPTION_KEY must be 32 bytes: 64 hex characters or base64 (generate one with `openssl rand -hex 32`)');
+    }
+
+    return key;
+}
+
+/**
+ * Check the vault key at startup, so a bad key fails fast instead of on
+ * the first card payment
+ * @throws {Error} If VAULT_ENCRYPTION_KEY is missing or malformed
+ */
+function checkEncryptionKey() {
+    getEncryptionKey();
+}
+
+/**
+ * Key for card fingerprints, derived from the vault key so the encryption
+ * key itself is only ever used for encryption
+ * @returns {Buffer} HMAC key
+ */
+function getFingerprintKey() {
+    return Buffer.from(crypto.hkdfSync('sha256', getEncryptionKey(), Buffer.alloc(0), 'card-fingerprint', 32));
+}
+
+/**
+ * Seconds a CVV is kept while its payment waits for authorization
+ */
+function getCvvTtlSeconds() {
+    return parseInt(process.env.VAULT_CVV_TTL_SECONDS || '900'); // 15 minutes
+}
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} iv.authTag.ciphertext, each base64 encoded
+ */
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - iv.authTag.ciphertext
+ * @returns {string} Plaintext
+ */
+function decrypt(payload) {
+    const [iv, authTag, ciphertext] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Keyed hash of a PAN, so the same card can be recognised without decrypting
+ * @param {string} cardNumber - Card number, digits only
+ * @returns {string} Hex fingerprint
+ */
+function fingerprint(cardNumber) {
+    return crypto.createHmac('sha256', getFingerprintKey()).update(cardNumber).digest('hex');
+}
+
+/**
+ * Store a validated card in the vault
+ * @param {string} merchantId - Merchant UUID
+ * @param {Object} card - Validated card from validateCard()
+ * @returns {Object} Token row (without the encrypted PAN)
+ */
+async function tokenizeCard(merchantId, card) {
+    const tokenId = `tok_${crypto.randomBytes(12).toString('hex')}`;
+
+    const result = await db.query(
+        `INSERT INTO card_tokens (id, merchant_id, encrypted_pan, fingerprint, card_network, card_type, card_last4, expiry_month, expiry_year)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, merchant_id, fingerprint, card_network, card_type, card_last4, expiry_month, expiry_year, created_at`,
+        [
+            tokenId,
+            merchantId,
+            encrypt(card.number),
+            fingerprint(card.number),
+            card.network,
+            card.type,
+            card.last4,
+            card.expiry_month,
+            card.expiry_year,
+        ]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Recover the card number behind a token. Only the worker should call this,
+ * right before handing the card to a processor.
+ * @param {string} tokenId - tok_* reference
+ * @returns {Object|null} { number, expiry_month, expiry_year }, or null if unknown
+ */
+async function detokenize(tokenId) {
+    const result = await db.query(
+        'SELECT encrypted_pan, expiry_month, expiry_year FROM card_tokens WHERE id = $1',
+        [tokenId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const token = result.rows[0];
+    return {
+        number: decrypt(token.encrypted_pan),
+        expiry_month: token.expiry_month,
+        expiry_year: token.expiry_year,
+    };
+}
+
+/**
+ * Hold a CVV until the payment is authorized. The payment records when the
+ * CVV expires, so the worker can tell an expired CVV from one never given.
+ * @param {string} paymentId - Payment ID
+ * @param {string} cvv - Card security code
+ */
+async function storeCvv(paymentId, cvv) {
+    await redisClient.set(cvvKey(paymentId), encrypt(cvv), 'EX', getCvvTtlSeconds());
+
+    await db.query(
+        'UPDATE payments SET cvv_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $2) WHERE id = $1',
+        [paymentId, getCvvTtlSeconds()]
+    );
+}
+
+/**
+ * Read a held CVV without removing it (authorization may still be retried)
+ * @param {string} paymentId - Payment ID
+ * @returns {string|null} CVV, or null if it was discarded or has expired
+ */
+async function getCvv(paymentId) {
+    const payload = await redisClient.get(cvvKey(paymentId));
+    return payload ? decrypt(payload) : null;
+}
+
+/**
+ * Delete a held CVV once authorization has completed
+ * @param {string} paymentId - Payment ID
+ */
+async function discardCvv(paymentId) {
+    await redisClient.del(cvvKey(paymentId));
+}
+
+function cvvKey(paymentId) {
+    return `vault:cvv:${paymentId}`;
+}
+
+module.exports = {
+    checkEncryptionKey,
+    encrypt,
+    decrypt,
+    fingerprint,
+    tokenizeCard,
+    detokenize,
+    storeCvv,
+    getCvv,
+    discardCvv,
+};
@@ -0,0 +1,266 @@
+const db = require('../config/database');
+const { createNotification } = require('./NotificationService');
+
+/**
+ * Circuit breaker for webhook endpoints.
+ * - closed: deliveries go out; consecutive failures are counted
+ * - open: after WEBHOOK_CIRCUIT_FAILURE_THRESHOLD consecutive failures, new
+ *   deliveries are held instead of sent, for WEBHOOK_CIRCUIT_COOLDOWN_SECONDS
+ * - half_open: after the cool-down one probe delivery (the oldest held) is
+ *   sent; success closes the circuit, failure opens it again
+ * Held deliveries drain one at a time, oldest first, as each released one
+ * is delivered or runs out of attempts.
+ * An endpoint failing for WEBHOOK_ENDPOINT_DISABLE_DAYS is disabled.
+ */
+
+function getFailureThreshold() {
+    return parseInt(process.env.WEBHOOK_CIRCUIT_FAILURE_THRESHOLD || '5');
+}
+
+function getCooldownSeconds() {
+    return parseInt(process.env.WEBHOOK_CIRCUIT_COOLDOWN_SECONDS || '300');
+}
+
+function getDisableAfterDays() {
+    return parseFloat(process.env.WEBHOOK_ENDPOINT_DISABLE_DAYS || '3');
+}
+
+/**
+ * Decide whether a delivery may be sent now. Deliveries queue up behind
+ * older held ones so they arrive in order; while the circuit is not closed
+ * only the single probe claimed after the cool-down is sent.
+ * @param {Object} endpoint - Webhook endpoint row
+ * @param {string} webhookLogId - Webhook log about to be delivered
+ * @returns {boolean} true to deliver, false to hold the log
+ */
+async function canDeliver(endpoint, webhookLogId) {
+    const olderHeld = await db.query(
+        `SELECT 1 FROM webhook_logs
+         WHERE endpoint_id = $1 AND status = 'held'
+           AND (created_at, id::text) < (SELECT created_at, id::text FROM webhook_logs WHERE id = $2)
+         LIMIT 1`,
+        [endpoint.id, webhookLogId]
+    );
+
+    if (olderHeld.rows.length > 0) {
+        return false;
+    }
+
+    if (endpoint.circuit_state === 'closed') {
+        return true;
+    }
+
+    // Claim the probe; pushing circuit_retry_at forward keeps it to one
+    const probe = await db.query(
+        `UPDATE webhook_endpoints
+         SET circuit_state = 'half_open',
+             circuit_retry_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+         WHERE id = $1 AND circuit_state <> 'closed' AND circuit_retry_at <= CURRENT_TIMESTAMP
+         RETURNING id`,
+        [endpoint.id, getCooldownSeconds()]
+    );
+
+    if (probe.rows.length > 0) {
+        console.log(`🔌 Circuit half-open for webhook endpoint ${endpoint.id}, probing with ${webhookLogId}`);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Hold a delivery until its endpoint recovers
+ * @param {string} webhookLogId - Webhook log id
+ */
+async function holdDelivery(webhookLogId) {
+    await db.query(
+        `UPDATE webhook_logs SET status = 'held', next_retry_at = NULL WHERE id = $1`,
+        [webhookLogId]
+    );
+}
+
+/**
+ * Record a successful delivery: the circuit closes and the next held
+ * delivery, if any, is released
+ * @param {Object} endpoint - Webhook endpoint row
+ */
+async function recordDeliverySuccess(endpoint) {
+    await db.query(
+        `UPDATE webhook_endpoints
+         SET consecutive_failures = 0,
+             circuit_state = 'closed',
+             circuit_opened_at = NULL,
+             circuit_retry_at = NULL,
+             failing_since = NULL,
+             last_success_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [endpoint.id]
+    );
+
+    if (endpoint.circuit_state !== 'closed') {
+        console.log(`🔌 Circuit closed for webhook endpoint ${endpoint.id}`);
+    }
+
+    await releaseNextHeld(endpoint.id);
+}
+
+/**
+ * Record a failed delivery. The circuit opens once the failure threshold is
+ * reached, or straight away when a half-open probe fails.
+ * @param {Object} endpoint - Webhook endpoint row
+ * @returns {Object} Updated endpoint row
+ */
+async function recordDeliveryFailure(endpoint) {
+    const result = await db.query(
+        `UPDATE webhook_endpoints
+         SET consecutive_failures = consecutive_failures + 1,
+             failing_since = COALESCE(failing_since, CURRENT_TIMESTAMP),
+             last_failure_at = CURRENT_TIMESTAMP,
+             circuit_state = CASE WHEN $2::boolean THEN 'open' ELSE circuit_state END,
+             circuit_opened_at = CASE WHEN $2::boolean THEN COALESCE(circuit_opened_at, CURRENT_TIMESTAMP) ELSE circuit_opened_at END,
+             circuit_retry_at = CASE WHEN $2::boolean THEN CURRENT_TIMESTAMP + make_interval(secs => $3) ELSE circuit_retry_at END
+         WHERE id = $1
+         RETURNING *`,
+        [
+            endpoint.id,
+            endpoint.circuit_state !== 'closed' || endpoint.consecutive_failures + 1 >= getFailureThreshold(),
+            getCooldownSeconds(),
+        ]
+    );
+
+    const updated = result.rows[0];
+
+    if (updated.circuit_state === 'open' && endpoint.circuit_state === 'closed') {
+        console.log(`🔌 Circuit opened for webhook endpoint ${endpoint.id} after ${updated.consecutive_failures} failures`);
+    }
+
+    return updated;
+}
+
+/**
+ * Release an endpoint's oldest held delivery back to the queue
+ * @param {string} endpointId - Webhook endpoint id
+ * @returns {string|null} Released webhook log id
+ */
+async function releaseNextHeld(endpointId) {
+    const result = await db.query(
+        `UPDATE webhook_logs
+         SET status = 'pending'
+         WHERE id = (
+             SELECT id FROM webhook_logs
+             WHERE endpoint_id = $1 AND status = 'held'
+             ORDER BY created_at, id
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         ) AND status = 'held'
+         RETURNING *`,
+        [endpointId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const log = result.rows[0];
+
+    const { webhookQueue } = require('../config/queue');
+    await webhookQueue.add('deliver-webhook', {
+        webhookLogId: log.id,
+        merchantId: log.merchant_id,
+        endpointId,
+        event: log.event,
+        payload: log.payload,
+    });
+
+    return log.id;
+}
+
+/**
+ * Send a probe to every open circuit whose cool-down has ended
+ * @returns {number} Number of probes released
+ */
+async function probeOpenCircuits() {
+    const result = await db.query(
+        `SELECT id FROM webhook_endpoints
+         WHERE enabled AND circuit_state <> 'closed' AND circuit_retry_at <= CURRENT_TIMESTAMP`
+    );
+
+    let probed = 0;
+    for (const { id } of result.rows) {
+        if (await releaseNextHeld(id)) probed++;
+    }
+
+    return probed;
+}
+
+/**
+ * Release the next held delivery of every closed circuit that has nothing
+ * in flight, e.g. after a released delivery's retry was lost
+ * @returns {number} Number of deliveries released
+ */
+async function drainClosedCircuits() {
+    const result = await db.query(
+        `SELECT e.id FROM webhook_endpoints e
+         WHERE e.enabled AND e.circuit_state = 'closed'
+           AND EXISTS (SELECT 1 FROM webhook_logs l WHERE l.endpoint_id = e.id AND l.status = 'held')
+           AND NOT EXISTS (SELECT 1 FROM webhook_logs l WHERE l.endpoint_id = e.id AND l.status = 'pending')`
+    );
+
+    let released = 0;
+    for (const { id } of result.rows) {
+        if (await releaseNextHeld(id)) released++;
+    }
+
+    return released;
+}
+
+/**
+ * Disable endpoints that have been failing for longer than
+ * WEBHOOK_ENDPOINT_DISABLE_DAYS and notify their merchants. Held deliveries
+ * stay held and drain if the endpoint is re-enabled and recovers.
+ * @returns {number} Number of endpoints disabled
+ */
+async function disableFailingEndpoints() {
+    const days = getDisableAfterDays();
+    const reason = `Deliveries failed continuously for ${days} day(s)`;
+
+    const result = await db.query(
+        `UPDATE webhook_endpoints
+         SET enabled = false,
+             disabled_at = CURRENT_TIMESTAMP,
+             disabled_reason = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE enabled AND failing_since <= CURRENT_TIMESTAMP - make_interval(secs => $1)
+         RETURNING *`,
+        [days * 86400, reason]
+    );
+
+    for (const endpoint of result.rows) {
+        console.log(`⛔ Webhook endpoint disabled: ${endpoint.id} (${endpoint.url})`);
+
+        await createNotification(
+            endpoint.merchant_id,
+            'webhook_endpoint.disabled',
+            `Webhook endpoint ${endpoint.url} was disabled: ${reason}`,
+            {
+                endpoint_id: endpoint.id,
+                url: endpoint.url,
+                failing_since: endpoint.failing_since,
+                consecutive_failures: endpoint.consecutive_failures,
+            }
+        );
+    }
+
+    return result.rows.length;
+}
+
+module.exports = {
+    canDeliver,
+    holdDelivery,
+    recordDeliverySuccess,
+    recordDeliveryFailure,
+    releaseNextHeld,
+    probeOpenCircuits,
+    drainClosedCircuits,
+    disableFailingEndpoints,
+};
@@ -1,79 +1,235 @@
 const crypto = require('crypto');
 const db = require('../config/database');
+const { EVENT_TYPES, renderEvent, resolveApiVersion } = require('../events');
+const { recordEvent } = require('./EventService');
+const { formatEvent } = require('../utils/serializers');
 
 /**
- * Generate HMAC-SHA256 signature for webhook payload
- * @param {Object} payload - The webhook payload object
- * @param {string} webhookSecret - The merchant's webhook secret
+ * Generate the v1 HMAC-SHA256 signature of a webhook delivery. The
+ * timestamp is signed with the body so a captured request can't be
+ * replayed later.
+ * @param {string} payloadString - Exact request body
+ * @param {string} webhookSecret - Endpoint signing secret
+ * @param {number} timestamp - Unix time of the delivery attempt, in seconds
  * @returns {string} Hex-encoded signature
  */
-function generateWebhookSignature(payload, webhookSecret) {
-    const payloadString = JSON.stringify(payload);
+function generateWebhookSignature(payloadString, webhookSecret, timestamp) {
     const hmac = crypto.createHmac('sha256', webhookSecret);
-    hmac.update(payloadString);
+    hmac.update(`${timestamp}.${payloadString}`);
     return hmac.digest('hex');
 }
 
 /**
- * Create a webhook log entry and enqueue delivery job
+ * Secrets an endpoint currently signs with: its secret, plus the previous
+ * one while a rotation's grace period is running
+ * @param {Object} endpoint - Webhook endpoint row
+ * @param {Date} [now]
+ * @returns {string[]}
+ */
+function getSigningSecrets(endpoint, now = new Date()) {
+    const secrets = [endpoint.secret];
+
+    if (endpoint.previous_secret && endpoint.previous_secret_expires_at > now) {
+        secrets.push(endpoint.previous_secret);
+    }
+
+    return secrets;
+}
+
+/**
+ * Build the X-Webhook-Signature header: `t=<timestamp>,v1=<sig>`, with one
+ * v1 entry per signing secret
+ * @param {Object} endpoint - Webhook endpoint row
+ * @param {string} payloadString - Exact request body
+ * @param {number} [timestamp] - Unix time in seconds (defaults to now)
+ * @returns {string}
+ */
+function buildSignatureHeader(endpoint, payloadString, timestamp = Math.floor(Date.now() / 1000)) {
+    const signatures = getSigningSecrets(endpoint)
+        .map((secret) => `v1=${generateWebhookSignature(payloadString, secret, timestamp)}`);
+
+    return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+/**
+ * How long a rotated-out secret keeps signing deliveries
+ * @returns {number}
+ */
+function getSecretRotationGraceHours() {
+    return parseFloat(process.env.WEBHOOK_SECRET_ROTATION_GRACE_HOURS || '24');
+}
+
+/**
+ * Event types an endpoint can subscribe to; '*' subscribes to all of them
+ */
+const WEBHOOK_EVENTS = Object.keys(EVENT_TYPES);
+
+/**
+ * Generate a new webhook signing secret
+ * @returns {string}
+ */
+function generateWebhookSecret() {
+    return 'whsec_' + crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Insert a pending delivery log for one endpoint and enqueue its delivery job
+ * @param {Object} endpoint - Webhook endpoint row
+ * @param {string} event - Event type
+ * @param {Object} payload - Full webhook payload
+ * @param {string} [eventId] - Stored event the payload was built from
+ * @returns {string} Webhook log id
+ */
+async function enqueueDelivery(endpoint, event, payload, eventId = null) {
+    const result = await db.query(
+        `INSERT INTO webhook_logs (merchant_id, endpoint_id, event, payload, status, attempts, event_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+        [endpoint.merchant_id, endpoint.id, event, JSON.stringify(payload), 'pending', 0, eventId]
+    );
+
+    const webhookLogId = result.rows[0].id;
+
+    const { webhookQueue } = require('../config/queue');
+    await webhookQueue.add('deliver-webhook', {
+        webhookLogId,
+        merchantId: endpoint.merchant_id,
+        endpointId: endpoint.id,
+        event,
+        payload,
+    });
+
+    return webhookLogId;
+}
+
+/**
+ * Store an event and create one webhook log per enabled endpoint subscribed
+ * to it, enqueueing their delivery jobs. The data is rendered for the
+ * merchant's API version and validated against the event's schema first.
+ * Data that fails validation is a gateway bug, not a reason to drop the
+ * notification: it is still stored and sent, with the event flagged by its
+ * validation errors and the failure logged as an alert.
  * @param {string} merchantId - Merchant UUID
- * @param {string} event - Event type (e.g., 'payment.success')
- * @param {Object} data - Event data
+ * @param {string} event - Event type registered in src/events (e.g., 'payment.success')
+ * @param {Object} resources - Rows the event is about (e.g., { payment })
  */
-async function createWebhookLog(merchantId, event, data) {
+async function createWebhookLog(merchantId, event, resources) {
     try {
-        // Fetch merchant to check if webhook_url is configured
-        const merchantResult = await db.query(
-            'SELECT webhook_url, webhook_secret FROM merchants WHERE id = $1',
-            [merchantId]
-        );
+        const merchantResult = await db.query('SELECT api_version FROM merchants WHERE id = $1', [merchantId]);
+        const apiVersion = resolveApiVersion(merchantResult.rows[0] && merchantResult.rows[0].api_version);
 
-        if (merchantResult.rows.length === 0) {
-            console.log(`Merchant ${merchantId} not found, skipping webhook`);
-            return;
+        let data;
+        let validationErrors = null;
+        try {
+            data = renderEvent(event, apiVersion, resources);
+        } catch (error) {
+            if (error.code !== 'INVALID_EVENT_PAYLOAD') throw error;
+
+            console.error(`🚨 Event schema violation, sending anyway: ${error.message}`);
+            data = error.data;
+            validationErrors = error.errors;
         }
 
-        const merchant = merchantResult.rows[0];
+        // Stored whether or not any endpoint listens, so it can be polled later
+        const stored = await recordEvent(merchantId, event, apiVersion, data, validationErrors);
+        const payload = formatEvent(stored);
+
+        const endpointResult = await db.query(
+            `SELECT * FROM webhook_endpoints
+             WHERE merchant_id = $1 AND enabled AND ($2 = ANY(events) OR '*' = ANY(events))
+             ORDER BY created_at`,
+            [merchantId, event]
+        );
 
-        // Skip if webhook URL is not configured
-        if (!merchant.webhook_url) {
-            console.log(`Webhook URL not configured for merchant ${merchantId}, skipping`);
+        if (endpointResult.rows.length === 0) {
+            console.log(`No webhook endpoint subscribed to ${event} for merchant ${merchantId}, stored ${stored.id} only`);
             return;
         }
 
-        // Create payload
-        const payload = {
-            event,
-            timestamp: Math.floor(Date.now() / 1000),
-            data,
-        };
-
-        // Insert webhook log
-        const result = await db.query(
-            `INSERT INTO webhook_logs (merchant_id, event, payload, status, attempts)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id`,
-            [merchantId, event, JSON.stringify(payload), 'pending', 0]
-        );
+        for (const endpoint of endpointResult.rows) {
+            const webhookLogId = await enqueueDelivery(endpoint, event, payload, stored.id);
+            console.log(`✅ Webhook log created and job enqueued: ${webhookLogId} (${endpoint.id})`);
+        }
+    } catch (error) {
+        console.error('Error creating webhook log:', error);
+    }
+}
+
+/**
+ * Point the merchant's default endpoint (the one behind PUT /webhooks/config)
+ * at a URL, creating it with the merchant's webhook secret if needed
+ * @param {string} merchantId - Merchant UUID
+ * @param {string} url - Webhook URL
+ * @returns {Object} Default endpoint row
+ */
+async function setDefaultEndpointUrl(merchantId, url) {
+    const updated = await db.query(
+        `UPDATE webhook_endpoints SET url = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE merchant_id = $1 AND is_default
+         RETURNING *`,
+        [merchantId, url]
+    );
 
-        const webhookLogId = result.rows[0].id;
+    if (updated.rows.length > 0) {
+        return updated.rows[0];
+    }
 
-        // Enqueue webhook delivery job
-        const { webhookQueue } = require('../config/queue');
-        await webhookQueue.add('deliver-webhook', {
-            webhookLogId,
-            merchantId,
-            event,
-            payload,
-        });
+    const inserted = await db.query(
+        `INSERT INTO webhook_endpoints (id, merchant_id, url, secret, is_default)
+         SELECT $2, id, $3, COALESCE(webhook_secret, $4), true FROM merchants WHERE id = $1
+         ON CONFLICT (merchant_id) WHERE is_default DO UPDATE SET url = EXCLUDED.url
+         RETURNING *`,
+        [merchantId, `we_${generateRandomString(16)}`, url, generateWebhookSecret()]
+    );
 
-        console.log(`✅ Webhook log created and job enqueued: ${webhookLogId}`);
-    } catch (error) {
-        console.error('Error creating webhook log:', error);
+    return inserted.rows[0];
+}
+
+/**
+ * Rotate an endpoint's signing secret. The old secret keeps signing next to
+ * the new one for the grace period so receivers can switch over.
+ * @param {string} endpointId - Webhook endpoint id
+ * @param {string} merchantId - Merchant UUID
+ * @returns {Object|null} Updated endpoint row, or null if not found
+ */
+async function rotateEndpointSecret(endpointId, merchantId) {
+    const result = await db.query(
+        `UPDATE webhook_endpoints
+         SET previous_secret = secret,
+             previous_secret_expires_at = CURRENT_TIMESTAMP + make_interval(secs => $4),
+             secret = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND merchant_id = $2
+         RETURNING *`,
+        [endpointId, merchantId, generateWebhookSecret(), getSecretRotationGraceHours() * 3600]
+    );
+
+    const endpoint = result.rows[0] || null;
+
+    if (endpoint && endpoint.is_default) {
+        await db.query('UPDATE merchants SET webhook_secret = $1 WHERE id = $2', [endpoint.secret, merchantId]);
+    }
+
+    return endpoint;
+}
+
+function generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
     }
+    return result;
 }
 
 module.exports = {
+    WEBHOOK_EVENTS,
     generateWebhookSignature,
+    getSigningSecrets,
+    buildSignatureHeader,
+    generateWebhookSecret,
+    rotateEndpointSecret,
+    enqueueDelivery,
     createWebhookLog,
+    setDefaultEndpointUrl,
 };
@@ -0,0 +1,239 @@
+/**
+ * Card validation
+ * Luhn checksum, expiry and CVV checks, plus network / card type detection from BIN ranges
+ */
+
+/**
+ * BIN ranges, matched on the first six digits.
+ * More specific ranges come first; the first match wins.
+ */
+const BIN_RANGES = [
+    // Known debit / prepaid test BINs
+    { from: 400005, to: 400005, network: 'visa', type: 'debit' },
+    { from: 520082, to: 520082, network: 'mastercard', type: 'debit' },
+    { from: 510510, to: 510510, network: 'mastercard', type: 'prepaid' },
+
+    // RuPay
+    { from: 508500, to: 508999, network: 'rupay', type: 'debit' },
+    { from: 606985, to: 607984, network: 'rupay', type: 'debit' },
+    { from: 608001, to: 608500, network: 'rupay', type: 'debit' },
+    { from: 652150, to: 653149, network: 'rupay', type: 'credit' },
+    { from: 817200, to: 820199, network: 'rupay', type: 'credit' },
+
+    // American Express
+    { from: 340000, to: 349999, network: 'amex', type: 'credit' },
+    { from: 370000, to: 379999, network: 'amex', type: 'credit' },
+
+    // Mastercard
+    { from: 222100, to: 272099, network: 'mastercard', type: 'credit' },
+    { from: 510000, to: 559999, network: 'mastercard', type: 'credit' },
+
+    // Visa
+    { from: 400000, to: 499999, network: 'visa', type: 'credit' },
+];
+
+/**
+ * Valid PAN lengths and CVV length per network
+ */
+const NETWORK_RULES = {
+    visa: { lengths: [13, 16, 19], cvvLength: 3 },
+    mastercard: { lengths: [16], cvvLength: 3 },
+    rupay: { lengths: [16], cvvLength: 3 },
+    amex: { lengths: [15], cvvLength: 4 },
+};
+
+/**
+ * Supported card networks
+ */
+const CARD_NETWORKS = Object.keys(NETWORK_RULES);
+
+/**
+ * Latest expiry accepted, in years from now
+ */
+const MAX_EXPIRY_YEARS = 20;
+
+/**
+ * Strip spaces and dashes from a card number
+ * @param {string} cardNumber - Card number as entered
+ * @returns {string} Digits only
+ */
+function normalizeCardNumber(cardNumber) {
+    return String(cardNumber).replace(/[\s-]/g, '');
+}
+
+/**
+ * Check a card number against the Luhn (mod 10) checksum
+ * @param {string} digits - Card number, digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+function luhnCheck(digits) {
+    let sum = 0;
+    let double = false;
+
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let digit = parseInt(digits[i]);
+        if (double) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+        double = !double;
+    }
+
+    return sum % 10 === 0;
+}
+
+/**
+ * Detect network and card type from the BIN
+ * @param {string} digits - Card number, digits only
+ * @returns {Object|null} { network, type }, or null for an unsupported BIN
+ */
+function detectCard(digits) {
+    const bin = parseInt(digits.slice(0, 6));
+    const range = BIN_RANGES.find((r) => bin >= r.from && bin <= r.to);
+    return range ? { network: range.network, type: range.type } : null;
+}
+
+/**
+ * Parse an expiry in MM/YY or MM/YYYY format
+ * @param {string} expiry - Expiry as entered
+ * @returns {Object|null} { month, year }, or null if badly formatted
+ */
+function parseExpiry(expiry) {
+    const match = /^(\d{2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(expiry).trim());
+    if (!match) return null;
+
+    const month = parseInt(match[1]);
+    const year = match[2].length === 2 ? 2000 + parseInt(match[2]) : parseInt(match[2]);
+
+    if (month < 1 || month > 12) return null;
+    return { month, year };
+}
+
+/**
+ * Validate raw card details
+ * @param {Object} details - { card_number, card_expiry, card_cvv }
+ * @param {Object} [options] - { requireCvv = true, now = new Date() }
+ * @returns {Object} { errors: [{ field, code, description }], card }
+ */
+function validateCard({ card_number, card_expiry, card_cvv }, { requireCvv = true, now = new Date() } = {}) {
+    const errors = [];
+    let card = null;
+
+    const digits = card_number ? normalizeCardNumber(card_number) : '';
+    const detected = /^\d+$/.test(digits) ? detectCard(digits) : null;
+
+    if (!card_number) {
+        errors.push(fieldError('card_number', 'REQUIRED', 'Card number is required'));
+    } else if (!/^\d{12,19}$/.test(digits)) {
+        errors.push(fieldError('card_number', 'INVALID_FORMAT', 'Card number must be 12-19 digits'));
+    } else if (!luhnCheck(digits)) {
+        errors.push(fieldError('card_number', 'INVALID_CHECKSUM', 'Card number is invalid'));
+    } else if (!detected) {
+        errors.push(fieldError('card_number', 'UNSUPPORTED_NETWORK', 'Card network is not supported'));
+    } else if (!NETWORK_RULES[detected.network].lengths.includes(digits.length)) {
+        errors.push(fieldError('card_number', 'INVALID_LENGTH', `Invalid card number length for ${detected.network}`));
+    }
+
+    const expiry = card_expiry ? parseExpiry(card_expiry) : null;
+
+    if (!card_expiry) {
+        errors.push(fieldError('card_expiry', 'REQUIRED', 'Card expiry is required'));
+    } else if (!expiry) {
+        errors.push(fieldError('card_expiry', 'INVALID_FORMAT', 'Card expiry must be in MM/YY format'));
+    } else {
+        // A card is valid through the last day of its expiry month
+        const endOfMonth = new Date(Date.UTC(expiry.year, expiry.month, 1));
+        const latest = new Date(Date.UTC(now.getUTCFullYear() + MAX_EXPIRY_YEARS, now.getUTCMonth(), 1));
+
+        if (isExpired({ expiry_month: expiry.month, expiry_year: expiry.year }, now)) {
+            errors.push(fieldError('card_expiry', 'EXPIRED', 'Card has expired'));
+        } else if (endOfMonth > latest) {
+            errors.push(fieldError('card_expiry', 'INVALID_DATE', 'Card expiry is too far in the future'));
+        }
+    }
+
+    if (!card_cvv) {
+        if (requireCvv) {
+            errors.push(fieldError('card_cvv', 'REQUIRED', 'CVV is required'));
+        }
+    } else {
+        const cvvError = validateCvv(card_cvv, detected && detected.network);
+        if (cvvError) {
+            errors.push(cvvError);
+        }
+    }
+
+    if (errors.length === 0) {
+        card = {
+            number: digits,
+            network: detected.network,
+            type: detected.type,
+            last4: digits.slice(-4),
+            expiry_month: expiry.month,
+            expiry_year: expiry.year,
+        };
+    }
+
+    return { errors, card };
+}
+
+/**
+ * Check a CVV's type and its length against the card network. A number is
+ * rejected rather than converted, since it would have lost any leading zero.
+ * @param {string} cvv - Card security code
+ * @param {string} [network] - Detected network, if known
+ * @returns {Object|null} Field error, or null if valid
+ */
+function validateCvv(cvv, network) {
+    if (typeof cvv !== 'string') {
+        return fieldError('card_cvv', 'INVALID_FORMAT', 'CVV must be a string of digits');
+    }
+
+    const cvvLength = network ? NETWORK_RULES[network].cvvLength : null;
+    if (!/^\d{3,4}$/.test(cvv) || (cvvLength && cvv.length !== cvvLength)) {
+        return fieldError(
+            'card_cvv',
+            'INVALID_LENGTH',
+            cvvLength ? `CVV must be ${cvvLength} digits` : 'CVV must be 3 or 4 digits'
+        );
+    }
+    return null;
+}
+
+/**
+ * Whether a saved card has passed the end of its expiry month
+ * @param {Object} card - { expiry_month, expiry_year }
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True if expired
+ */
+function isExpired(card, now = new Date()) {
+    return new Date(Date.UTC(card.expiry_year, card.expiry_month, 1)) <= now;
+}
+
+/**
+ * Format a validated card's expiry as MM/YY
+ * @param {Object} card - { expiry_month, expiry_year }
+ * @returns {string} Expiry, e.g. "07/29"
+ */
+function formatExpiry(card) {
+    const month = String(card.expiry_month).padStart(2, '0');
+    const year = String(card.expiry_year % 100).padStart(2, '0');
+    return `${month}/${year}`;
+}
+
+function fieldError(field, code, description) {
+    return { field, code, description };
+}
+
+module.exports = {
+    CARD_NETWORKS,
+    normalizeCardNumber,
+    luhnCheck,
+    detectCard,
+    parseExpiry,
+    validateCard,
+    validateCvv,
+    isExpired,
+    formatExpiry,
+};
@@ -0,0 +1,81 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset of draft 2020-12 the event catalogue uses: type
+ * (single or list; "integer" is a whole number), enum, properties,
+ * required, additionalProperties (boolean), items and format "date-time".
+ */
+
+/**
+ * Validate a JSON value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Parsed JSON value (Dates must already be strings)
+ * @param {string} [path] - Location of the value, used in error messages
+ * @returns {string[]} Validation errors; empty if the value is valid
+ */
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(type, value))) {
+            errors.push(`${path} must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+        errors.push(`${path} must be a date-time`);
+    }
+
+    if (isObject(value)) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], child, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return isObject(value);
+        default: return false;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    validateSchema,
+};
@@ -0,0 +1,112 @@
+/**
+ * Helpers for list endpoints
+ * Parse pagination/filter query params and build parameterized WHERE clauses
+ */
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse the `limit` query param, clamped to MAX_LIMIT
+ * @param {string} value - Raw query value
+ * @returns {number} Page size
+ */
+function parseLimit(value) {
+    const limit = parseInt(value) || DEFAULT_LIMIT;
+    return Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+/**
+ * Parse the `offset` query param
+ * @param {string} value - Raw query value
+ * @returns {number} Number of rows to skip
+ */
+function parseOffset(value) {
+    return Math.max(parseInt(value) || 0, 0);
+}
+
+/**
+ * Parse a timestamp filter given as unix seconds or an ISO-8601 string
+ * @param {string} value - Raw query value
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseTimestamp(value) {
+    const date = /^\d+$/.test(value)
+        ? new Date(parseInt(value) * 1000)
+        : new Date(value);
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a non-negative integer filter (e.g. amounts in minor units)
+ * @param {string} value - Raw query value
+ * @returns {number|null} Parsed integer, or null if invalid
+ */
+function parseAmount(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : null;
+}
+
+/**
+ * Append a parameterized condition to a WHERE clause under construction
+ * @param {string[]} conditions - SQL conditions collected so far
+ * @param {Array} values - Query parameters collected so far
+ * @param {string} column - Column (or expression) to filter on
+ * @param {string} operator - SQL comparison operator
+ * @param {*} value - Parameter value
+ */
+function addFilter(conditions, values, column, operator, value) {
+    values.push(value);
+    conditions.push(`${column} ${operator} $${values.length}`);
+}
+
+/**
+ * Apply `from`/`to` query params as a created_at window
+ * @param {Object} query - Request query params
+ * @param {string[]} conditions - SQL conditions collected so far
+ * @param {Array} values - Query parameters collected so far
+ * @param {string} [column='created_at'] - Timestamp column to filter on
+ * @returns {string|null} Validation error description, or null if valid
+ */
+function addDateRangeFilter(query, conditions, values, column = 'created_at') {
+    for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+        if (query[param] === undefined) continue;
+
+        const date = parseTimestamp(query[param]);
+        if (!date) {
+            return `${param} must be a unix timestamp or ISO-8601 date`;
+        }
+        addFilter(conditions, values, column, operator, date.toISOString());
+    }
+
+    return null;
+}
+
+/**
+ * Encode an opaque pagination cursor
+ * @param {string} id - ID of the last row on the page
+ * @returns {string} Cursor string
+ */
+function encodeCursor(id) {
+    return Buffer.from(id, 'utf8').toString('base64url');
+}
+
+/**
+ * Decode an opaque pagination cursor
+ * @param {string} cursor - Cursor string from the client
+ * @returns {string} Row ID the cursor points at
+ */
+function decodeCursor(cursor) {
+    return Buffer.from(cursor, 'base64url').toString('utf8');
+}
+
+module.exports = {
+    parseLimit,
+    parseOffset,
+    parseTimestamp,
+    parseAmount,
+    addFilter,
+    addDateRangeFilter,
+    encodeCursor,
+    decodeCursor,
+};
@@ -0,0 +1,125 @@
+/**
+ * Payment error catalogue
+ *
+ * Every failed or voided payment carries one of these codes. Each code says
+ * who caused the failure (source), where in the flow it happened (step),
+ * a machine-readable reason, and whether retrying the payment may succeed.
+ */
+
+const PAYMENT_ERRORS = {
+    PAYMENT_DECLINED: {
+        description: 'Payment was declined by the bank',
+        source: 'issuer_bank',
+        step: 'payment_authorization',
+        reason: 'payment_declined',
+        retryable: false,
+    },
+    INSUFFICIENT_FUNDS: {
+        description: 'Card has insufficient funds',
+        source: 'customer',
+        step: 'payment_authorization',
+        reason: 'insufficient_funds',
+        retryable: false,
+    },
+    CARD_EXPIRED: {
+        description: 'Card has expired',
+        source: 'customer',
+        step: 'payment_authorization',
+        reason: 'card_expired',
+        retryable: false,
+    },
+    INVALID_CVV: {
+        description: 'Card security code is incorrect',
+        source: 'customer',
+        step: 'payment_authorization',
+        reason: 'incorrect_cvv',
+        retryable: true,
+    },
+    CVV_EXPIRED: {
+        description: 'Card security code expired before the payment was authorized',
+        source: 'customer',
+        step: 'payment_authorization',
+        reason: 'cvv_expired',
+        retryable: true,
+    },
+    VPA_NOT_FOUND: {
+        description: 'VPA does not exist',
+        source: 'customer',
+        step: 'payment_initiation',
+        reason: 'invalid_vpa',
+        retryable: false,
+    },
+    ISSUER_UNAVAILABLE: {
+        description: 'Card issuer could not be reached',
+        source: 'issuer_bank',
+        step: 'payment_authorization',
+        reason: 'issuer_unavailable',
+        retryable: true,
+    },
+    RISK_DECLINED: {
+        description: 'Payment was declined by risk checks',
+        source: 'gateway',
+        step: 'payment_risk_check',
+        reason: 'risk_check_failed',
+        retryable: false,
+    },
+    AUTHENTICATION_FAILED: {
+        description: '3-D Secure authentication failed',
+        source: 'customer',
+        step: 'payment_authentication',
+        reason: 'authentication_failed',
+        retryable: true,
+    },
+    AUTHENTICATION_REQUIRED: {
+        description: 'Card requires 3-D Secure, which an unattended charge cannot complete',
+        source: 'customer',
+        step: 'payment_authentication',
+        reason: 'authentication_required',
+        retryable: false,
+    },
+    ORDER_ALREADY_PAID: {
+        description: 'Order has already been paid',
+        source: 'business',
+        step: 'payment_initiation',
+        reason: 'order_already_paid',
+        retryable: false,
+    },
+    AUTHORIZATION_EXPIRED: {
+        description: 'Authorization expired before capture',
+        source: 'business',
+        step: 'payment_capture',
+        reason: 'authorization_expired',
+        retryable: false,
+    },
+    PROCESSOR_ERROR: {
+        description: 'Payment processor returned an unexpected error',
+        source: 'gateway',
+        step: 'payment_authorization',
+        reason: 'processor_error',
+        retryable: true,
+    },
+    PAYMENT_FAILED: {
+        description: 'Payment processing failed',
+        source: 'gateway',
+        step: 'payment_authorization',
+        reason: 'payment_failed',
+        retryable: true,
+    },
+};
+
+/**
+ * Look up an error code in the catalogue.
+ * Unknown codes (e.g. from an external acquirer) keep their code but
+ * inherit the generic PAYMENT_FAILED classification.
+ * @param {string} code - Error code
+ * @returns {Object} { code, description, source, step, reason, retryable }
+ */
+function getPaymentError(code) {
+    const entry = PAYMENT_ERRORS[code] || PAYMENT_ERRORS.PAYMENT_FAILED;
+    return { code: code || 'PAYMENT_FAILED', ...entry };
+}
+
+module.exports = {
+    PAYMENT_ERRORS,
+    getPaymentError,
+};
@@ -0,0 +1,46 @@
+/**
+ * Refund error catalogue
+ *
+ * Every failed refund carries one of these codes. `retryable` says whether
+ * creating a new refund for the same amount may succeed.
+ */
+
+const REFUND_ERRORS = {
+    REFUND_DECLINED: {
+        description: 'Refund was declined by the processor',
+        retryable: false,
+    },
+    PAYMENT_NOT_REFUNDABLE: {
+        description: 'Payment is no longer in a refundable state',
+        retryable: false,
+    },
+    REFUND_AMOUNT_EXCEEDED: {
+        description: 'Refunds would exceed the captured amount',
+        retryable: false,
+    },
+    PROCESSOR_ERROR: {
+        description: 'Refund processor returned an unexpected error',
+        retryable: true,
+    },
+    REFUND_FAILED: {
+        description: 'Refund processing failed',
+        retryable: true,
+    },
+};
+
+/**
+ * Look up an error code in the catalogue.
+ * Unknown codes (e.g. from an external acquirer) keep their code but
+ * inherit the generic REFUND_FAILED classification.
+ * @param {string} code - Error code
+ * @returns {Object} { code, description, retryable }
+ */
+function getRefundError(code) {
+    const entry = REFUND_ERRORS[code] || REFUND_ERRORS.REFUND_FAILED;
+    return { code: code || 'REFUND_FAILED', ...entry };
+}
+
+module.exports = {
+    REFUND_ERRORS,
+    getRefundError,
+};
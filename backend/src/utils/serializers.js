@@ -0,0 +1,397 @@
+/**
+ * Response serializers
+ * Map database rows to the public API representation
+ */
+
+/**
+ * Format a payment row for API responses
+ * @param {Object} payment - Payment row from the database
+ * @returns {Object} Public payment object
+ */
+function formatPayment(payment) {
+    return {
+        id: payment.id,
+        order_id: payment.order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        presentment_currency: payment.presentment_currency || payment.currency,
+        settlement_currency: payment.settlement_currency || payment.currency,
+        fx_rate: payment.fx_rate != null ? parseFloat(payment.fx_rate) : undefined,
+        fx_quote_id: payment.fx_quote_id || undefined,
+        settlement_amount: payment.settlement_amount ?? undefined,
+        fee: payment.fee ?? undefined,
+        tax: payment.tax ?? undefined,
+        method: payment.method,
+        vpa: payment.vpa || undefined,
+        card_token: payment.card_token || undefined,
+        card_network: payment.card_network || undefined,
+        card_type: payment.card_type || undefined,
+        card_last4: payment.card_last4 || undefined,
+        card_expiry: payment.card_expiry || undefined,
+        status: payment.status,
+        error_code: payment.error_code || undefined,
+        error_description: payment.error_description || undefined,
+        error_source: payment.error_source || undefined,
+        error_step: payment.error_step || undefined,
+        error_reason: payment.error_reason || undefined,
+        error_retryable: payment.error_retryable ?? undefined,
+        next_action: payment.status === 'requires_action' ? payment.next_action : undefined,
+        captured: payment.captured,
+        captured_amount: payment.captured_amount ?? undefined,
+        released_amount: payment.released_amount ?? undefined,
+        authorized_at: payment.authorized_at || undefined,
+        authorization_expires_at: payment.authorization_expires_at || undefined,
+        captured_at: payment.captured_at || undefined,
+        voided_at: payment.voided_at || undefined,
+        cancellation_reason: payment.cancellation_reason || undefined,
+        cancelled_at: payment.cancelled_at || undefined,
+        customer_id: payment.customer_id || undefined,
+        payment_method_id: payment.payment_method_id || undefined,
+        created_at: payment.created_at,
+        updated_at: payment.updated_at,
+    };
+}
+
+/**
+ * Format an order row for API responses
+ * @param {Object} order - Order row from the database
+ * @returns {Object} Public order object
+ */
+function formatOrder(order) {
+    return {
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        receipt: order.receipt,
+        status: order.status,
+        auto_capture: order.auto_capture ?? undefined,
+        subscription_id: order.subscription_id || undefined,
+        payment_link_id: order.payment_link_id || undefined,
+        created_at: order.created_at,
+    };
+}
+
+/**
+ * Format a refund row for API responses
+ * @param {Object} refund - Refund row from the database
+ * @returns {Object} Public refund object
+ */
+function formatRefund(refund) {
+    return {
+        id: refund.id,
+        payment_id: refund.payment_id,
+        amount: refund.amount,
+        settlement_currency: refund.settlement_currency || undefined,
+        settlement_amount: refund.settlement_amount ?? undefined,
+        speed_requested: refund.speed_requested,
+        speed_processed: refund.speed_processed || undefined,
+        fee: refund.fee ?? undefined,
+        tax: refund.tax ?? undefined,
+        reason: refund.reason,
+        status: refund.status,
+        error_code: refund.error_code || undefined,
+        error_description: refund.error_description || undefined,
+        cancellation_reason: refund.cancellation_reason || undefined,
+        created_at: refund.created_at,
+        processed_at: refund.processed_at,
+        failed_at: refund.failed_at || undefined,
+        cancelled_at: refund.cancelled_at || undefined,
+    };
+}
+
+/**
+ * Format a customer row for API responses
+ * @param {Object} customer - Customer row from the database
+ * @returns {Object} Public customer object
+ */
+function formatCustomer(customer) {
+    return {
+        id: customer.id,
+        name: customer.name,
+        email: customer.email,
+        contact: customer.contact,
+        created_at: customer.created_at,
+        updated_at: customer.updated_at,
+    };
+}
+
+/**
+ * Format a saved payment method row for API responses
+ * @param {Object} method - Payment method row from the database
+ * @returns {Object} Public payment method object
+ */
+function formatPaymentMethod(method) {
+    return {
+        id: method.id,
+        customer_id: method.customer_id,
+        type: method.type,
+        card: method.type === 'card'
+            ? {
+                token: method.card_token,
+                network: method.card_network,
+                type: method.card_type,
+                last4: method.card_last4,
+                expiry: method.card_expiry,
+            }
+            : undefined,
+        vpa: method.vpa || undefined,
+        status: method.detached_at ? 'detached' : 'attached',
+        detached_at: method.detached_at || undefined,
+        created_at: method.created_at,
+    };
+}
+
+/**
+ * Format a plan row for API responses
+ * @param {Object} plan - Plan row from the database
+ * @returns {Object} Public plan object
+ */
+function formatPlan(plan) {
+    return {
+        id: plan.id,
+        name: plan.name,
+        amount: plan.amount,
+        currency: plan.currency,
+        interval: plan.interval,
+        interval_count: plan.interval_count,
+        active: plan.active,
+        created_at: plan.created_at,
+    };
+}
+
+/**
+ * Format a subscription row for API responses
+ * @param {Object} subscription - Subscription row from the database
+ * @returns {Object} Public subscription object
+ */
+function formatSubscription(subscription) {
+    return {
+        id: subscription.id,
+        plan_id: subscription.plan_id,
+        customer_id: subscription.customer_id,
+        payment_method_id: subscription.payment_method_id,
+        status: subscription.status,
+        total_count: subscription.total_count ?? undefined,
+        paid_count: subscription.paid_count,
+        start_at: subscription.start_at,
+        current_period_start: subscription.current_period_start || undefined,
+        current_period_end: subscription.current_period_end || undefined,
+        next_charge_at: subscription.next_charge_at || undefined,
+        dunning_attempts: subscription.dunning_attempts,
+        cancellation_reason: subscription.cancellation_reason || undefined,
+        cancelled_at: subscription.cancelled_at || undefined,
+        created_at: subscription.created_at,
+        updated_at: subscription.updated_at,
+    };
+}
+
+/**
+ * Format a payment link row for API responses.
+ * Active links past their expiry are reported as expired.
+ * @param {Object} link - Payment link row from the database
+ * @returns {Object} Public payment link object
+ */
+function formatPaymentLink(link) {
+    const expired = link.status === 'active' && link.expires_at && new Date(link.expires_at) <= new Date();
+    const baseUrl = process.env.PAYMENT_LINK_BASE_URL || 'http://localhost:8000/l';
+
+    return {
+        id: link.id,
+        short_url: `${baseUrl}/${link.short_code}`,
+        amount: link.amount ?? undefined,
+        currency: link.currency,
+        description: link.description || undefined,
+        usage: link.usage,
+        status: expired ? 'expired' : link.status,
+        expires_at: link.expires_at || undefined,
+        order_id: link.order_id || undefined,
+        paid_count: link.paid_count,
+        amount_paid: parseInt(link.amount_paid),
+        created_at: link.created_at,
+        updated_at: link.updated_at,
+    };
+}
+
+/**
+ * Format an FX quote row for API responses
+ * @param {Object} quote - Quote row from the database
+ * @returns {Object} Public quote object
+ */
+function formatFxQuote(quote) {
+    return {
+        id: quote.id,
+        presentment_currency: quote.presentment_currency,
+        settlement_currency: quote.settlement_currency,
+        rate: parseFloat(quote.rate),
+        presentment_amount: quote.presentment_amount ?? undefined,
+        settlement_amount: quote.settlement_amount ?? undefined,
+        status: quote.used_at ? 'used' : new Date(quote.expires_at) <= new Date() ? 'expired' : 'active',
+        expires_at: quote.expires_at,
+        used_at: quote.used_at || undefined,
+        created_at: quote.created_at,
+    };
+}
+
+/**
+ * Format a settlement row for API responses
+ * @param {Object} settlement - Settlement row from the database
+ * @returns {Object} Public settlement object
+ */
+function formatSettlement(settlement) {
+    return {
+        id: settlement.id,
+        amount: parseInt(settlement.amount),
+        currency: settlement.currency,
+        gross_amount: parseInt(settlement.gross_amount),
+        refund_amount: parseInt(settlement.refund_amount),
+        fee_amount: parseInt(settlement.fee_amount),
+        tax_amount: parseInt(settlement.tax_amount),
+        entry_count: settlement.entry_count,
+        utr: settlement.utr || undefined,
+        status: settlement.status,
+        period_end: settlement.period_end,
+        processed_at: settlement.processed_at || undefined,
+        created_at: settlement.created_at,
+    };
+}
+
+/**
+ * Format a pricing rule row for API responses
+ * @param {Object} rule - Pricing rule row from the database
+ * @returns {Object} Public pricing rule object
+ */
+function formatPricingRule(rule) {
+    return {
+        id: rule.id,
+        merchant_id: rule.merchant_id || null,
+        method: rule.method || null,
+        card_network: rule.card_network || null,
+        international: rule.international ?? null,
+        percentage: parseFloat(rule.percentage),
+        fixed_fee: rule.fixed_fee,
+        active: rule.active,
+        created_at: rule.created_at,
+    };
+}
+
+/**
+ * Format a report row for API responses
+ * @param {Object} report - Report row from the database
+ * @returns {Object} Public report object
+ */
+function formatReport(report) {
+    return {
+        id: report.id,
+        type: report.type,
+        format: report.format,
+        from: report.from_at,
+        to: report.to_at,
+        status: report.status,
+        row_count: report.row_count ?? undefined,
+        file_size: report.file_size != null ? parseInt(report.file_size) : undefined,
+        download_url: report.status === 'completed' ? `/api/v1/reports/${report.id}/download` : undefined,
+        error_description: report.error_description || undefined,
+        created_at: report.created_at,
+        completed_at: report.completed_at || undefined,
+    };
+}
+
+/**
+ * Format a webhook endpoint row for API responses. The secret is only
+ * returned when the endpoint is created.
+ * @param {Object} endpoint - Webhook endpoint row from the database
+ * @returns {Object} Public webhook endpoint object
+ */
+function formatWebhookEndpoint(endpoint) {
+    return {
+        id: endpoint.id,
+        url: endpoint.url,
+        description: endpoint.description || null,
+        enabled: endpoint.enabled,
+        events: endpoint.events,
+        is_default: endpoint.is_default,
+        circuit_state: endpoint.circuit_state,
+        consecutive_failures: endpoint.consecutive_failures,
+        circuit_retry_at: endpoint.circuit_retry_at || undefined,
+        failing_since: endpoint.failing_since || undefined,
+        last_success_at: endpoint.last_success_at || undefined,
+        last_failure_at: endpoint.last_failure_at || undefined,
+        disabled_at: endpoint.disabled_at || undefined,
+        disabled_reason: endpoint.disabled_reason || undefined,
+        previous_secret_expires_at: endpoint.previous_secret && endpoint.previous_secret_expires_at > new Date()
+            ? endpoint.previous_secret_expires_at
+            : undefined,
+        created_at: endpoint.created_at,
+        updated_at: endpoint.updated_at,
+    };
+}
+
+/**
+ * Format a merchant notification row for API responses
+ * @param {Object} notification - Notification row from the database
+ * @returns {Object} Public notification object
+ */
+function formatNotification(notification) {
+    return {
+        id: notification.id,
+        type: notification.type,
+        message: notification.message,
+        data: notification.data || undefined,
+        created_at: notification.created_at,
+    };
+}
+
+/**
+ * Format a stored event. This is also the body of its webhook deliveries,
+ * so polling and webhooks hand merchants the same object.
+ * @param {Object} event - Event row from the database
+ * @returns {Object} Public event object
+ */
+function formatEvent(event) {
+    return {
+        id: event.id,
+        sequence: parseInt(event.sequence),
+        event: event.type,
+        api_version: event.api_version,
+        timestamp: Math.floor(new Date(event.created_at).getTime() / 1000),
+        data: event.data,
+    };
+}
+
+/**
+ * Format an event redelivery row for API responses
+ * @param {Object} redelivery - Event redelivery row from the database
+ * @returns {Object} Public event redelivery object
+ */
+function formatEventRedelivery(redelivery) {
+    return {
+        id: redelivery.id,
+        endpoint_id: redelivery.endpoint_id,
+        from_sequence: parseInt(redelivery.from_sequence),
+        to_sequence: parseInt(redelivery.to_sequence),
+        status: redelivery.status,
+        event_count: redelivery.event_count,
+        error_description: redelivery.error_description || undefined,
+        created_at: redelivery.created_at,
+        completed_at: redelivery.completed_at || undefined,
+    };
+}
+
+module.exports = {
+    formatPayment,
+    formatOrder,
+    formatRefund,
+    formatCustomer,
+    formatPaymentMethod,
+    formatPlan,
+    formatSubscription,
+    formatPaymentLink,
+    formatFxQuote,
+    formatSettlement,
+    formatPricingRule,
+    formatReport,
+    formatWebhookEndpoint,
+    formatNotification,
+    formatEvent,
+    formatEventRedelivery,
+};
@@ -1,25 +1,144 @@
-const { paymentQueue, webhookQueue, refundQueue } = require('../config/queue');
+const { paymentQueue, webhookQueue, refundQueue, subscriptionQueue, settlementQueue, reportQueue } = require('../config/queue');
 const { processPayment } = require('../jobs/ProcessPaymentJob');
 const { deliverWebhook } = require('../jobs/DeliverWebhookJob');
+const { checkWebhookEndpoints } = require('../jobs/CheckWebhookEndpointsJob');
+const { redeliverEvents } = require('../jobs/RedeliverEventsJob');
 const { processRefund } = require('../jobs/ProcessRefundJob');
+const { resumeRefunds } = require('../jobs/ResumeRefundsJob');
+const { expireAuthorizations } = require('../jobs/ExpireAuthorizationsJob');
+const { resumeCaptures } = require('../jobs/ResumeCapturesJob');
+const { chargeSubscriptions } = require('../jobs/ChargeSubscriptionsJob');
+const { processSettlements } = require('../jobs/ProcessSettlementsJob');
+const { reconcileJournals } = require('../jobs/ReconcileLedgerJob');
+const { processReport } = require('../jobs/GenerateReportJob');
+const { checkEncryptionKey } = require('../services/VaultService');
 
 console.log('🚀 Starting worker service...');
 
+// Card payments cannot be authorized without a valid vault key: fail fast
+try {
+    checkEncryptionKey();
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
+
 // Payment processing worker
 paymentQueue.process('process-payment', async (job) => {
     return await processPayment(job);
 });
 
+// Authorization expiry worker
+paymentQueue.process('expire-authorizations', async (job) => {
+    return await expireAuthorizations(job);
+});
+
+// Schedule the authorization expiry sweep (repeatable jobs are de-duplicated by Bull)
+paymentQueue.add('expire-authorizations', {}, {
+    repeat: { every: parseInt(process.env.AUTHORIZATION_EXPIRY_CHECK_INTERVAL || '60000') },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule authorization expiry sweep:', err.message);
+});
+
+// Interrupted capture worker
+paymentQueue.process('resume-captures', async (job) => {
+    return await resumeCaptures(job);
+});
+
+// Schedule the sweep that finishes captures left capturing
+paymentQueue.add('resume-captures', {}, {
+    repeat: { every: parseInt(process.env.PAYMENT_CAPTURE_RESUME_INTERVAL || '60000') },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule capture resume sweep:', err.message);
+});
+
 // Webhook delivery worker
 webhookQueue.process('deliver-webhook', async (job) => {
     return await deliverWebhook(job);
 });
 
+// Event redelivery worker (bulk replay of stored events to an endpoint)
+webhookQueue.process('redeliver-events', async (job) => {
+    return await redeliverEvents(job);
+});
+
+// Webhook endpoint health worker
+webhookQueue.process('check-webhook-endpoints', async (job) => {
+    return await checkWebhookEndpoints(job);
+});
+
+// Schedule the webhook endpoint health check (circuit probes, auto-disable)
+webhookQueue.add('check-webhook-endpoints', {}, {
+    repeat: { every: parseInt(process.env.WEBHOOK_ENDPOINT_CHECK_INTERVAL || '60000') },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule webhook endpoint health check:', err.message);
+});
+
 // Refund processing worker
 refundQueue.process('process-refund', async (job) => {
     return await processRefund(job);
 });
 
+// Sent refund resume worker
+refundQueue.process('resume-refunds', async (job) => {
+    return await resumeRefunds(job);
+});
+
+// Schedule the sweep that finishes refunds the processor accepted
+refundQueue.add('resume-refunds', {}, {
+    repeat: { every: parseInt(process.env.REFUND_RESUME_INTERVAL || '300000') },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule refund resume sweep:', err.message);
+});
+
+// Subscription billing worker
+subscriptionQueue.process('charge-subscriptions', async (job) => {
+    return await chargeSubscriptions(job);
+});
+
+// Schedule the subscription billing sweep
+subscriptionQueue.add('charge-subscriptions', {}, {
+    repeat: { every: parseInt(process.env.SUBSCRIPTION_BILLING_INTERVAL || '60000') },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule subscription billing sweep:', err.message);
+});
+
+// Settlement worker
+settlementQueue.process('process-settlements', async (job) => {
+    return await processSettlements(job);
+});
+
+// Schedule the daily settlement run
+settlementQueue.add('process-settlements', {}, {
+    repeat: { cron: process.env.SETTLEMENT_CRON || '0 2 * * *' },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule settlement run:', err.message);
+});
+
+// Ledger reconciliation worker
+settlementQueue.process('reconcile-ledger', async (job) => {
+    return await reconcileJournals(job);
+});
+
+// Schedule the ledger reconciliation sweep (re-posts journals a ledger error left missing)
+settlementQueue.add('reconcile-ledger', {}, {
+    repeat: { every: parseInt(process.env.LEDGER_RECONCILE_INTERVAL || '300000') },
+    removeOnComplete: true,
+}).catch((err) => {
+    console.error('❌ Failed to schedule ledger reconciliation sweep:', err.message);
+});
+
+// Report generation worker
+reportQueue.process('generate-report', async (job) => {
+    return await processReport(job);
+});
+
 // Event listeners for payment queue
 paymentQueue.on('completed', (job, result) => {
     console.log(`✅ Payment job completed: ${job.id}`, result);
@@ -47,11 +166,29 @@ refundQueue.on('failed', (job, err) => {
     console.error(`❌ Refund job failed: ${job.id}`, err.message);
 });
 
+// Event listeners for subscription queue
+subscriptionQueue.on('failed', (job, err) => {
+    console.error(`❌ Subscription job failed: ${job.id}`, err.message);
+});
+
+// Event listeners for settlement queue
+settlementQueue.on('failed', (job, err) => {
+    console.error(`❌ Settlement job failed: ${job.id}`, err.message);
+});
+
+// Event listeners for report queue
+reportQueue.on('failed', (job, err) => {
+    console.error(`❌ Report job failed: ${job.id}`, err.message);
+});
+
 console.log('✅ Worker service started successfully');
 console.log('📋 Listening for jobs on:');
 console.log('   - payment-processing queue');
 console.log('   - webhook-delivery queue');
 console.log('   - refund-processing queue');
+console.log('   - subscription-billing queue');
+console.log('   - settlement-processing queue');
+console.log('   - report-generation queue');
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
@@ -59,5 +196,8 @@ process.on('SIGTERM', async () => {
     await paymentQueue.close();
     await webhookQueue.close();
     await refundQueue.close();
+    await subscriptionQueue.close();
+    await settlementQueue.close();
+    await reportQueue.close();
     process.exit(0);
 });
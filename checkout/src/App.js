@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import './index.css';
+import { currencyExponent, formatAmount, toMinorUnits } from './formatAmount';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
 
 function App() {
     const [orderId, setOrderId] = useState('');
     const [orderAmount, setOrderAmount] = useState(0);
+    const [orderCurrency, setOrderCurrency] = useState('INR');
     const [method, setMethod] = useState('upi');
     const [vpa, setVpa] = useState('');
     const [cardNumber, setCardNumber] = useState('');
@@ -15,12 +17,22 @@ function App() {
     const [loading, setLoading] = useState(false);
     const [status, setStatus] = useState(null);
     const [embedded, setEmbedded] = useState(false);
+    const [challenge, setChallenge] = useState(null);
+    const [otp, setOtp] = useState('');
+    const [customerId, setCustomerId] = useState('');
+    const [savedMethods, setSavedMethods] = useState([]);
+    const [selectedMethodId, setSelectedMethodId] = useState('');
+    const [saveMethod, setSaveMethod] = useState(false);
+    const [link, setLink] = useState(null);
+    const [linkAmount, setLinkAmount] = useState('');
 
     useEffect(() => {
         // Get order ID from URL params
         const params = new URLSearchParams(window.location.search);
         const orderIdParam = params.get('order_id');
         const embeddedParam = params.get('embedded');
+        const customerIdParam = params.get('customer_id');
+        const linkParam = params.get('link');
 
         if (orderIdParam) {
             setOrderId(orderIdParam);
@@ -30,8 +42,56 @@ function App() {
         if (embeddedParam === 'true') {
             setEmbedded(true);
         }
+
+        if (customerIdParam) {
+            setCustomerId(customerIdParam);
+            fetchSavedMethods(customerIdParam);
+        }
+
+        if (linkParam && !orderIdParam) {
+            fetchPaymentLink(linkParam);
+        }
     }, []);
 
+    const fetchPaymentLink = async (shortCode) => {
+        try {
+            const response = await axios.get(`${API_URL}/api/v1/payment_links/public/${shortCode}`);
+            setLink({ ...response.data, shortCode });
+
+            if (response.data.status !== 'active') {
+                setStatus({ type: 'error', message: `This payment link is ${response.data.status}.` });
+            }
+        } catch (error) {
+            console.error('Error fetching payment link:', error);
+            setStatus({ type: 'error', message: 'Payment link not found.' });
+        }
+    };
+
+    // Opening a link creates its order; the regular payment form takes over from there
+    const handleLinkContinue = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+
+        try {
+            const body = link.amount ? {} : { amount: toMinorUnits(linkAmount, link.currency) };
+            const response = await axios.post(
+                `${API_URL}/api/v1/payment_links/public/${link.shortCode}/orders`,
+                body,
+                { headers: { 'Content-Type': 'application/json' } }
+            );
+
+            setOrderId(response.data.id);
+            setOrderAmount(response.data.amount);
+            setOrderCurrency(response.data.currency);
+        } catch (error) {
+            console.error('Error creating order from payment link:', error);
+            const description = error.response?.data?.error?.description;
+            setStatus({ type: 'error', message: description || 'Could not start the payment. Please try again.' });
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const fetchOrderDetails = async (orderId) => {
         try {
             const response = await axios.get(`${API_URL}/api/v1/orders/${orderId}`, {
@@ -41,11 +101,41 @@ function App() {
                 },
             });
             setOrderAmount(response.data.amount);
+            setOrderCurrency(response.data.currency);
         } catch (error) {
             console.error('Error fetching order:', error);
         }
     };
 
+    const fetchSavedMethods = async (customerId) => {
+        try {
+            const response = await axios.get(`${API_URL}/api/v1/customers/${customerId}/payment_methods`, {
+                headers: {
+                    'X-Api-Key': 'key_test_abc123',
+                    'X-Api-Secret': 'secret_test_xyz789',
+                },
+            });
+            setSavedMethods(response.data.data);
+
+            // Returning customers start on their most recent saved method
+            if (response.data.data.length > 0) {
+                setSelectedMethodId(response.data.data[0].id);
+            }
+        } catch (error) {
+            console.error('Error fetching saved payment methods:', error);
+        }
+    };
+
+    const describeSavedMethod = (savedMethod) => {
+        if (savedMethod.type === 'upi') {
+            return `UPI · ${savedMethod.vpa}`;
+        }
+        const network = savedMethod.card.network.toUpperCase();
+        return `${network} •••• ${savedMethod.card.last4} (${savedMethod.card.expiry})`;
+    };
+
+    const selectedMethod = savedMethods.find((savedMethod) => savedMethod.id === selectedMethodId);
+
     const handlePayment = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -54,15 +144,31 @@ function App() {
         try {
             const paymentData = {
                 order_id: orderId,
-                method,
             };
 
-            if (method === 'upi') {
-                paymentData.vpa = vpa;
-            } else if (method === 'card') {
-                paymentData.card_number = cardNumber;
-                paymentData.card_expiry = cardExpiry;
-                paymentData.card_cvv = cardCvv;
+            if (customerId) {
+                paymentData.customer_id = customerId;
+            }
+
+            if (selectedMethod) {
+                paymentData.payment_method_id = selectedMethod.id;
+                if (selectedMethod.type === 'card' && cardCvv) {
+                    paymentData.card_cvv = cardCvv;
+                }
+            } else {
+                paymentData.method = method;
+
+                if (method === 'upi') {
+                    paymentData.vpa = vpa;
+                } else if (method === 'card') {
+                    paymentData.card_number = cardNumber;
+                    paymentData.card_expiry = cardExpiry;
+                    paymentData.card_cvv = cardCvv;
+                }
+
+                if (customerId && saveMethod) {
+                    paymentData.save_payment_method = true;
+                }
             }
 
             const response = await axios.post(
@@ -83,7 +189,13 @@ function App() {
             pollPaymentStatus(paymentId);
         } catch (error) {
             console.error('Payment error:', error);
-            setStatus({ type: 'error', message: 'Payment failed. Please try again.' });
+
+            // Show field-level validation errors (e.g. invalid card number) when present
+            const fields = error.response?.data?.error?.fields;
+            const message = fields && fields.length > 0
+                ? fields.map((field) => field.description).join('. ')
+                : 'Payment failed. Please try again.';
+            setStatus({ type: 'error', message });
             setLoading(false);
 
             if (embedded) {
@@ -109,7 +221,8 @@ function App() {
 
                 const payment = response.data;
 
-                if (payment.status === 'success') {
+                // Authorized payments are awaiting merchant capture; the customer is done
+                if (payment.status === 'success' || payment.status === 'authorized') {
                     clearInterval(interval);
                     setStatus({ type: 'success', message: 'Payment successful!' });
                     setLoading(false);
@@ -117,7 +230,15 @@ function App() {
                     if (embedded) {
                         sendMessageToParent('payment_success', { paymentId: payment.id });
                     }
-                } else if (payment.status === 'failed') {
+                } else if (payment.status === 'requires_action') {
+                    // 3-D Secure challenge: stop polling until the customer enters the OTP
+                    clearInterval(interval);
+                    setChallenge({
+                        paymentId: payment.id,
+                        description: payment.next_action && payment.next_action.description,
+                    });
+                    setStatus({ type: 'pending', message: 'Authentication required' });
+                } else if (['failed', 'voided', 'cancelled'].includes(payment.status)) {
                     clearInterval(interval);
                     setStatus({ type: 'error', message: 'Payment failed. Please try again.' });
                     setLoading(false);
@@ -136,6 +257,35 @@ function App() {
         }, 2000);
     };
 
+    const handleAuthenticate = async (e) => {
+        e.preventDefault();
+
+        try {
+            await axios.post(
+                `${API_URL}/api/v1/payments/${challenge.paymentId}/authenticate`,
+                { otp },
+                {
+                    headers: {
+                        'X-Api-Key': 'key_test_abc123',
+                        'X-Api-Secret': 'secret_test_xyz789',
+                        'Content-Type': 'application/json',
+                    },
+                }
+            );
+
+            const paymentId = challenge.paymentId;
+            setChallenge(null);
+            setOtp('');
+            setStatus({ type: 'pending', message: 'Processing payment...' });
+            pollPaymentStatus(paymentId);
+        } catch (error) {
+            console.error('Authentication error:', error);
+            setChallenge(null);
+            setStatus({ type: 'error', message: 'Authentication failed. Please try again.' });
+            setLoading(false);
+        }
+    };
+
     const sendMessageToParent = (type, data) => {
         if (window.parent && window.parent !== window) {
             window.parent.postMessage({ type, data }, '*');
@@ -148,7 +298,7 @@ function App() {
                 <h2>Complete Payment</h2>
                 {orderAmount > 0 && (
                     <div className="amount-display">
-                        ₹{(orderAmount / 100).toFixed(2)}
+                        {formatAmount(orderAmount, orderCurrency)}
                     </div>
                 )}
             </div>
@@ -159,70 +309,170 @@ function App() {
                 </div>
             )}
 
-            {!status || status.type === 'pending' ? (
-                <form onSubmit={handlePayment}>
-                    <div className="payment-methods">
-                        <button
-                            type="button"
-                            className={`method-btn ${method === 'upi' ? 'active' : ''}`}
-                            onClick={() => setMethod('upi')}
-                        >
-                            UPI
-                        </button>
-                        <button
-                            type="button"
-                            className={`method-btn ${method === 'card' ? 'active' : ''}`}
-                            onClick={() => setMethod('card')}
-                        >
-                            Card
+            {link && !orderId ? (
+                link.status === 'active' && (
+                    <form onSubmit={handleLinkContinue}>
+                        {link.description && <p className="link-description">{link.description}</p>}
+
+                        {link.amount ? (
+                            <div className="amount-display">
+                                {formatAmount(link.amount, link.currency)}
+                            </div>
+                        ) : (
+                            <div className="form-group">
+                                <label>Amount ({link.currency})</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step={1 / 10 ** currencyExponent(link.currency)}
+                                    placeholder="500"
+                                    value={linkAmount}
+                                    onChange={(e) => setLinkAmount(e.target.value)}
+                                    required
+                                />
+                            </div>
+                        )}
+
+                        <button type="submit" className="pay-btn" disabled={loading}>
+                            {loading ? 'Please wait...' : 'Continue'}
                         </button>
+                    </form>
+                )
+            ) : challenge ? (
+                <form onSubmit={handleAuthenticate}>
+                    <div className="form-group">
+                        <label>One-Time Password</label>
+                        {challenge.description && <p>{challenge.description}</p>}
+                        <input
+                            type="text"
+                            placeholder="123456"
+                            value={otp}
+                            onChange={(e) => setOtp(e.target.value)}
+                            required
+                        />
                     </div>
 
-                    {method === 'upi' && (
+                    <button type="submit" className="pay-btn">
+                        Verify
+                    </button>
+                </form>
+            ) : !status || status.type === 'pending' ? (
+                <form onSubmit={handlePayment}>
+                    {savedMethods.length > 0 && (
+                        <div className="saved-methods">
+                            <label>Saved payment methods</label>
+                            {savedMethods.map((savedMethod) => (
+                                <label key={savedMethod.id} className="saved-method">
+                                    <input
+                                        type="radio"
+                                        name="saved-method"
+                                        checked={selectedMethodId === savedMethod.id}
+                                        onChange={() => setSelectedMethodId(savedMethod.id)}
+                                    />
+                                    {describeSavedMethod(savedMethod)}
+                                </label>
+                            ))}
+                            <label className="saved-method">
+                                <input
+                                    type="radio"
+                                    name="saved-method"
+                                    checked={selectedMethodId === ''}
+                                    onChange={() => setSelectedMethodId('')}
+                                />
+                                Use a new payment method
+                            </label>
+                        </div>
+                    )}
+
+                    {selectedMethod && selectedMethod.type === 'card' && (
                         <div className="form-group">
-                            <label>UPI ID</label>
+                            <label>CVV</label>
                             <input
                                 type="text"
-                                placeholder="user@paytm"
-                                value={vpa}
-                                onChange={(e) => setVpa(e.target.value)}
-                                required
+                                placeholder="123"
+                                value={cardCvv}
+                                onChange={(e) => setCardCvv(e.target.value)}
                             />
                         </div>
                     )}
 
-                    {method === 'card' && (
+                    {!selectedMethod && (
                         <>
-                            <div className="form-group">
-                                <label>Card Number</label>
-                                <input
-                                    type="text"
-                                    placeholder="4111 1111 1111 1111"
-                                    value={cardNumber}
-                                    onChange={(e) => setCardNumber(e.target.value)}
-                                    required
-                                />
-                            </div>
-                            <div className="form-group">
-                                <label>Expiry (MM/YY)</label>
-                                <input
-                                    type="text"
-                                    placeholder="12/25"
-                                    value={cardExpiry}
-                                    onChange={(e) => setCardExpiry(e.target.value)}
-                                    required
-                                />
-                            </div>
-                            <div className="form-group">
-                                <label>CVV</label>
-                                <input
-                                    type="text"
-                                    placeholder="123"
-                                    value={cardCvv}
-                                    onChange={(e) => setCardCvv(e.target.value)}
-                                    required
-                                />
+                            <div className="payment-methods">
+                                <button
+                                    type="button"
+                                    className={`method-btn ${method === 'upi' ? 'active' : ''}`}
+                                    onClick={() => setMethod('upi')}
+                                >
+                                    UPI
+                                </button>
+                                <button
+                                    type="button"
+                                    className={`method-btn ${method === 'card' ? 'active' : ''}`}
+                                    onClick={() => setMethod('card')}
+                                >
+                                    Card
+                                </button>
                             </div>
+
+                            {method === 'upi' && (
+                                <div className="form-group">
+                                    <label>UPI ID</label>
+                                    <input
+                                        type="text"
+                                        placeholder="user@paytm"
+                                        value={vpa}
+                                        onChange={(e) => setVpa(e.target.value)}
+                                        required
+                                    />
+                                </div>
+                            )}
+
+                            {method === 'card' && (
+                                <>
+                                    <div className="form-group">
+                                        <label>Card Number</label>
+                                        <input
+                                            type="text"
+                                            placeholder="4111 1111 1111 1111"
+                                            value={cardNumber}
+                                            onChange={(e) => setCardNumber(e.target.value)}
+                                            required
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label>Expiry (MM/YY)</label>
+                                        <input
+                                            type="text"
+                                            placeholder="12/25"
+                                            value={cardExpiry}
+                                            onChange={(e) => setCardExpiry(e.target.value)}
+                                            required
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label>CVV</label>
+                                        <input
+                                            type="text"
+                                            placeholder="123"
+                                            value={cardCvv}
+                                            onChange={(e) => setCardCvv(e.target.value)}
+                                            required
+                                        />
+                                    </div>
+                                </>
+                            )}
+
+                            {customerId && (
+                                <label className="save-method">
+                                    <input
+                                        type="checkbox"
+                                        checked={saveMethod}
+                                        onChange={(e) => setSaveMethod(e.target.checked)}
+                                    />
+                                    Save this payment method for next time
+                                </label>
+                            )}
                         </>
                     )}
 
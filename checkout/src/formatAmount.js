@@ -0,0 +1,19 @@
+/**
+ * Amount formatting
+ * API amounts are integers in the currency's minor unit. The number of
+ * minor-unit digits (ISO-4217 exponent) comes from Intl: INR 2, JPY 0, KWD 3.
+ */
+
+export function currencyExponent(currency = 'INR') {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency })
+        .resolvedOptions().maximumFractionDigits;
+}
+
+export function formatAmount(amount, currency = 'INR') {
+    const formatter = new Intl.NumberFormat('en-IN', { style: 'currency', currency });
+    return formatter.format(amount / 10 ** currencyExponent(currency));
+}
+
+export function toMinorUnits(value, currency = 'INR') {
+    return Math.round(parseFloat(value) * 10 ** currencyExponent(currency));
+}
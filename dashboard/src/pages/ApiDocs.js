@@ -43,13 +43,27 @@ checkout.open();
                     <pre data-test-id="code-snippet-webhook">
                         {`const crypto = require('crypto');
 
-function verifyWebhook(payload, signature, secret) {
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(JSON.stringify(payload))
-    .digest('hex');
-  
-  return signature === expectedSignature;
+// header: X-Webhook-Signature, "t=<timestamp>,v1=<signature>[,v1=<signature>]"
+// rawBody: the request body exactly as received (not re-serialized JSON)
+function verifyWebhook(rawBody, header, secret, toleranceSeconds = 300) {
+  const parts = String(header || '').split(',').map((part) => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!Number.isInteger(timestamp) || signatures.length === 0) return false;
+
+  // Reject replays of old deliveries
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(\`\${timestamp}.\`).update(rawBody).digest('hex')
+  );
+
+  // During a secret rotation there is one v1 per secret: accept any match
+  return signatures.some((signature) => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
 }`}
                     </pre>
                 </section>
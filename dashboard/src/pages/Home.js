@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
+import { formatAmount } from '../formatAmount';
 
 function Home() {
     const [stats, setStats] = useState({
         totalPayments: 0,
         successfulPayments: 0,
         pendingPayments: 0,
-        totalRevenue: 0
+        totalRevenue: 0,
+        currency: 'INR'
     });
     const [recentTransactions, setRecentTransactions] = useState([]);
 
@@ -16,16 +18,17 @@ function Home() {
             totalPayments: 1250,
             successfulPayments: 1180,
             pendingPayments: 45,
-            totalRevenue: 250000
+            totalRevenue: 25000000,
+            currency: 'INR'
         });
 
         // Mock recent transactions
         setRecentTransactions([
-            { id: 'pay_123', amount: 5000, status: 'success', date: '2024-01-20' },
-            { id: 'pay_124', amount: 2500, status: 'pending', date: '2024-01-20' },
-            { id: 'pay_125', amount: 10000, status: 'success', date: '2024-01-19' },
-            { id: 'pay_126', amount: 7500, status: 'failed', date: '2024-01-19' },
-            { id: 'pay_127', amount: 3200, status: 'success', date: '2024-01-18' }
+            { id: 'pay_123', amount: 500000, currency: 'INR', status: 'success', date: '2024-01-20' },
+            { id: 'pay_124', amount: 2500, currency: 'USD', status: 'pending', date: '2024-01-20' },
+            { id: 'pay_125', amount: 10000, currency: 'JPY', status: 'success', date: '2024-01-19' },
+            { id: 'pay_126', amount: 7500, currency: 'KWD', status: 'failed', date: '2024-01-19' },
+            { id: 'pay_127', amount: 320000, currency: 'INR', status: 'success', date: '2024-01-18' }
         ]);
     }, []);
 
@@ -58,7 +61,7 @@ function Home() {
                 </div>
                 <div className="stat-card">
                     <h3>Total Revenue</h3>
-                    <div className="stat-value">₹{stats.totalRevenue.toLocaleString()}</div>
+                    <div className="stat-value">{formatAmount(stats.totalRevenue, stats.currency)}</div>
                 </div>
             </div>
 
@@ -78,7 +81,7 @@ function Home() {
                         {recentTransactions.map((transaction) => (
                             <tr key={transaction.id}>
                                 <td>{transaction.id}</td>
-                                <td>₹{transaction.amount.toLocaleString()}</td>
+                                <td>{formatAmount(transaction.amount, transaction.currency)}</td>
                                 <td>{getStatusBadge(transaction.status)}</td>
                                 <td>{transaction.date}</td>
                             </tr>
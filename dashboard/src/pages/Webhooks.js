@@ -4,6 +4,10 @@ function Webhooks() {
     const [webhookUrl, setWebhookUrl] = useState('https://yoursite.com/webhook');
     const [webhookSecret, setWebhookSecret] = useState('whsec_test_abc123');
     const [logs, setLogs] = useState([]);
+    const [endpoints, setEndpoints] = useState([]);
+    const [newEndpointUrl, setNewEndpointUrl] = useState('');
+    const [newEndpointEvents, setNewEndpointEvents] = useState('*');
+    const [createdSecret, setCreatedSecret] = useState('');
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState('');
 
@@ -11,11 +15,119 @@ function Webhooks() {
     const API_KEY = 'key_test_abc123';
     const API_SECRET = 'secret_test_xyz789';
 
-    // Fetch webhook logs on component mount
+    // Fetch webhook logs and endpoints on component mount
     useEffect(() => {
         fetchWebhookLogs();
+        fetchEndpoints();
     }, []);
 
+    const fetchEndpoints = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/v1/webhooks/endpoints?limit=100&offset=0`, {
+                headers: {
+                    'X-Api-Key': API_KEY,
+                    'X-Api-Secret': API_SECRET
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch webhook endpoints');
+            }
+
+            const data = await response.json();
+            setEndpoints(data.data || []);
+        } catch (error) {
+            console.error('Error fetching webhook endpoints:', error);
+            setMessage('Error fetching webhook endpoints');
+        }
+    };
+
+    const handleAddEndpoint = async () => {
+        try {
+            setLoading(true);
+            const events = newEndpointEvents.split(',').map((event) => event.trim()).filter(Boolean);
+            const response = await fetch(`${API_URL}/api/v1/webhooks/endpoints`, {
+                method: 'POST',
+                headers: {
+                    'X-Api-Key': API_KEY,
+                    'X-Api-Secret': API_SECRET,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ url: newEndpointUrl, events })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error?.description || 'Failed to add endpoint');
+            }
+
+            const data = await response.json();
+            setCreatedSecret(data.secret);
+            setNewEndpointUrl('');
+            setNewEndpointEvents('*');
+            setMessage('✅ Webhook endpoint added');
+            setTimeout(() => setMessage(''), 3000);
+            fetchEndpoints();
+        } catch (error) {
+            console.error('Error adding endpoint:', error);
+            setMessage(`❌ ${error.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleToggleEndpoint = async (endpoint) => {
+        try {
+            setLoading(true);
+            const response = await fetch(`${API_URL}/api/v1/webhooks/endpoints/${endpoint.id}`, {
+                method: 'PATCH',
+                headers: {
+                    'X-Api-Key': API_KEY,
+                    'X-Api-Secret': API_SECRET,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ enabled: !endpoint.enabled })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to update endpoint');
+            }
+
+            fetchEndpoints();
+        } catch (error) {
+            console.error('Error updating endpoint:', error);
+            setMessage('❌ Error updating endpoint');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDeleteEndpoint = async (endpointId) => {
+        try {
+            setLoading(true);
+            const response = await fetch(`${API_URL}/api/v1/webhooks/endpoints/${endpointId}`, {
+                method: 'DELETE',
+                headers: {
+                    'X-Api-Key': API_KEY,
+                    'X-Api-Secret': API_SECRET
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to delete endpoint');
+            }
+
+            setMessage('✅ Webhook endpoint deleted');
+            setTimeout(() => setMessage(''), 3000);
+            fetchEndpoints();
+        } catch (error) {
+            console.error('Error deleting endpoint:', error);
+            setMessage('❌ Error deleting endpoint');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const fetchWebhookLogs = async () => {
         try {
             setLoading(true);
@@ -59,6 +171,7 @@ function Webhooks() {
 
             setMessage('✅ Webhook configuration saved successfully');
             setTimeout(() => setMessage(''), 3000);
+            fetchEndpoints();
         } catch (error) {
             console.error('Error saving configuration:', error);
             setMessage('❌ Error saving configuration');
@@ -113,7 +226,9 @@ function Webhooks() {
 
             const data = await response.json();
             setWebhookSecret(data.webhook_secret);
-            setMessage('✅ Webhook secret regenerated');
+            setMessage(data.previous_secret_expires_at
+                ? `✅ Webhook secret regenerated; the old secret keeps signing until ${formatDate(data.previous_secret_expires_at)}`
+                : '✅ Webhook secret regenerated');
             setTimeout(() => setMessage(''), 3000);
         } catch (error) {
             console.error('Error regenerating secret:', error);
@@ -280,6 +395,134 @@ function Webhooks() {
                 </div>
             </form>
 
+            <h3>Webhook Endpoints</h3>
+            <div style={{
+                background: 'white',
+                padding: '24px',
+                borderRadius: '8px',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                marginBottom: '30px'
+            }}>
+                <form data-test-id="webhook-endpoint-form" onSubmit={(e) => { e.preventDefault(); handleAddEndpoint(); }} style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+                    <input
+                        data-test-id="webhook-endpoint-url-input"
+                        type="url"
+                        required
+                        value={newEndpointUrl}
+                        onChange={(e) => setNewEndpointUrl(e.target.value)}
+                        placeholder="https://yoursite.com/webhooks/payments"
+                        style={{ flex: 2, padding: '10px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '14px' }}
+                    />
+                    <input
+                        data-test-id="webhook-endpoint-events-input"
+                        type="text"
+                        value={newEndpointEvents}
+                        onChange={(e) => setNewEndpointEvents(e.target.value)}
+                        placeholder="* or payment.captured, refund.processed"
+                        style={{ flex: 2, padding: '10px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '14px' }}
+                    />
+                    <button
+                        data-test-id="add-webhook-endpoint-button"
+                        type="submit"
+                        disabled={loading}
+                        style={{
+                            padding: '10px 20px',
+                            background: '#007bff',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: loading ? 'not-allowed' : 'pointer',
+                            fontSize: '14px'
+                        }}
+                    >
+                        Add Endpoint
+                    </button>
+                </form>
+
+                {createdSecret && (
+                    <p data-test-id="webhook-endpoint-secret" style={{ fontSize: '14px', marginBottom: '20px' }}>
+                        Signing secret for the new endpoint (shown once): <code>{createdSecret}</code>
+                    </p>
+                )}
+
+                <table data-test-id="webhook-endpoints-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                        <tr style={{ background: '#f8f9fa', borderBottom: '2px solid #dee2e6' }}>
+                            <th style={{ padding: '12px', textAlign: 'left', fontWeight: '600' }}>URL</th>
+                            <th style={{ padding: '12px', textAlign: 'left', fontWeight: '600' }}>Events</th>
+                            <th style={{ padding: '12px', textAlign: 'left', fontWeight: '600' }}>Status</th>
+                            <th style={{ padding: '12px', textAlign: 'left', fontWeight: '600' }}>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {endpoints.length === 0 ? (
+                            <tr>
+                                <td colSpan="4" style={{ padding: '40px', textAlign: 'center', color: '#6c757d' }}>
+                                    No webhook endpoints yet
+                                </td>
+                            </tr>
+                        ) : (
+                            endpoints.map((endpoint) => (
+                                <tr
+                                    key={endpoint.id}
+                                    data-test-id="webhook-endpoint-item"
+                                    data-endpoint-id={endpoint.id}
+                                    style={{ borderBottom: '1px solid #dee2e6' }}
+                                >
+                                    <td data-test-id="webhook-endpoint-url" style={{ padding: '12px', wordBreak: 'break-all' }}>
+                                        {endpoint.url}{endpoint.is_default ? ' (default)' : ''}
+                                    </td>
+                                    <td data-test-id="webhook-endpoint-events" style={{ padding: '12px' }}>
+                                        {endpoint.events.includes('*') ? 'All events' : endpoint.events.join(', ')}
+                                    </td>
+                                    <td data-test-id="webhook-endpoint-status" style={{ padding: '12px' }} title={endpoint.disabled_reason || ''}>
+                                        {!endpoint.enabled
+                                            ? 'disabled'
+                                            : endpoint.circuit_state === 'closed'
+                                                ? 'enabled'
+                                                : `circuit ${endpoint.circuit_state.replace('_', '-')} (${endpoint.consecutive_failures} failures)`}
+                                    </td>
+                                    <td style={{ padding: '12px', display: 'flex', gap: '8px' }}>
+                                        <button
+                                            data-test-id="toggle-webhook-endpoint-button"
+                                            onClick={() => handleToggleEndpoint(endpoint)}
+                                            disabled={loading}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: '#6c757d',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: loading ? 'not-allowed' : 'pointer',
+                                                fontSize: '12px'
+                                            }}
+                                        >
+                                            {endpoint.enabled ? 'Disable' : 'Enable'}
+                                        </button>
+                                        <button
+                                            data-test-id="delete-webhook-endpoint-button"
+                                            onClick={() => handleDeleteEndpoint(endpoint.id)}
+                                            disabled={loading}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: '#dc3545',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: loading ? 'not-allowed' : 'pointer',
+                                                fontSize: '12px'
+                                            }}
+                                        >
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
             <h3>Webhook Logs</h3>
             <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', overflow: 'hidden' }}>
                 <table data-test-id="webhook-logs-table" style={{ width: '100%', borderCollapse: 'collapse' }}>
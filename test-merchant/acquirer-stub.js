@@ -0,0 +1,93 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const app = express();
+app.use(express.json());
+
+// In-memory authorizations: reference → { amount, captured, voided, refunded }
+const authorizations = new Map();
+
+// payment_id → reference, so a retried authorization returns the original hold
+const authorizationsByPayment = new Map();
+
+// refund_id → reference, so a retried refund is not paid out twice
+const refundsById = new Map();
+
+function reference(prefix) {
+    return `acq_${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function decline(res, code, description) {
+    return res.status(402).json({ approved: false, error_code: code, error_description: description });
+}
+
+app.post('/authorizations', (req, res) => {
+    const { payment_id, amount } = req.body;
+    console.log(`🏦 Authorize ${payment_id} (${amount})`);
+
+    if (authorizationsByPayment.has(payment_id)) {
+        return res.json({ approved: true, reference: authorizationsByPayment.get(payment_id) });
+    }
+
+    const ref = reference('auth');
+    authorizations.set(ref, { amount, captured: 0, voided: false, refunded: 0 });
+    authorizationsByPayment.set(payment_id, ref);
+    res.json({ approved: true, reference: ref });
+});
+
+app.post('/authorizations/:ref/capture', (req, res) => {
+    const auth = authorizations.get(req.params.ref);
+    if (!auth) return decline(res, 'AUTHORIZATION_NOT_FOUND', 'Unknown authorization');
+    if (auth.voided) return decline(res, 'AUTHORIZATION_VOIDED', 'Authorization was voided');
+    if (req.body.amount > auth.amount) return decline(res, 'AMOUNT_EXCEEDED', 'Capture exceeds authorization');
+
+    // A resent capture returns the original one
+    if (auth.captureRef) {
+        return res.json({ approved: true, reference: auth.captureRef });
+    }
+
+    auth.captured = req.body.amount;
+    auth.captureRef = reference('cap');
+    console.log(`🏦 Capture ${req.params.ref} (${req.body.amount})`);
+    res.json({ approved: true, reference: auth.captureRef });
+});
+
+app.post('/authorizations/:ref/void', (req, res) => {
+    const auth = authorizations.get(req.params.ref);
+    if (!auth) return decline(res, 'AUTHORIZATION_NOT_FOUND', 'Unknown authorization');
+
+    auth.voided = true;
+    console.log(`🏦 Void ${req.params.ref}`);
+    res.json({ approved: true, reference: reference('void') });
+});
+
+app.post('/authorizations/:ref/refunds', (req, res) => {
+    const auth = authorizations.get(req.params.ref);
+    if (!auth) return decline(res, 'AUTHORIZATION_NOT_FOUND', 'Unknown authorization');
+
+    if (refundsById.has(req.body.refund_id)) {
+        return res.json({ approved: true, reference: refundsById.get(req.body.refund_id) });
+    }
+
+    if (auth.refunded + req.body.amount > auth.captured) {
+        return decline(res, 'AMOUNT_EXCEEDED', 'Refund exceeds captured amount');
+    }
+
+    // Set INSTANT_REFUNDS=false to exercise the gateway's fallback to normal refunds
+    const instant = req.body.speed === 'instant';
+    if (instant && process.env.INSTANT_REFUNDS === 'false') {
+        return decline(res, 'INSTANT_REFUND_UNAVAILABLE', 'Instant refunds are not available');
+    }
+
+    const ref = reference(instant ? 'irf' : 'rfn');
+    auth.refunded += req.body.amount;
+    refundsById.set(req.body.refund_id, ref);
+    console.log(`🏦 ${instant ? 'Instant refund' : 'Refund'} ${req.params.ref} (${req.body.amount})`);
+    res.json({ approved: true, reference: ref });
+});
+
+const PORT = process.env.PORT || 4100;
+app.listen(PORT, () => {
+    console.log(`🏦 Stand-in acquirer running on port ${PORT}`);
+    console.log(`📍 Set ACQUIRER_URL=http://localhost:${PORT} and route a merchant to "http_acquirer"`);
+});
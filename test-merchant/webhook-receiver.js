@@ -10,34 +10,58 @@ app.use(express.json({
     }
 }));
 
-const WEBHOOK_SECRET = 'whsec_test_abc123';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'whsec_test_abc123';
+
+// Reject signatures whose timestamp is older (or newer) than this
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300');
+
+/**
+ * Verify an `X-Webhook-Signature: t=<ts>,v1=<sig>[,v1=<sig>]` header.
+ * The signature covers `<ts>.<raw body>`; during a secret rotation the
+ * gateway sends one v1 per secret, so any match is accepted.
+ * @returns {string|null} Reason the signature is invalid, or null if valid
+ */
+function verifySignature(header, payload, secret) {
+    const parts = String(header || '').split(',').map((part) => part.split('='));
+    const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+        return 'Malformed signature header';
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > TOLERANCE_SECONDS) {
+        return 'Timestamp outside the tolerance window';
+    }
+
+    const expected = Buffer.from(
+        crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(payload).digest('hex')
+    );
+
+    const matched = signatures.some((signature) => {
+        const received = Buffer.from(signature || '');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+
+    return matched ? null : 'No matching v1 signature';
+}
 
 app.post('/webhook', (req, res) => {
     const signature = req.headers['x-webhook-signature'];
 
-    // Use raw body for signature verification
-    const payloadBuffer = req.rawBody;
-    const payloadString = payloadBuffer ? payloadBuffer.toString('utf8') : '';
-
     console.log('\n📨 Webhook received:');
     console.log('Event:', req.body.event);
 
-    if (!payloadBuffer) {
+    if (!req.rawBody) {
         console.log('❌ ERROR: req.rawBody is undefined! Check express.json config.');
+        return res.status(400).send('Missing body');
     }
 
-    // Verify signature
-    const hmac = crypto.createHmac('sha256', WEBHOOK_SECRET);
-    hmac.update(payloadBuffer || JSON.stringify(req.body));
-    const expectedSignature = hmac.digest('hex');
-
-    console.log('DEBUG: Payload Length:', payloadString.length);
-    console.log('DEBUG: Received Sig:', signature);
-    console.log('DEBUG: Expected Sig:', expectedSignature);
-    console.log('DEBUG: Payload Preview:', payloadString.substring(0, 100));
+    // Use raw body for signature verification
+    const error = verifySignature(signature, req.rawBody, WEBHOOK_SECRET);
 
-    if (signature !== expectedSignature) {
-        console.log('❌ Invalid signature');
+    if (error) {
+        console.log(`❌ Invalid signature: ${error}`);
         return res.status(401).send('Invalid signature');
     }
 
@@ -50,5 +74,6 @@ app.listen(PORT, () => {
     console.log(`🚀 Test merchant webhook receiver running on port ${PORT}`);
     console.log(`📍 Webhook URL: http://localhost:${PORT}/webhook`);
     console.log(`🔑 Webhook Secret: ${WEBHOOK_SECRET}`);
+    console.log(`⏱️  Tolerance: ${TOLERANCE_SECONDS}s`);
     console.log('\nWaiting for webhooks...\n');
 });